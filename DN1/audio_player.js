@@ -54,7 +54,36 @@
  * 4. Proper Timing:
  *    - 140 Hz update rate matching game behavior
  *    - Precise scheduling via Web Audio clock
+ * 
+ * Sound Editor:
+ * 
+ * Each sound can be opened as a step graph (one column per tick, pitch on a
+ * log scale). Ticks can be drawn, silenced, inserted and deleted, previewed
+ * with playSound, and the whole bank saved with a rebuilt directory.
+ */
+
+/* ========================================================================== */
+/* EDITOR CONSTANTS                                                           */
+/* ========================================================================== */
+
+const DIRECTORY_START = 0x10;   // Directory follows the 16-byte header
+const DIRECTORY_ENTRY_SIZE = 16;
+const NAME_LENGTH = 12;
+
+const GRAPH_HEIGHT = 240;       // Step graph height in pixels
+const TICK_WIDTH = 6;           // Pixels per tick column
+const GRAPH_MIN_FREQ = 100;     // Audible range used by divisorToFrequency
+const GRAPH_MAX_FREQ = 10000;
+const GRID_FREQUENCIES = [200, 500, 1000, 2000, 5000];
+const TICK_GRID = 10;           // Vertical grid line every N ticks
+
+/**
+ * Divisor written by the silence tool.
+ * 
+ * 0 and 0xFFFF terminate a sound, so silence needs a real divisor. Divisor 1
+ * is ultrasonic on the real speaker and divisorToFrequency treats it as silence.
  */
+const SILENT_DIVISOR = 1;
 
 export class AudioPlayer {
     /* ====================================================================== */
@@ -76,6 +105,19 @@ export class AudioPlayer {
         this.currentSource = null;   // Currently playing oscillator (for stop functionality)
         this.masterVolume = 0.15;    // Default volume (0.0 - 0.5 range)
         
+        this.bank = null;            // Raw bank for the editor (see parseSndBank)
+        this.bankName = '';
+        this.editor = null;          // Open sound editor state (see openEditor)
+        this.editorPanel = null;
+        
+        /**
+         * Called with the bank's file name when the user saves from the
+         * editor. The application builds the file with buildSndBank and
+         * decides how to store it (e.g. a download).
+         * @type {Function|null}
+         */
+        this.onSaveBank = null;
+        
         /* ------------------------------------------------------------------ */
         /* PC Speaker Hardware Constants                                      */
         /* ------------------------------------------------------------------ */
@@ -153,7 +195,10 @@ export class AudioPlayer {
         
         const buffer = await file.arrayBuffer();
         const data = new DataView(buffer);
-        const sounds = this.parseSndFile(data);
+        this.bank = this.parseSndBank(data);
+        this.bankName = file.name;
+        this.editor = null;
+        const sounds = this.soundsFromBank(this.bank);
         
         /* ------------------------------------------------------------------ */
         /* Setup Container                                                    */
@@ -208,6 +253,15 @@ export class AudioPlayer {
         volContainer.appendChild(volSlider);
         this.container.appendChild(volContainer);
         
+        /* ------------------------------------------------------------------ */
+        /* Create Sound Editor Panel (hidden until a sound is edited)         */
+        /* ------------------------------------------------------------------ */
+        
+        this.editorPanel = document.createElement('div');
+        this.editorPanel.className = 'snd-editor';
+        this.editorPanel.style.display = 'none';
+        this.container.appendChild(this.editorPanel);
+        
         /* ------------------------------------------------------------------ */
         /* Create Sound Button Grid                                           */
         /* ------------------------------------------------------------------ */
@@ -223,13 +277,19 @@ export class AudioPlayer {
         sounds.forEach(sound => {
             const btn = document.createElement('button');
             btn.className = 'sound-btn';
-            btn.innerHTML = `<span class="icon">🔊</span> ${sound.name}`;
+            btn.innerHTML = `<span class="icon">🔊</span> ${sound.name}<span class="sound-edit" title="Edit ticks">✏️ Edit</span>`;
             
             // Play sound on click
             btn.addEventListener('click', () => {
                 this.playSound(sound.frequencies);
             });
             
+            // Open the step graph editor (without playing)
+            btn.querySelector('.sound-edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openEditor(sound.entry);
+            });
+            
             grid.appendChild(btn);
         });
         
@@ -260,12 +320,19 @@ export class AudioPlayer {
      *   * 0x0000: End of sound
      *   * 0xFFFF: End of sound (alternative marker)
      * 
+     * Every directory entry is kept, together with the bytes from its
+     * terminator to the end of its data, so buildSndBank can write the
+     * bank back without losing anything.
+     * 
      * @param {DataView} view - Binary data view of the sound file
-     * @returns {Array<Object>} Array of sound objects with name and frequencies
+     * @returns {{bytes: Uint8Array, directoryEnd: number, entries: Array<Object>}}
+     *   Raw file, offset of the terminating directory entry, and one entry per
+     *   sound: { slot, name, nameBytes, offset, length, divisors, tail }
      */
-    parseSndFile(view) {
-        const sounds = [];
-        let dirOffset = 0x10; // Directory starts after 16-byte header
+    parseSndBank(view) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+        const entries = [];
+        let dirOffset = DIRECTORY_START; // Directory starts after 16-byte header
         
         /* ------------------------------------------------------------------ */
         /* Parse Directory Entries                                            */
@@ -284,7 +351,8 @@ export class AudioPlayer {
             /* -------------------------------------------------------------- */
             
             let name = "";
-            for (let i = 0; i < 12; i++) {
+            const nameBytes = bytes.slice(dirOffset + 4, dirOffset + 4 + NAME_LENGTH);
+            for (let i = 0; i < NAME_LENGTH; i++) {
                 const charCode = view.getUint8(dirOffset + 4 + i);
                 if (charCode !== 0) {
                     name += String.fromCharCode(charCode);
@@ -305,7 +373,8 @@ export class AudioPlayer {
             const frequencies = [];
             const endPos = Math.min(sndOffset + sndLen, view.byteLength);
             
-            for (let pos = sndOffset; pos < endPos; pos += 2) {
+            let pos = sndOffset;
+            for (; pos < endPos; pos += 2) {
                 const divisor = view.getUint16(pos, true);
                 
                 // Check for terminator values
@@ -314,23 +383,115 @@ export class AudioPlayer {
                 frequencies.push(divisor);
             }
             
-            /* -------------------------------------------------------------- */
-            /* Validate and Store Sound                                       */
-            /* -------------------------------------------------------------- */
+            entries.push({
+                slot: entries.length,
+                name,
+                nameBytes,
+                offset: sndOffset,
+                length: sndLen,
+                divisors: frequencies,
+                tail: bytes.slice(Math.min(pos, endPos), endPos) // Terminator and anything after it
+            });
             
-            /**
-             * Only add sounds that have both a name and frequency data.
-             * Filters out corrupted or empty entries.
-             */
-            if (name.trim().length > 0 && frequencies.length > 0) {
-                sounds.push({ name, frequencies });
+            // Move to next directory entry (16 bytes)
+            dirOffset += DIRECTORY_ENTRY_SIZE;
+        }
+        
+        return { bytes, directoryEnd: dirOffset, entries };
+    }
+    
+    /**
+     * Parses the binary SND file format into playable sounds.
+     * 
+     * @param {DataView} view - Binary data view of the sound file
+     * @returns {Array<Object>} Array of sound objects with name and frequencies
+     */
+    parseSndFile(view) {
+        return this.soundsFromBank(this.parseSndBank(view));
+    }
+    
+    /**
+     * Lists the playable sounds of a parsed bank.
+     * 
+     * Only sounds that have both a name and frequency data are listed;
+     * corrupted or empty entries are filtered out. Each sound shares its
+     * divisor array with the bank entry, so edits are heard immediately.
+     * 
+     * @param {Object} bank - Result of parseSndBank
+     * @returns {Array<Object>} { name, frequencies, entry }
+     */
+    soundsFromBank(bank) {
+        return bank.entries
+            .filter(entry => entry.name.trim().length > 0 && entry.divisors.length > 0)
+            .map(entry => ({ name: entry.name, frequencies: entry.divisors, entry }));
+    }
+    
+    /* ====================================================================== */
+    /* SOUND BANK WRITING                                                     */
+    /* ====================================================================== */
+    
+    /**
+     * Rebuilds the SND file from the (possibly edited) bank.
+     * 
+     * Layout:
+     * - Everything before the first sound (header, directory, padding) is
+     *   copied, then each directory entry is rewritten with its new offset
+     *   and length and its original 12 name bytes
+     * - Sound data is packed in its original file order: divisors followed
+     *   by the original terminator bytes
+     * - Any bytes after the last sound are appended unchanged
+     * 
+     * The 16-byte header is copied as-is, except for its first UINT16,
+     * the total file length, which is set to the new size.
+     * 
+     * @returns {Uint8Array} Complete sound bank file
+     * @throws {Error} If the file no longer fits the 16-bit length and offsets
+     */
+    buildSndBank() {
+        const { bytes, directoryEnd, entries } = this.bank;
+        
+        // Data area: from the first sound to the end of the last one
+        const withData = entries.filter(e => e.length > 0);
+        const dataStart = withData.length > 0
+            ? Math.min(...withData.map(e => e.offset))
+            : directoryEnd + DIRECTORY_ENTRY_SIZE;
+        const dataEnd = withData.length > 0
+            ? Math.max(...withData.map(e => Math.min(e.offset + e.length, bytes.length)))
+            : dataStart;
+        const trailer = bytes.subarray(dataEnd);
+        
+        const ordered = [...entries].sort((a, b) => a.offset - b.offset || a.slot - b.slot);
+        const dataSize = ordered.reduce((sum, e) => sum + e.divisors.length * 2 + e.tail.length, 0);
+        const totalSize = dataStart + dataSize + trailer.length;
+        
+        if (totalSize > 0xFFFF) {
+            throw new Error(`Sound bank would be ${totalSize} bytes; its length and offsets are 16-bit (max 65535)`);
+        }
+        
+        const output = new Uint8Array(totalSize);
+        const view = new DataView(output.buffer);
+        output.set(bytes.subarray(0, dataStart));
+        view.setUint16(0, totalSize, true);  // Header: total file length
+        
+        let pos = dataStart;
+        for (const entry of ordered) {
+            const start = pos;
+            for (const divisor of entry.divisors) {
+                view.setUint16(pos, divisor, true);
+                pos += 2;
             }
+            output.set(entry.tail, pos);
+            pos += entry.tail.length;
             
-            // Move to next directory entry (16 bytes)
-            dirOffset += 16;
+            // Directory entry: offset, length, name
+            const dirOffset = DIRECTORY_START + entry.slot * DIRECTORY_ENTRY_SIZE;
+            view.setUint16(dirOffset, start, true);
+            view.setUint16(dirOffset + 2, pos - start, true);
+            output.set(entry.nameBytes, dirOffset + 4);
         }
         
-        return sounds;
+        output.set(trailer, pos);
+        return output;
     }
     
     /* ====================================================================== */
@@ -594,6 +755,286 @@ export class AudioPlayer {
         this.currentSource = osc;
     }
     
+    /* ====================================================================== */
+    /* SOUND EDITOR                                                           */
+    /* ====================================================================== */
+    
+    /**
+     * Opens the step graph editor for one bank entry.
+     * 
+     * The entry's divisor array is edited in place, so the sound button
+     * plays the edited version too. Revert restores the divisors the
+     * editor was opened with.
+     * 
+     * @param {Object} entry - Bank entry from parseSndBank
+     */
+    openEditor(entry) {
+        this.editor = {
+            entry,
+            original: entry.divisors.slice(),
+            selected: 0,
+            tool: 'draw',      // 'draw' | 'silence' | 'select'
+            drawing: false,
+            canvas: null,
+            info: null,
+            divisorInput: null
+        };
+        this.renderEditor();
+    }
+    
+    /**
+     * Closes the editor panel (edits stay in the bank).
+     */
+    closeEditor() {
+        this.editor = null;
+        this.editorPanel.innerHTML = '';
+        this.editorPanel.style.display = 'none';
+    }
+    
+    /**
+     * Builds the editor panel: toolbar, scrollable step graph and status line.
+     */
+    renderEditor() {
+        const editor = this.editor;
+        const panel = this.editorPanel;
+        panel.innerHTML = '';
+        panel.style.display = 'flex';
+        
+        /* ------------------------------------------------------------------ */
+        /* Toolbar                                                            */
+        /* ------------------------------------------------------------------ */
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'snd-editor-toolbar';
+        toolbar.innerHTML = `
+            <strong>${editor.entry.name}</strong>
+            <select title="Mouse tool">
+                <option value="draw">✏️ Draw</option>
+                <option value="silence">🔇 Silence</option>
+                <option value="select">👆 Select</option>
+            </select>
+            <label>Divisor <input type="number" min="1" max="65534" step="1"></label>
+            <button data-action="insert" title="Insert a copy of the selected tick before it">Insert</button>
+            <button data-action="delete" title="Delete the selected tick">Delete</button>
+            <button data-action="preview">▶ Preview</button>
+            <button data-action="revert">Revert</button>
+            <button data-action="save" title="Save the sound bank with a rebuilt directory">💾 Save Bank</button>
+            <button data-action="close">✕</button>
+        `;
+        
+        const toolSelect = toolbar.querySelector('select');
+        toolSelect.value = editor.tool;
+        toolSelect.addEventListener('change', () => { editor.tool = toolSelect.value; });
+        
+        editor.divisorInput = toolbar.querySelector('input');
+        editor.divisorInput.addEventListener('change', () => {
+            const value = parseInt(editor.divisorInput.value, 10);
+            if (value >= 1 && value <= 0xFFFE) {
+                editor.entry.divisors[editor.selected] = value;
+            }
+            this.refreshEditor();
+        });
+        
+        const actions = {
+            insert: () => {
+                const divisors = editor.entry.divisors;
+                divisors.splice(editor.selected, 0, divisors[editor.selected] ?? SILENT_DIVISOR);
+                this.refreshEditor();
+            },
+            delete: () => {
+                const divisors = editor.entry.divisors;
+                if (divisors.length <= 1) return; // An empty sound would vanish from the bank
+                divisors.splice(editor.selected, 1);
+                editor.selected = Math.min(editor.selected, divisors.length - 1);
+                this.refreshEditor();
+            },
+            preview: () => this.playSound(editor.entry.divisors),
+            revert: () => {
+                editor.entry.divisors.splice(0, editor.entry.divisors.length, ...editor.original);
+                editor.selected = Math.min(editor.selected, editor.original.length - 1);
+                this.refreshEditor();
+            },
+            save: () => this.onSaveBank?.(this.bankName),
+            close: () => this.closeEditor()
+        };
+        toolbar.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', actions[btn.dataset.action]);
+        });
+        
+        /* ------------------------------------------------------------------ */
+        /* Step Graph                                                         */
+        /* ------------------------------------------------------------------ */
+        
+        const graph = document.createElement('div');
+        graph.className = 'snd-editor-graph';
+        
+        const canvas = document.createElement('canvas');
+        canvas.height = GRAPH_HEIGHT;
+        editor.canvas = canvas;
+        
+        /**
+         * Mouse editing:
+         * - Draw: drag to set the pitch of every tick passed over
+         * - Silence: drag to silence ticks
+         * - Select: click to pick the tick for Insert/Delete/Divisor
+         * Every tool also selects the tick under the pointer.
+         */
+        const applyPointer = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+            const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+            const tick = Math.floor(x / TICK_WIDTH);
+            if (tick < 0 || tick >= editor.entry.divisors.length) return;
+            
+            editor.selected = tick;
+            if (editor.tool === 'draw') {
+                editor.entry.divisors[tick] = this.yToDivisor(y);
+            } else if (editor.tool === 'silence') {
+                editor.entry.divisors[tick] = SILENT_DIVISOR;
+            }
+            this.refreshEditor();
+        };
+        
+        canvas.addEventListener('pointerdown', (e) => {
+            editor.drawing = true;
+            canvas.setPointerCapture(e.pointerId);
+            applyPointer(e);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (editor.drawing && editor.tool !== 'select') applyPointer(e);
+        });
+        canvas.addEventListener('pointerup', () => { editor.drawing = false; });
+        
+        graph.appendChild(canvas);
+        
+        editor.info = document.createElement('div');
+        editor.info.className = 'snd-editor-info';
+        
+        panel.appendChild(toolbar);
+        panel.appendChild(graph);
+        panel.appendChild(editor.info);
+        
+        this.refreshEditor();
+    }
+    
+    /**
+     * Redraws the graph and updates the divisor field and status line.
+     */
+    refreshEditor() {
+        const editor = this.editor;
+        if (!editor) return;
+        
+        const divisors = editor.entry.divisors;
+        const divisor = divisors[editor.selected];
+        const freq = this.divisorToFrequency(divisor);
+        
+        editor.divisorInput.value = divisor;
+        editor.info.textContent =
+            `${divisors.length} ticks (${(divisors.length * this.TONE_DURATION).toFixed(2)}s) | ` +
+            `tick ${editor.selected}: divisor ${divisor} = ${freq > 0 ? `${Math.round(freq)} Hz` : 'silent'}`;
+        
+        this.drawEditorGraph();
+    }
+    
+    /**
+     * Maps a frequency to a graph row (log scale, high pitches at the top).
+     * 
+     * @param {number} freq - Frequency in Hz (within the audible range)
+     * @returns {number} Y coordinate
+     */
+    frequencyToY(freq) {
+        const ratio = Math.log(freq / GRAPH_MIN_FREQ) / Math.log(GRAPH_MAX_FREQ / GRAPH_MIN_FREQ);
+        return GRAPH_HEIGHT - ratio * GRAPH_HEIGHT;
+    }
+    
+    /**
+     * Inverse of frequencyToY, rounded to the nearest PIT divisor.
+     * 
+     * @param {number} y - Y coordinate on the graph
+     * @returns {number} PIT divisor
+     */
+    yToDivisor(y) {
+        const ratio = Math.max(0, Math.min(1, (GRAPH_HEIGHT - y) / GRAPH_HEIGHT));
+        const freq = GRAPH_MIN_FREQ * Math.pow(GRAPH_MAX_FREQ / GRAPH_MIN_FREQ, ratio);
+        return Math.round(this.PIT_FREQUENCY / freq);
+    }
+    
+    /**
+     * Draws the sound as a frequency-over-time step graph.
+     * 
+     * One column per tick. Audible ticks are joined into a step line;
+     * silent ticks are marked along the bottom edge.
+     */
+    drawEditorGraph() {
+        const { canvas, entry, selected } = this.editor;
+        const divisors = entry.divisors;
+        const width = (divisors.length + 1) * TICK_WIDTH;
+        if (canvas.width !== width) canvas.width = width;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#020617';
+        ctx.fillRect(0, 0, width, GRAPH_HEIGHT);
+        
+        /* ------------------------------------------------------------------ */
+        /* Grid                                                               */
+        /* ------------------------------------------------------------------ */
+        
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'bottom';
+        for (const freq of GRID_FREQUENCIES) {
+            const y = Math.round(this.frequencyToY(freq)) + 0.5;
+            ctx.fillStyle = '#334155';
+            ctx.fillRect(0, y, width, 1);
+            ctx.fillStyle = '#94a3b8';
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : String(freq), 2, y - 1);
+        }
+        
+        ctx.fillStyle = '#1e293b';
+        for (let tick = TICK_GRID; tick < divisors.length; tick += TICK_GRID) {
+            ctx.fillRect(tick * TICK_WIDTH, 0, 1, GRAPH_HEIGHT);
+        }
+        
+        /* ------------------------------------------------------------------ */
+        /* Selected Tick                                                      */
+        /* ------------------------------------------------------------------ */
+        
+        ctx.fillStyle = 'rgba(56, 189, 248, 0.25)';
+        ctx.fillRect(selected * TICK_WIDTH, 0, TICK_WIDTH, GRAPH_HEIGHT);
+        
+        /* ------------------------------------------------------------------ */
+        /* Steps                                                              */
+        /* ------------------------------------------------------------------ */
+        
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let penDown = false;
+        
+        divisors.forEach((divisor, tick) => {
+            const freq = this.divisorToFrequency(divisor);
+            const x = tick * TICK_WIDTH;
+            
+            if (freq === 0) {
+                // Silent tick: break the line and mark the floor
+                penDown = false;
+                ctx.fillStyle = '#64748b';
+                ctx.fillRect(x + 1, GRAPH_HEIGHT - 3, TICK_WIDTH - 2, 3);
+                return;
+            }
+            
+            const y = this.frequencyToY(freq);
+            if (penDown) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                penDown = true;
+            }
+            ctx.lineTo(x + TICK_WIDTH, y);
+        });
+        
+        ctx.stroke();
+    }
+    
     /* ====================================================================== */
     /* PLAYBACK CONTROL                                                       */
     /* ====================================================================== */
@@ -30,7 +30,8 @@
  * [Variable Header] [23,040 bytes of tile data]
  * 
  * The header contains level metadata, but we don't parse it - we only
- * need the map data which is always at the end of the file.
+ * need the map data which is always at the end of the file. The header
+ * bytes are kept verbatim so saveLevel() can write the file back.
  * 
  * Tile Value Encoding (Critical):
  * --------------------------------
@@ -114,6 +115,9 @@ export class LevelManager {
      *   - grid: Uint16Array of tile/sprite IDs (128×90 = 11,520 values)
      *   - width: Grid width in tiles (128)
      *   - height: Grid height in tiles (90)
+     *   - header: Raw header bytes (preserved for saving)
+     *   - rawGrid: Uint16Array of the original file words
+     *   - baseGrid: Unedited grid snapshot (see markClean)
      * 
      * @throws {Error} If file is too small (corrupted or not a valid level)
      */
@@ -194,6 +198,13 @@ export class LevelManager {
          */
         const grid = new Uint16Array(this.width * this.height);
         
+        /**
+         * Untouched 16-bit words as stored in the file.
+         * Kept so saveLevel() can write unedited cells back verbatim,
+         * including offsets that are not exact multiples of 32.
+         */
+        const rawGrid = new Uint16Array(this.width * this.height);
+        
         /* ------------------------------------------------------------------ */
         /* Read and Convert Each Tile Value                                   */
         /* ------------------------------------------------------------------ */
@@ -218,6 +229,7 @@ export class LevelManager {
              * - Example bytes: [0x40, 0x18] = 0x1840 = 6208
              */
             const rawValue = data.getUint16(headerOffset + (i * 2), true);
+            rawGrid[i] = rawValue;
             
             /* ============================================================== */
             /* CRITICAL: TILE VALUE CONVERSION                                */
@@ -316,9 +328,85 @@ export class LevelManager {
             name: fileObject.name,  // Original filename
             grid: grid,             // Tile/sprite ID array
             width: this.width,      // Grid width (128)
-            height: this.height     // Grid height (90)
+            height: this.height,    // Grid height (90)
+            
+            // Preserved for saveLevel()
+            header: new Uint8Array(buffer, 0, headerOffset).slice(), // Header bytes
+            rawGrid: rawGrid,       // Original file words
+            baseGrid: null          // Grid snapshot the raw words correspond to
         };
         
+        this.markClean(this.currentLevel);
+        
         return this.currentLevel;
     }
+    
+    /* ====================================================================== */
+    /* LEVEL SAVING                                                           */
+    /* ====================================================================== */
+    
+    /**
+     * Records the current grid as the unedited baseline.
+     * 
+     * Cells whose value still matches this snapshot are written back with
+     * their original raw word. Call this again after applying display-only
+     * patches (e.g. the conveyor end tile swap in main.js) so those patched
+     * cells are not mistaken for edits.
+     * 
+     * @param {Object} level - Level object returned by loadLevel()
+     */
+    markClean(level) {
+        level.baseGrid = level.grid.slice();
+    }
+    
+    /**
+     * Encodes a level back into the WORLDAL*.DN* binary format.
+     * 
+     * This is the inverse of the conversion in loadLevel():
+     * - Sprite IDs (>= 0x3000) are stored as-is
+     * - Tile indices are stored as memory offsets (index × 32)
+     * 
+     * Unedited cells reuse their original raw word, so saving a level
+     * without changes produces a byte-identical file.
+     * 
+     * File layout: [Original Header] [23,040 bytes of tile data]
+     * 
+     * @param {Object} level - Level object returned by loadLevel()
+     * 
+     * @returns {Uint8Array} Complete level file bytes
+     * 
+     * @throws {Error} If a cell holds a tile index that cannot be encoded
+     */
+    saveLevel(level) {
+        const header = level.header || new Uint8Array(0);
+        const cellCount = level.width * level.height;
+        const out = new Uint8Array(header.length + cellCount * 2);
+        const data = new DataView(out.buffer);
+        
+        out.set(header, 0);
+        
+        for (let i = 0; i < cellCount; i++) {
+            const value = level.grid[i];
+            let rawValue;
+            
+            if (level.rawGrid && level.baseGrid && level.baseGrid[i] === value) {
+                // Unchanged since load - keep exact original word
+                rawValue = level.rawGrid[i];
+            } else if (value >= 0x3000) {
+                // Sprite ID - stored directly
+                rawValue = value;
+            } else {
+                // Tile index - convert back to memory offset
+                rawValue = value * 32;
+                
+                if (rawValue >= 0x3000) {
+                    throw new Error(`Tile ${value} at cell ${i} is out of range`);
+                }
+            }
+            
+            data.setUint16(header.length + (i * 2), rawValue, true);
+        }
+        
+        return out;
+    }
 }
@@ -11,6 +11,7 @@
  * - Rendering coordination between canvas and data views
  * - UI state management and updates
  * - Dynamic content switching between different file types
+ * - Level editing (tile painting, sprite placement, saving)
  * 
  * Architecture:
  * - Imports modular managers for specific tasks (files, levels, rendering, etc.)
@@ -36,6 +37,7 @@ import { SPRITE_MAP } from './sprites.js';           // Sprite definitions datab
 import { DataViewer } from './data_viewer.js';       // High scores and keyboard data viewer
 import { AudioPlayer } from './audio_player.js';     // PC Speaker sound player
 import { LevelStats } from './level_stats.js';       // Level statistics panel
+import { ZipWriter } from '../DN2/ZipWriter.js';     // ZIP archives for batch export (shared with DN2)
 
 /* ========================================================================== */
 /* DOM ELEMENT REFERENCES                                                     */
@@ -70,6 +72,8 @@ const mainContent = document.querySelector('.main-content'); // Canvas parent co
  * - Layer visibility checkboxes (Bonuses, Enemies, Hazards, etc.)
  * - Sprite display mode radio buttons (Icon, Shrink, Full)
  * - DROP backdrop view mode options (Sheet vs Assembled)
+ * - Level editor (tile palette, sprite picker, save)
+ * - Image export (current level PNG, whole-episode ZIP)
  * 
  * The panel is initially hidden and shown only when viewing map levels.
  */
@@ -107,6 +111,34 @@ controlPanel.innerHTML = `
             </div>
         </div>
 
+        <!-- Level Editor (hidden by default, shown only for map levels) -->
+        <div id="ctrl-edit" class="control-group" style="display:none;">
+            <div class="control-group-label">Level Editor</div>
+            <label style="font-size:0.85rem; color:#eee;"><input type="checkbox" id="edit-mode"> Edit Mode</label>
+            <div id="edit-tools" style="display:none;">
+                <div style="display:flex; gap:10px; font-size:0.85rem; color:#eee;">
+                    <label><input type="radio" name="edit-brush" value="tile" checked> Tile</label>
+                    <label><input type="radio" name="edit-brush" value="sprite"> Sprite</label>
+                </div>
+                <div id="edit-tile-box" class="edit-palette-box">
+                    <canvas id="edit-tile-palette"></canvas>
+                </div>
+                <select id="edit-sprite-select" class="edit-select" style="display:none;"></select>
+                <div id="edit-selection" class="edit-selection"></div>
+                <div class="edit-hint">Left: paint &middot; Right: pick &middot; Middle: pan</div>
+                <button id="edit-save" class="panel-btn">Save Level</button>
+            </div>
+        </div>
+
+        <!-- Level Image Export (hidden by default, shown only for map levels) -->
+        <div id="ctrl-export" class="control-group" style="display:none;">
+            <div class="control-group-label">Image Export</div>
+            <div class="panel-row">
+                <button id="export-level-png" class="panel-btn" title="Render the whole level to PNG">Level PNG</button>
+                <button id="export-episode-zip" class="panel-btn" title="Render every level of this episode into a ZIP">Episode ZIP</button>
+            </div>
+        </div>
+
         <!-- DROP Backdrop View Mode (hidden by default, shown only for DROP files) -->
         <div id="ctrl-drop" class="control-group" style="display:none;">
             <div class="control-group-label">Backdrop View</div>
@@ -173,6 +205,17 @@ const dataViewer = new DataViewer('data-view-container');        // Data file vi
 const audioPlayer = new AudioPlayer('data-view-container');      // Sound player
 const levelStats = new LevelStats('level-stats');                // Statistics overlay
 
+// Sound editor saves: rebuild the SND bank and download it under its own name
+audioPlayer.onSaveBank = (filename) => {
+    try {
+        const bytes = audioPlayer.buildSndBank();
+        downloadFile(bytes, filename);
+        uiLog(`Saved ${filename} (${bytes.length} bytes)`, "success");
+    } catch (err) {
+        uiLog(`Sound bank save failed: ${err.message}`, "error");
+    }
+};
+
 /* ========================================================================== */
 /* APPLICATION STATE                                                          */
 /* ========================================================================== */
@@ -222,6 +265,20 @@ let isPanning = false;             // True while dragging to pan
 let lastMouseX = 0;                // Previous mouse X for delta calculation
 let lastMouseY = 0;                // Previous mouse Y for delta calculation
 
+/* -------------------------------------------------------------------------- */
+/* Level Editing State                                                        */
+/* -------------------------------------------------------------------------- */
+
+let isEditMode = false;            // Left mouse paints instead of panning
+let isPainting = false;            // True while painting a stroke
+let strokeChanged = false;         // True if the current stroke modified the grid
+let lastPaintX = -1;               // Previous painted tile X (for drag interpolation)
+let lastPaintY = -1;               // Previous painted tile Y
+let editBrush = 'tile';            // Brush type: 'tile' or 'sprite'
+let editTileID = 0;                // Selected master tileset index
+let editSpriteID = 0;              // Selected sprite ID (numeric, from SPRITE_MAP)
+let hasUnsavedEdits = false;       // True if the level changed since load/save
+
 /* -------------------------------------------------------------------------- */
 /* User Settings                                                              */
 /* -------------------------------------------------------------------------- */
@@ -556,6 +613,28 @@ function imageDataToCanvas(imageData) {
     return canvas;
 }
 
+/**
+ * Triggers a browser download for in-memory data.
+ * 
+ * @param {Uint8Array|Blob|string} data - File contents
+ * @param {string} filename - Suggested download name
+ * @param {string} [mime] - MIME type for the blob
+ */
+function downloadFile(data, filename, mime = 'application/octet-stream') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Release the object URL once the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Composites multiple tiles into a single sprite canvas.
  * 
@@ -803,6 +882,94 @@ function updateSpriteRegistryImages() {
     }
 }
 
+/* ========================================================================== */
+/* LEVEL PATCHES                                                              */
+/* ========================================================================== */
+
+/**
+ * Swaps platform/conveyor end tiles to match their conveyor zones.
+ * 
+ * Some levels have incorrect default tile assignments.
+ * Conveyor zones are marked by sprite pairs (start/end markers):
+ * - Within these zones, platform end tiles should be conveyor ends
+ * - Outside these zones, conveyor ends should be platform ends
+ * 
+ * Used by the level viewer and by the full-level image export.
+ * 
+ * @param {Object} level - Level object with grid, width and height
+ */
+function applyConveyorPatch(level) {
+    const grid = level.grid;
+    const width = level.width;
+    const height = level.height;
+    
+    /* ---------------------------------------------------------------------- */
+    /* Step 1: Identify Conveyor Zones                                        */
+    /* ---------------------------------------------------------------------- */
+    
+    /**
+     * Scan each row to find areas between conveyor sprite markers.
+     * 
+     * Left-moving conveyor: 0x3002 (start) -> 0x3003 (end)
+     * Right-moving conveyor: 0x3004 (start) -> 0x3005 (end)
+     */
+    
+    const isConveyorZone = new Uint8Array(grid.length); // 0=false, 1=true
+    
+    for (let y = 0; y < height; y++) {
+        let activeBelt = false;
+        const rowOffset = y * width;
+        
+        for (let x = 0; x < width; x++) {
+            const index = rowOffset + x;
+            const val = grid[index];
+            
+            // Start markers activate belt mode
+            if (val === 0x3002 || val === 0x3004) {
+                activeBelt = true;
+            }
+            
+            // Mark current tile if inside belt
+            if (activeBelt) {
+                isConveyorZone[index] = 1;
+            }
+            
+            // End markers deactivate belt mode
+            if (val === 0x3003 || val === 0x3005) {
+                activeBelt = false;
+            }
+        }
+    }
+    
+    /* ---------------------------------------------------------------------- */
+    /* Step 2: Apply Graphics Patches                                         */
+    /* ---------------------------------------------------------------------- */
+    
+    /**
+     * Replace tiles based on zone detection.
+     * 
+     * Tile IDs:
+     * - 203: Platform left end
+     * - 206: Platform right end
+     * - 224: Conveyor left end
+     * - 225: Conveyor right end
+     */
+    
+    for (let i = 0; i < grid.length; i++) {
+        const tileID = grid[i];
+        
+        if (isConveyorZone[i]) {
+            // Inside conveyor zone: use conveyor ends
+            if (tileID === 203) grid[i] = 224; // Left
+            if (tileID === 206) grid[i] = 225; // Right
+        } else {
+            // Outside conveyor zone: use platform ends
+            if (tileID === 224) grid[i] = 203; // Left
+            if (tileID === 225) grid[i] = 206; // Right
+        }
+    }
+}
+
 /* ========================================================================== */
 /* ASSET INSPECTION                                                           */
 /* ========================================================================== */
@@ -836,6 +1003,9 @@ async function inspectAsset(file) {
     // Store for palette reload functionality
     currentFile = file;
     
+    // Leave edit mode - unsaved edits belong to the previous asset
+    setEditMode(false);
+    
     const fileName = file.name.toUpperCase();
     
     /* ====================================================================== */
@@ -935,85 +1105,15 @@ async function inspectAsset(file) {
             
             /**
              * Some levels have incorrect default tile assignments.
-             * We fix these by detecting context (sprite markers) and
-             * replacing tiles accordingly.
-             * 
-             * Example: Conveyor belts
-             * - Conveyor zones are marked by sprite pairs (start/end markers)
-             * - Within these zones, platform end tiles should be conveyor ends
-             * - Outside these zones, conveyor ends should be platform ends
+             * Conveyor belt ends are corrected from their sprite markers
+             * (see applyConveyorPatch).
              */
             
             if (currentMasterTileset.length > 300 && currentLevel.grid) {
-                const grid = currentLevel.grid;
-                const width = currentLevel.width;
-                const height = currentLevel.height;
-                
-                /* ---------------------------------------------------------- */
-                /* Step 1: Identify Conveyor Zones                            */
-                /* ---------------------------------------------------------- */
-                
-                /**
-                 * Scan each row to find areas between conveyor sprite markers.
-                 * 
-                 * Left-moving conveyor: 0x3002 (start) -> 0x3003 (end)
-                 * Right-moving conveyor: 0x3004 (start) -> 0x3005 (end)
-                 */
-                
-                const isConveyorZone = new Uint8Array(grid.length); // 0=false, 1=true
+                applyConveyorPatch(currentLevel);
                 
-                for (let y = 0; y < height; y++) {
-                    let activeBelt = false;
-                    const rowOffset = y * width;
-                    
-                    for (let x = 0; x < width; x++) {
-                        const index = rowOffset + x;
-                        const val = grid[index];
-                        
-                        // Start markers activate belt mode
-                        if (val === 0x3002 || val === 0x3004) {
-                            activeBelt = true;
-                        }
-                        
-                        // Mark current tile if inside belt
-                        if (activeBelt) {
-                            isConveyorZone[index] = 1;
-                        }
-                        
-                        // End markers deactivate belt mode
-                        if (val === 0x3003 || val === 0x3005) {
-                            activeBelt = false;
-                        }
-                    }
-                }
-                
-                /* ---------------------------------------------------------- */
-                /* Step 2: Apply Graphics Patches                             */
-                /* ---------------------------------------------------------- */
-                
-                /**
-                 * Replace tiles based on zone detection.
-                 * 
-                 * Tile IDs:
-                 * - 203: Platform left end
-                 * - 206: Platform right end
-                 * - 224: Conveyor left end
-                 * - 225: Conveyor right end
-                 */
-                
-                for (let i = 0; i < grid.length; i++) {
-                    const tileID = grid[i];
-                    
-                    if (isConveyorZone[i]) {
-                        // Inside conveyor zone: use conveyor ends
-                        if (tileID === 203) grid[i] = 224; // Left
-                        if (tileID === 206) grid[i] = 225; // Right
-                    } else {
-                        // Outside conveyor zone: use platform ends
-                        if (tileID === 224) grid[i] = 203; // Left
-                        if (tileID === 225) grid[i] = 206; // Right
-                    }
-                }
+                // Patched ends are display-only: keep their raw file words on save
+                levelManager.markClean(currentLevel);
             }
             
             /* -------------------------------------------------------------- */
@@ -1062,8 +1162,14 @@ async function inspectAsset(file) {
             controlPanel.style.display = "block";
             document.getElementById('ctrl-layers').style.display = "block";
             document.getElementById('ctrl-sprites').style.display = "block";
+            document.getElementById('ctrl-edit').style.display = "block";
+            document.getElementById('ctrl-export').style.display = "block";
             document.getElementById('ctrl-drop').style.display = "none";
             
+            // Refresh editor palette for this episode's tiles
+            hasUnsavedEdits = false;
+            renderEditPalette();
+            
             // Show zoom controls
             zoomPanel.style.display = "flex";
             
@@ -1271,6 +1377,8 @@ async function inspectAsset(file) {
             // Show DROP-specific controls, hide standard sprite controls
             document.getElementById('ctrl-layers').style.display = "none";
             document.getElementById('ctrl-sprites').style.display = "none";
+            document.getElementById('ctrl-edit').style.display = "none";
+            document.getElementById('ctrl-export').style.display = "none";
             document.getElementById('ctrl-drop').style.display = "block";
         }
         
@@ -1630,6 +1738,10 @@ document.getElementById('zoom-4x').addEventListener('click', () => setZoom(4));
 previewCanvas.addEventListener('mousedown', e => {
     if (!currentLevel) return;
     
+    // In edit mode only the middle button pans (left paints, right picks)
+    if (isEditMode && e.button !== 1) return;
+    if (e.button === 1) e.preventDefault(); // Suppress browser autoscroll
+    
     isPanning = true;
     lastMouseX = e.clientX;
     lastMouseY = e.clientY;
@@ -1638,7 +1750,7 @@ previewCanvas.addEventListener('mousedown', e => {
 
 window.addEventListener('mouseup', () => {
     isPanning = false;
-    mainContent.style.cursor = "grab";
+    mainContent.style.cursor = isEditMode ? "crosshair" : "grab";
 });
 
 window.addEventListener('mousemove', e => {
@@ -1826,6 +1938,489 @@ document.getElementById('viz-grid-fix').addEventListener('change', e => {
     requestRender();
 });
 
+/* ========================================================================== */
+/* LEVEL EDITOR                                                               */
+/* ========================================================================== */
+/**
+ * In-place editing of WORLDAL*.DN* levels.
+ * 
+ * Features:
+ * - Tile brush: paints any slot of the master tileset (BACK0-3, SOLID0-3)
+ * - Sprite brush: places any sprite ID from SPRITE_MAP
+ * - Right click picks the tile or sprite under the cursor
+ * - Save Level downloads the edited file (byte-identical when unchanged)
+ * 
+ * Every edit writes straight into currentLevel.grid, so the renderer and
+ * the statistics panel always reflect the edited map.
+ */
+
+const EDIT_PALETTE_COLUMNS = 16;  // Tiles per row in the editor palette
+const TILESET_FILE_NAMES = ['BACK0', 'BACK1', 'BACK2', 'BACK3', 'SOLID0', 'SOLID1', 'SOLID2', 'SOLID3'];
+
+const editModeCheckbox = document.getElementById('edit-mode');
+const editTools = document.getElementById('edit-tools');
+const editPalette = document.getElementById('edit-tile-palette');
+const editTileBox = document.getElementById('edit-tile-box');
+const editSpriteSelect = document.getElementById('edit-sprite-select');
+const editSelectionLabel = document.getElementById('edit-selection');
+
+/* -------------------------------------------------------------------------- */
+/* Editor Helpers                                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Checks whether the current view is an editable map level.
+ * Only levels loaded through LevelManager carry the raw file words.
+ * 
+ * @returns {boolean} True if a WORLDAL level is loaded
+ */
+function isEditableLevel() {
+    return !!(currentLevel && currentLevel.rawGrid);
+}
+
+/**
+ * Enables or disables edit mode and syncs the related UI.
+ * 
+ * @param {boolean} enabled - New edit mode state
+ */
+function setEditMode(enabled) {
+    isEditMode = enabled && isEditableLevel();
+    isPainting = false;
+    
+    editModeCheckbox.checked = isEditMode;
+    editTools.style.display = isEditMode ? 'flex' : 'none';
+    mainContent.style.cursor = isEditMode ? 'crosshair' : 'grab';
+}
+
+/**
+ * Converts a mouse event to tile coordinates on the current level.
+ * 
+ * @param {MouseEvent} e - Mouse event over the preview canvas
+ * @returns {{x: number, y: number}|null} Tile position, or null if outside the map
+ */
+function eventToTile(e) {
+    const rect = previewCanvas.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left;
+    const mouseY = e.clientY - rect.top;
+    
+    const worldX = (mouseX - viewport.width / 2) / viewport.zoom + viewport.x;
+    const worldY = (mouseY - viewport.height / 2) / viewport.zoom + viewport.y;
+    
+    const x = Math.floor(worldX / 16);
+    const y = Math.floor(worldY / 16);
+    
+    if (x < 0 || y < 0 || x >= currentLevel.width || y >= currentLevel.height) return null;
+    return { x, y };
+}
+
+/**
+ * Writes the active brush into a single cell.
+ * 
+ * @param {number} x - Tile X
+ * @param {number} y - Tile Y
+ */
+function paintCell(x, y) {
+    const index = y * currentLevel.width + x;
+    const value = editBrush === 'sprite' ? editSpriteID : editTileID;
+    
+    if (currentLevel.grid[index] === value) return;
+    
+    currentLevel.grid[index] = value;
+    strokeChanged = true;
+}
+
+/**
+ * Paints every cell on the line between the previous and current
+ * stroke positions, so fast drags don't leave gaps.
+ * 
+ * @param {{x: number, y: number}} tile - Current tile position
+ */
+function paintStrokeTo(tile) {
+    let x0 = lastPaintX < 0 ? tile.x : lastPaintX;
+    let y0 = lastPaintY < 0 ? tile.y : lastPaintY;
+    const dx = Math.abs(tile.x - x0);
+    const dy = -Math.abs(tile.y - y0);
+    const sx = x0 < tile.x ? 1 : -1;
+    const sy = y0 < tile.y ? 1 : -1;
+    let err = dx + dy;
+    
+    // Bresenham line walk
+    while (true) {
+        paintCell(x0, y0);
+        if (x0 === tile.x && y0 === tile.y) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x0 += sx; }
+        if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+    
+    lastPaintX = tile.x;
+    lastPaintY = tile.y;
+    
+    if (strokeChanged) requestRender();
+}
+
+/**
+ * Finishes a paint stroke and refreshes dependent panels.
+ */
+function endPaintStroke() {
+    if (!isPainting) return;
+    isPainting = false;
+    
+    if (strokeChanged) {
+        hasUnsavedEdits = true;
+        levelStats.update(currentLevel, currentSpriteRegistry);
+    }
+    strokeChanged = false;
+}
+
+/**
+ * Selects the tile or sprite under the cursor as the active brush.
+ * 
+ * @param {{x: number, y: number}} tile - Tile position to sample
+ */
+function pickCell(tile) {
+    const value = currentLevel.grid[tile.y * currentLevel.width + tile.x];
+    
+    if (value >= 0x3000) {
+        editSpriteID = value;
+        setEditBrush('sprite');
+    } else {
+        editTileID = value;
+        setEditBrush('tile');
+    }
+}
+
+/**
+ * Switches the active brush type and updates the picker UI.
+ * 
+ * @param {string} brush - 'tile' or 'sprite'
+ */
+function setEditBrush(brush) {
+    editBrush = brush;
+    
+    document.querySelector(`input[name="edit-brush"][value="${brush}"]`).checked = true;
+    editTileBox.style.display = brush === 'tile' ? 'block' : 'none';
+    editSpriteSelect.style.display = brush === 'sprite' ? 'block' : 'none';
+    
+    const hexKey = editSpriteID.toString(16).toUpperCase();
+    if (editSpriteSelect.querySelector(`option[value="${hexKey}"]`)) {
+        editSpriteSelect.value = hexKey;
+    }
+    
+    renderEditPalette();
+    updateEditSelectionLabel();
+}
+
+/**
+ * Describes the active brush below the picker.
+ */
+function updateEditSelectionLabel() {
+    if (editBrush === 'sprite') {
+        const hexKey = editSpriteID.toString(16).toUpperCase();
+        const def = SPRITE_MAP[hexKey];
+        editSelectionLabel.textContent = `Sprite 0x${hexKey}: ${def ? def.name : 'Unknown Sprite'}`;
+    } else {
+        const file = TILESET_FILE_NAMES[Math.floor(editTileID / 48)] || '?';
+        editSelectionLabel.textContent = `Tile ${editTileID} (${file} #${editTileID % 48})`;
+    }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Tile Palette and Sprite Picker                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Draws the master tileset into the editor palette canvas.
+ * Empty slots are left dark; the selected tile is outlined.
+ */
+function renderEditPalette() {
+    const count = currentMasterTileset.length;
+    const rows = Math.max(1, Math.ceil(count / EDIT_PALETTE_COLUMNS));
+    
+    editPalette.width = EDIT_PALETTE_COLUMNS * 16;
+    editPalette.height = rows * 16;
+    
+    const ctx = editPalette.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, editPalette.width, editPalette.height);
+    
+    for (let i = 0; i < count; i++) {
+        const tile = currentMasterTileset[i];
+        if (!tile) continue;
+        ctx.drawImage(tile, (i % EDIT_PALETTE_COLUMNS) * 16, Math.floor(i / EDIT_PALETTE_COLUMNS) * 16);
+    }
+    
+    // Highlight selected tile
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+        (editTileID % EDIT_PALETTE_COLUMNS) * 16 + 1,
+        Math.floor(editTileID / EDIT_PALETTE_COLUMNS) * 16 + 1,
+        14, 14
+    );
+}
+
+/**
+ * Fills the sprite picker from SPRITE_MAP, grouped by sprite type.
+ * Runs once at startup - the sprite list is the same for all episodes.
+ */
+function populateSpritePicker() {
+    const groups = {};
+    
+    for (const hexID in SPRITE_MAP) {
+        const def = SPRITE_MAP[hexID];
+        const type = def.type || 'other';
+        if (!groups[type]) groups[type] = [];
+        groups[type].push(hexID);
+    }
+    
+    for (const type in groups) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = type.charAt(0).toUpperCase() + type.slice(1);
+        
+        for (const hexID of groups[type]) {
+            const option = document.createElement('option');
+            option.value = hexID;
+            option.textContent = `${hexID} ${SPRITE_MAP[hexID].name}`;
+            optgroup.appendChild(option);
+        }
+        
+        editSpriteSelect.appendChild(optgroup);
+    }
+    
+    const firstID = Object.keys(SPRITE_MAP)[0];
+    if (firstID) editSpriteID = parseInt(firstID, 16);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Saving                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Encodes the current level and downloads it under its original name.
+ */
+function saveCurrentLevel() {
+    if (!isEditableLevel()) return;
+    
+    try {
+        const bytes = levelManager.saveLevel(currentLevel);
+        downloadFile(bytes, currentLevel.name);
+        
+        hasUnsavedEdits = false;
+        uiLog(`Saved ${currentLevel.name} (${bytes.length} bytes)`, "success");
+    } catch (err) {
+        uiLog(`Save Error: ${err.message}`, "error");
+    }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Editor Event Handlers                                                      */
+/* -------------------------------------------------------------------------- */
+
+editModeCheckbox.addEventListener('change', e => {
+    setEditMode(e.target.checked);
+    setEditBrush(editBrush);
+});
+
+document.querySelectorAll('input[name="edit-brush"]').forEach(radio => {
+    radio.addEventListener('change', e => setEditBrush(e.target.value));
+});
+
+editSpriteSelect.addEventListener('change', e => {
+    editSpriteID = parseInt(e.target.value, 16);
+    updateEditSelectionLabel();
+});
+
+editPalette.addEventListener('click', e => {
+    // Account for CSS scaling of the palette canvas
+    const rect = editPalette.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (editPalette.width / rect.width);
+    const py = (e.clientY - rect.top) * (editPalette.height / rect.height);
+    const index = Math.floor(py / 16) * EDIT_PALETTE_COLUMNS + Math.floor(px / 16);
+    
+    if (index < 0 || index >= currentMasterTileset.length) return;
+    
+    editTileID = index;
+    renderEditPalette();
+    updateEditSelectionLabel();
+});
+
+document.getElementById('edit-save').addEventListener('click', saveCurrentLevel);
+
+previewCanvas.addEventListener('mousedown', e => {
+    if (!isEditMode || !isEditableLevel()) return;
+    
+    const tile = eventToTile(e);
+    if (!tile) return;
+    
+    if (e.button === 2) {
+        pickCell(tile);
+    } else if (e.button === 0) {
+        isPainting = true;
+        strokeChanged = false;
+        lastPaintX = -1;
+        lastPaintY = -1;
+        paintStrokeTo(tile);
+    }
+});
+
+previewCanvas.addEventListener('mousemove', e => {
+    if (!isPainting) return;
+    
+    const tile = eventToTile(e);
+    if (tile) paintStrokeTo(tile);
+});
+
+window.addEventListener('mouseup', endPaintStroke);
+
+previewCanvas.addEventListener('contextmenu', e => {
+    // Right click is the eyedropper while editing
+    if (isEditMode) e.preventDefault();
+});
+
+window.addEventListener('beforeunload', e => {
+    if (hasUnsavedEdits) e.preventDefault();
+});
+
+populateSpritePicker();
+updateEditSelectionLabel();
+
+/* ========================================================================== */
+/* LEVEL IMAGE EXPORT                                                         */
+/* ========================================================================== */
+/**
+ * Offscreen rendering of complete levels to PNG.
+ * 
+ * Features:
+ * - Level PNG: the current level (including unsaved edits)
+ * - Episode ZIP: every WORLDAL file of the current episode, one PNG each
+ * 
+ * Exports use the current visibility layers, sprite display mode
+ * (icon / shrink / full) and background setting, so the image matches
+ * what is configured on screen. Crates and conveyor zones are handled
+ * exactly as in the live view.
+ */
+
+const exportLevelButton = document.getElementById('export-level-png');
+const exportEpisodeButton = document.getElementById('export-episode-zip');
+
+/* -------------------------------------------------------------------------- */
+/* Export Helpers                                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Encodes a canvas as a PNG blob.
+ * 
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} PNG image data
+ */
+function canvasToPngBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error('PNG encoding failed'));
+        }, 'image/png');
+    });
+}
+
+/**
+ * Renders a whole level with the current display settings.
+ * 
+ * @param {Object} level - Level object from LevelManager
+ * @returns {HTMLCanvasElement} Full-size render (128×16 by 90×16 pixels)
+ */
+function renderLevelImage(level) {
+    return renderer.renderFullLevel(
+        level,
+        currentMasterTileset,
+        currentSpriteRegistry,
+        layerConfig,
+        spriteMode,
+        useSolidBG
+    );
+}
+
+/* -------------------------------------------------------------------------- */
+/* Export Actions                                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Downloads the current level as a PNG image.
+ */
+async function exportLevelImage() {
+    if (!isEditableLevel()) return;
+    
+    try {
+        const canvas = renderLevelImage(currentLevel);
+        const blob = await canvasToPngBlob(canvas);
+        downloadFile(blob, `${currentLevel.name}.png`);
+        
+        uiLog(`Exported ${currentLevel.name}.png (${canvas.width}x${canvas.height})`, "success");
+    } catch (err) {
+        uiLog(`Export Error: ${err.message}`, "error");
+    }
+}
+
+/**
+ * Renders every level of the current episode and downloads them as a ZIP.
+ * 
+ * Levels are loaded fresh from disk (the on-screen level is not touched),
+ * then receive the same conveyor patch as the viewer before rendering.
+ * The current episode's tileset and sprites are reused for all levels.
+ */
+async function exportEpisodeImages() {
+    if (!isEditableLevel()) return;
+    
+    const levelFiles = fileManager.levels.filter(
+        f => f.name.toUpperCase().endsWith(currentEpisodeExt)
+    );
+    
+    if (levelFiles.length === 0) {
+        uiLog(`No levels found for ${currentEpisodeExt}`, "warning");
+        return;
+    }
+    
+    exportEpisodeButton.disabled = true;
+    
+    // Header shows progress while rendering; restore it afterwards
+    const headerDisplay = document.getElementById('tile-count-display');
+    const previousStatus = headerDisplay ? headerDisplay.innerHTML : '';
+    
+    try {
+        const zip = new ZipWriter();
+        
+        for (const file of levelFiles) {
+            updateHeaderStatus(`Rendering ${file.name}...`);
+            
+            const level = await levelManager.loadLevel(file);
+            if (currentMasterTileset.length > 300) {
+                applyConveyorPatch(level);
+            }
+            
+            const blob = await canvasToPngBlob(renderLevelImage(level));
+            await zip.addBlob(`${file.name}.png`, blob);
+        }
+        
+        const zipName = `EPISODE${currentEpisodeExt.replace('.', '_')}_LEVELS.zip`;
+        downloadFile(zip.build(), zipName, 'application/zip');
+        
+        uiLog(`Exported ${levelFiles.length} levels to ${zipName}`, "success");
+    } catch (err) {
+        uiLog(`Export Error: ${err.message}`, "error");
+    } finally {
+        exportEpisodeButton.disabled = false;
+        updateHeaderStatus(previousStatus);
+    }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Export Event Handlers                                                      */
+/* -------------------------------------------------------------------------- */
+
+exportLevelButton.addEventListener('click', exportLevelImage);
+exportEpisodeButton.addEventListener('click', exportEpisodeImages);
+
 /* ========================================================================== */
 /* PALETTE EASTER EGG                                                         */
 /* ========================================================================== */
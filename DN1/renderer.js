@@ -728,4 +728,66 @@ export class Renderer {
             }
         }
     }
+    
+    /* ====================================================================== */
+    /* OFFSCREEN FULL-LEVEL RENDERING                                         */
+    /* ====================================================================== */
+    
+    /**
+     * Renders an entire level to a new offscreen canvas at 1:1 scale.
+     * 
+     * Instead of duplicating the three-pass pipeline, this temporarily
+     * points the renderer at an offscreen canvas and calls draw() with a
+     * viewport that covers the whole map. Viewport culling then includes
+     * every tile, and the mirror pass reads from the offscreen canvas.
+     * 
+     * Output size: level.width × 16 by level.height × 16 pixels
+     * (2048 × 1440 for a standard 128×90 level).
+     * 
+     * @param {Object} level - Level data object (see draw())
+     * @param {Array<HTMLCanvasElement>} tileset - Master tileset
+     * @param {Object} spriteRegistry - Map of sprite ID -> sprite data
+     * @param {Object} layerConfig - Sprite layer visibility settings
+     * @param {string} spriteMode - Sprite display mode: 'icon', 'shrink', or 'full'
+     * @param {boolean} solidBackground - Use solid black instead of checkerboard pattern
+     * 
+     * @returns {HTMLCanvasElement} Canvas containing the rendered level
+     */
+    renderFullLevel(level, tileset, spriteRegistry, layerConfig, spriteMode, solidBackground) {
+        const width = level.width * this.tileSize;
+        const height = level.height * this.tileSize;
+        
+        const offscreen = document.createElement('canvas');
+        offscreen.width = width;
+        offscreen.height = height;
+        
+        // Swap target canvas for the duration of the draw
+        const savedCanvas = this.canvas;
+        const savedCtx = this.ctx;
+        
+        this.canvas = offscreen;
+        this.ctx = offscreen.getContext('2d', { alpha: false });
+        this.ctx.imageSmoothingEnabled = false;
+        
+        try {
+            /**
+             * Viewport centered on the map at zoom 1.
+             * Grid fix is unnecessary at integer zoom, so it stays off.
+             */
+            const fullView = {
+                x: width / 2,
+                y: height / 2,
+                zoom: 1,
+                width: width,
+                height: height
+            };
+            
+            this.draw(level, tileset, spriteRegistry, layerConfig, fullView, false, spriteMode, solidBackground, false);
+        } finally {
+            this.canvas = savedCanvas;
+            this.ctx = savedCtx;
+        }
+        
+        return offscreen;
+    }
 }
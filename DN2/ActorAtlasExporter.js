@@ -0,0 +1,239 @@
+/**
+ * ActorAtlasExporter.js
+ * Packs every actor frame into one texture atlas for other engines and
+ * describes it as TexturePacker JSON (hash or array), Aseprite JSON or CSV.
+ * Frames can be trimmed to their opaque pixels; each entry keeps the trim
+ * offset, the untrimmed size and the game's anchor point, so trimmed frames
+ * still line up the way ActorFrameBrowser shows them.
+ */
+
+import { RAW_NAMES } from './SpriteDefinitions.js';
+import { ActorFrameBrowser } from './ActorFrameBrowser.js';
+
+const MAX_ATLAS_WIDTH = 2048;
+const FRAME_DURATION = Math.round(1000 / 15);  // One game tick, in ms (Aseprite)
+const SLICE_COLOR = '#0000ffff';
+
+/**
+ * Atlas name of a frame, e.g. "HOVERBOT_03". Names come from RAW_NAMES,
+ * falling back to the atlas entry's own name for actors missing there.
+ */
+export function actorFrameName(actor, frameIndex) {
+    return `${actorBaseName(actor)}_${String(frameIndex).padStart(2, '0')}`;
+}
+
+function actorBaseName(actor) {
+    return RAW_NAMES[actor.actorNum] || (actor.name ? actor.name.toUpperCase() : `ACTOR_${actor.actorNum}`);
+}
+
+/**
+ * Box around a bitmap's non-transparent pixels. Empty frames shrink to
+ * their top-left pixel so they still get an entry.
+ */
+function opaqueBounds(bitmap) {
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+
+    let left = bitmap.width, top = bitmap.height, right = -1, bottom = -1;
+    for (let y = 0; y < bitmap.height; y++) {
+        for (let x = 0; x < bitmap.width; x++) {
+            if (data[(y * bitmap.width + x) * 4 + 3] === 0) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+        }
+    }
+
+    if (right < 0) return { x: 0, y: 0, w: 1, h: 1 };
+    return { x: left, y: top, w: right - left + 1, h: bottom - top + 1 };
+}
+
+/**
+ * Decodes every frame of every actor and packs them into rows (tallest first)
+ * @param {ActorManager} actorManager - With the actor atlas and ACTORS.MNI loaded
+ * @param {{trim?: boolean, padding?: number}} options - Trim transparent borders;
+ *   empty pixels around and between frames (keeps filtering from bleeding)
+ * @returns {Promise<{canvas: HTMLCanvasElement, sprites: object[]}|null>}
+ *   sprites are in actor / frame order: name, actorNum, actorName, frameIndex,
+ *   frame (rect in the atlas), trim (rect inside the untrimmed frame),
+ *   source (untrimmed size) and anchor (pixel of the untrimmed frame that
+ *   sits on the actor's position)
+ */
+export async function packActorAtlas(actorManager, { trim = true, padding = 2 } = {}) {
+    if (!actorManager.actorAtlas) return null;
+
+    const sprites = [];
+    const actors = [...actorManager.actorAtlas].sort((a, b) => a.actorNum - b.actorNum);
+    for (const actor of actors) {
+        const count = actor.frames?.length || 0;
+        for (let frameIndex = 0; frameIndex < count; frameIndex++) {
+            const sprite = await actorManager.getSpriteBitmapDirect(actor.actorNum, frameIndex);
+            if (!sprite) continue;
+
+            const { bitmap } = sprite;
+            const origin = ActorFrameBrowser.frameOrigin(sprite);
+            sprites.push({
+                name: actorFrameName(actor, frameIndex),
+                actorNum: actor.actorNum,
+                actorName: actorBaseName(actor),
+                frameIndex,
+                bitmap,
+                trim: trim ? opaqueBounds(bitmap) : { x: 0, y: 0, w: bitmap.width, h: bitmap.height },
+                source: { w: bitmap.width, h: bitmap.height },
+                anchor: { x: -origin.x, y: -origin.y }
+            });
+        }
+    }
+    if (sprites.length === 0) return null;
+
+    // Roughly square, but never narrower than the widest frame
+    const area = sprites.reduce((sum, s) => sum + (s.trim.w + padding) * (s.trim.h + padding), 0);
+    const widest = Math.max(...sprites.map(s => s.trim.w)) + padding * 2;
+    const width = Math.min(MAX_ATLAS_WIDTH, Math.max(widest, Math.ceil(Math.sqrt(area))));
+
+    const byHeight = [...sprites].sort((a, b) => b.trim.h - a.trim.h || b.trim.w - a.trim.w);
+    let x = padding, y = padding, rowHeight = 0, usedWidth = 0;
+    for (const sprite of byHeight) {
+        if (x + sprite.trim.w + padding > width && x > padding) {
+            x = padding;
+            y += rowHeight + padding;
+            rowHeight = 0;
+        }
+        sprite.frame = { x, y, w: sprite.trim.w, h: sprite.trim.h };
+        x += sprite.trim.w + padding;
+        rowHeight = Math.max(rowHeight, sprite.trim.h);
+        usedWidth = Math.max(usedWidth, x);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = usedWidth;
+    canvas.height = y + rowHeight + padding;
+    const ctx = canvas.getContext('2d');
+    for (const s of sprites) {
+        ctx.drawImage(s.bitmap, s.trim.x, s.trim.y, s.trim.w, s.trim.h, s.frame.x, s.frame.y, s.frame.w, s.frame.h);
+    }
+
+    return { canvas, sprites };
+}
+
+// ─── METADATA FORMATS ────────────────────────────────────────────────────
+
+function frameEntry(sprite) {
+    return {
+        frame: { ...sprite.frame },
+        rotated: false,
+        trimmed: sprite.trim.w !== sprite.source.w || sprite.trim.h !== sprite.source.h,
+        spriteSourceSize: { ...sprite.trim },
+        sourceSize: { ...sprite.source }
+    };
+}
+
+// Pivot as a fraction of the untrimmed frame (may lie outside 0..1)
+function texturePackerEntry(sprite) {
+    return {
+        ...frameEntry(sprite),
+        pivot: {
+            x: +(sprite.anchor.x / sprite.source.w).toFixed(4),
+            y: +(sprite.anchor.y / sprite.source.h).toFixed(4)
+        }
+    };
+}
+
+function texturePackerMeta(atlas, image) {
+    return {
+        app: 'https://www.codeandweb.com/texturepacker',
+        version: '1.0',
+        image,
+        format: 'RGBA8888',
+        size: { w: atlas.canvas.width, h: atlas.canvas.height },
+        scale: '1'
+    };
+}
+
+/**
+ * TexturePacker "JSON (Hash)": frames keyed by name
+ */
+export function toTexturePackerHash(atlas, image) {
+    const frames = {};
+    for (const sprite of atlas.sprites) frames[sprite.name] = texturePackerEntry(sprite);
+    return JSON.stringify({ frames, meta: texturePackerMeta(atlas, image) }, null, 2);
+}
+
+/**
+ * TexturePacker "JSON (Array)": frames in order, each with its filename
+ */
+export function toTexturePackerArray(atlas, image) {
+    const frames = atlas.sprites.map(sprite => ({ filename: sprite.name, ...texturePackerEntry(sprite) }));
+    return JSON.stringify({ frames, meta: texturePackerMeta(atlas, image) }, null, 2);
+}
+
+/**
+ * Aseprite sprite sheet JSON (array). Each actor becomes a frame tag, and a
+ * slice of the same name carries the anchor of every frame as its pivot.
+ */
+export function toAsepriteJson(atlas, image) {
+    const frames = atlas.sprites.map(sprite => ({
+        filename: sprite.name,
+        ...frameEntry(sprite),
+        duration: FRAME_DURATION
+    }));
+
+    const frameTags = [];
+    const slices = [];
+    atlas.sprites.forEach((sprite, i) => {
+        let tag = frameTags[frameTags.length - 1];
+        if (!tag || tag.name !== sprite.actorName) {
+            tag = { name: sprite.actorName, from: i, to: i, direction: 'forward' };
+            frameTags.push(tag);
+            slices.push({ name: sprite.actorName, color: SLICE_COLOR, keys: [] });
+        }
+        tag.to = i;
+        slices[slices.length - 1].keys.push({
+            frame: i,
+            bounds: { x: 0, y: 0, w: sprite.source.w, h: sprite.source.h },
+            pivot: { ...sprite.anchor }
+        });
+    });
+
+    return JSON.stringify({
+        frames,
+        meta: {
+            app: 'https://www.aseprite.org/',
+            version: '1.3',
+            image,
+            format: 'RGBA8888',
+            size: { w: atlas.canvas.width, h: atlas.canvas.height },
+            scale: '1',
+            frameTags,
+            layers: [],
+            slices
+        }
+    }, null, 2);
+}
+
+/**
+ * One row per frame; positions in pixels, anchor relative to the untrimmed frame
+ */
+export function toCsv(atlas) {
+    const rows = [['name', 'actor', 'frame', 'x', 'y', 'w', 'h', 'trim_x', 'trim_y', 'source_w', 'source_h', 'anchor_x', 'anchor_y']];
+    for (const s of atlas.sprites) {
+        rows.push([s.name, s.actorNum, s.frameIndex, s.frame.x, s.frame.y, s.frame.w, s.frame.h,
+            s.trim.x, s.trim.y, s.source.w, s.source.h, s.anchor.x, s.anchor.y]);
+    }
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Metadata files written next to the atlas image: suffix of the file name and writer
+ */
+export const ATLAS_FORMATS = [
+    { id: 'texturepacker-hash', label: 'TexturePacker JSON (Hash)', suffix: '.json', write: toTexturePackerHash },
+    { id: 'texturepacker-array', label: 'TexturePacker JSON (Array)', suffix: '_array.json', write: toTexturePackerArray },
+    { id: 'aseprite', label: 'Aseprite JSON', suffix: '_aseprite.json', write: toAsepriteJson },
+    { id: 'csv', label: 'CSV', suffix: '.csv', write: toCsv }
+];
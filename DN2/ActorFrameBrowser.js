@@ -0,0 +1,365 @@
+/**
+ * ActorFrameBrowser.js
+ * Every frame of one actor for the detail overlay: a filmstrip of the decoded
+ * frames, an animation preview that lines frames up the way the game does
+ * (on the bottom-left corner of the actor's origin tile, shifted by each
+ * frame's hotspot) and a sprite sheet + JSON atlas export.
+ */
+
+const TILE_SIZE = 8;
+const STRIP_ZOOM = 2;
+const PREVIEW_SIZE = 320;           // Preview fits the aligned frames into this many pixels
+const MAX_PREVIEW_ZOOM = 6;
+const SHEET_MAX_WIDTH = 512;
+const SHEET_PADDING = 1;
+const ONION_ALPHA = [0.35, 0.2, 0.1];  // Previous frames, nearest first
+const DEFAULT_FPS = 10;
+
+export class ActorFrameBrowser {
+    constructor(actorManager) {
+        this.actorManager = actorManager;
+        this.actor = null;           // Atlas entry being browsed
+        this.frames = [];            // { index, bitmap, hotspotX, hotspotY, included }, decodable frames only
+        this.position = 0;           // Index into frames
+        this.playing = true;
+        this.fps = DEFAULT_FPS;
+        this.onion = 0;              // Previous frames drawn faded behind the current one
+        this.bounds = null;          // Pixel box around every frame, relative to the anchor
+        this.zoom = 1;
+        this.canvas = null;
+        this.strip = null;
+        this.status = null;
+        this.playButton = null;
+        this.frameRequest = null;
+        this.lastTime = 0;
+        this.elapsed = 0;
+        this.showToken = 0;          // Bumped by show() and close(); stale decodes check it
+        this.onExport = null;        // Called when the Export button is pressed
+    }
+
+    /**
+     * Decodes all frames of an actor and builds the browser into container
+     */
+    async show(container, actorNum) {
+        this.stop();
+        const token = ++this.showToken;
+        container.innerHTML = '';
+
+        const am = this.actorManager;
+        this.actor = am.actorAtlas?.find(a => a.actorNum === actorNum) || null;
+        const count = this.actor?.frames?.length || 0;
+
+        const decoded = await Promise.all(
+            Array.from({ length: count }, (_, i) => am.getSpriteBitmapDirect(actorNum, i))
+        );
+        // Another actor was opened, or the browser closed, while these were decoding
+        if (token !== this.showToken || this.actor?.actorNum !== actorNum) return;
+
+        this.frames = decoded
+            .map((sprite, index) => sprite && { index, ...sprite, included: true })
+            .filter(Boolean);
+        this.position = 0;
+
+        if (this.frames.length === 0) {
+            container.textContent = count ? 'None of this actor\'s frames could be decoded.' : 'This actor has no frames.';
+            return;
+        }
+
+        this.bounds = ActorFrameBrowser.alignedBounds(this.frames);
+        this.zoom = Math.max(1, Math.min(MAX_PREVIEW_ZOOM,
+            Math.floor(PREVIEW_SIZE / Math.max(this.bounds.width, this.bounds.height))));
+
+        container.appendChild(this.createPreview());
+        container.appendChild(this.createStrip());
+        this.draw();
+        this.setPlaying(this.playing);
+    }
+
+    /**
+     * Top-left of a frame relative to the actor's anchor point, in pixels.
+     * The game puts the frame's bottom row on the origin tile and then
+     * moves it by the frame's hotspot (in tiles).
+     */
+    static frameOrigin(frame) {
+        const heightTiles = frame.bitmap.height / TILE_SIZE;
+        return {
+            x: frame.hotspotX * TILE_SIZE,
+            y: (frame.hotspotY - heightTiles) * TILE_SIZE
+        };
+    }
+
+    static alignedBounds(frames) {
+        let left = 0, top = -TILE_SIZE, right = TILE_SIZE, bottom = 0;  // Always include the origin tile
+        for (const frame of frames) {
+            const origin = ActorFrameBrowser.frameOrigin(frame);
+            left = Math.min(left, origin.x);
+            top = Math.min(top, origin.y);
+            right = Math.max(right, origin.x + frame.bitmap.width);
+            bottom = Math.max(bottom, origin.y + frame.bitmap.height);
+        }
+        return { left, top, width: right - left, height: bottom - top };
+    }
+
+    createPreview() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'frame-browser-preview';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.bounds.width * this.zoom;
+        this.canvas.height = this.bounds.height * this.zoom;
+        wrapper.appendChild(this.canvas);
+
+        const controls = document.createElement('div');
+        controls.className = 'frame-browser-controls';
+        controls.innerHTML = `
+            <div class="editor-actions">
+                <button class="btn-file-select" data-action="prev" title="Previous frame">⏮</button>
+                <button class="btn-file-select" data-action="play"></button>
+                <button class="btn-file-select" data-action="next" title="Next frame">⏭</button>
+            </div>
+            <label>FPS <input type="range" data-control="fps" min="1" max="30" value="${this.fps}"> <span data-value="fps">${this.fps}</span></label>
+            <label>Onion skin
+                <select data-control="onion">
+                    ${[0, 1, 2, 3].map(n => `<option value="${n}" ${n === this.onion ? 'selected' : ''}>${n === 0 ? 'Off' : `${n} frame${n === 1 ? '' : 's'}`}</option>`).join('')}
+                </select>
+            </label>
+            <div class="frame-browser-status"></div>
+            <button class="btn-file-select" data-action="export" title="Download every frame as a sprite sheet PNG with a JSON atlas">📦 Export Sheet + Atlas</button>
+        `;
+
+        this.playButton = controls.querySelector('[data-action="play"]');
+        this.playButton.onclick = () => { this.setPlaying(!this.playing); };
+        controls.querySelector('[data-action="prev"]').onclick = () => { this.step(-1); };
+        controls.querySelector('[data-action="next"]').onclick = () => { this.step(1); };
+        controls.querySelector('[data-action="export"]').onclick = () => { if (this.onExport) this.onExport(); };
+
+        const fpsInput = controls.querySelector('[data-control="fps"]');
+        fpsInput.oninput = () => {
+            this.fps = Number(fpsInput.value);
+            controls.querySelector('[data-value="fps"]').textContent = this.fps;
+        };
+        const onionInput = controls.querySelector('[data-control="onion"]');
+        onionInput.onchange = () => {
+            this.onion = Number(onionInput.value);
+            this.draw();
+        };
+
+        this.status = controls.querySelector('.frame-browser-status');
+        wrapper.appendChild(controls);
+        return wrapper;
+    }
+
+    createStrip() {
+        this.strip = document.createElement('div');
+        this.strip.className = 'frame-browser-strip';
+
+        for (const frame of this.frames) {
+            const card = document.createElement('div');
+            card.className = 'frame-browser-card';
+            card.title = 'Click to show this frame; untick to leave it out of the animation';
+
+            const canvas = document.createElement('canvas');
+            canvas.width = frame.bitmap.width * STRIP_ZOOM;
+            canvas.height = frame.bitmap.height * STRIP_ZOOM;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(frame.bitmap, 0, 0, canvas.width, canvas.height);
+
+            const label = document.createElement('label');
+            label.innerHTML = `
+                <input type="checkbox" ${frame.included ? 'checked' : ''}>
+                #${frame.index} · ${frame.bitmap.width / TILE_SIZE}×${frame.bitmap.height / TILE_SIZE} · (${frame.hotspotX}, ${frame.hotspotY})
+            `;
+            const checkbox = label.querySelector('input');
+            checkbox.onchange = () => {
+                frame.included = checkbox.checked;
+                card.classList.toggle('excluded', !frame.included);
+            };
+            label.onclick = (e) => e.stopPropagation();
+
+            card.onclick = () => {
+                this.setPlaying(false);
+                this.position = this.frames.indexOf(frame);
+                this.draw();
+            };
+
+            card.appendChild(canvas);
+            card.appendChild(label);
+            this.strip.appendChild(card);
+        }
+        return this.strip;
+    }
+
+    /**
+     * Moves to the next (or previous) frame that is part of the animation
+     */
+    step(direction) {
+        const count = this.frames.length;
+        for (let i = 1; i <= count; i++) {
+            const next = ((this.position + direction * i) % count + count) % count;
+            if (this.frames[next].included) {
+                this.position = next;
+                break;
+            }
+        }
+        this.draw();
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        if (playing) this.start();
+        else this.stop();
+        if (this.playButton) {
+            this.playButton.textContent = playing ? '⏸' : '▶';
+            this.playButton.title = playing ? 'Pause' : 'Play';
+        }
+    }
+
+    start() {
+        this.stop();
+        this.lastTime = performance.now();
+        this.elapsed = 0;
+
+        const tick = (now) => {
+            this.elapsed = Math.min(this.elapsed + now - this.lastTime, 1000);  // No catch-up after a hidden tab
+            this.lastTime = now;
+            const frameLength = 1000 / this.fps;
+            while (this.elapsed >= frameLength) {
+                this.step(1);
+                this.elapsed -= frameLength;
+            }
+            this.frameRequest = requestAnimationFrame(tick);
+        };
+        this.frameRequest = requestAnimationFrame(tick);
+    }
+
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+
+    /**
+     * Stops playback and drops a show() that is still decoding
+     */
+    close() {
+        this.showToken++;
+        this.stop();
+    }
+
+    /**
+     * Frames drawn in the preview: onion skins (oldest first), then the current one
+     */
+    previewLayers() {
+        const layers = [];
+        const count = this.frames.length;
+        let position = this.position;
+        for (let k = 0; k < this.onion; k++) {
+            // Walk back over frames left out of the animation
+            let previous = position;
+            for (let i = 1; i < count; i++) {
+                const candidate = (position - i + count) % count;
+                if (this.frames[candidate].included) {
+                    previous = candidate;
+                    break;
+                }
+            }
+            if (previous === position || previous === this.position) break;
+            layers.unshift({ frame: this.frames[previous], alpha: ONION_ALPHA[k] });
+            position = previous;
+        }
+        layers.push({ frame: this.frames[this.position], alpha: 1 });
+        return layers;
+    }
+
+    draw() {
+        if (!this.canvas || this.frames.length === 0) return;
+        const ctx = this.canvas.getContext('2d');
+        const zoom = this.zoom;
+        const { left, top } = this.bounds;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.imageSmoothingEnabled = false;
+
+        for (const { frame, alpha } of this.previewLayers()) {
+            const origin = ActorFrameBrowser.frameOrigin(frame);
+            ctx.globalAlpha = alpha;
+            ctx.drawImage(frame.bitmap,
+                (origin.x - left) * zoom, (origin.y - top) * zoom,
+                frame.bitmap.width * zoom, frame.bitmap.height * zoom);
+        }
+        ctx.globalAlpha = 1;
+
+        // Origin tile and anchor crosshair (same colours as the frame table editor)
+        const ax = -left * zoom;
+        const ay = -top * zoom;
+        ctx.strokeStyle = '#f90';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(ax + 0.5, ay - TILE_SIZE * zoom + 0.5, TILE_SIZE * zoom, TILE_SIZE * zoom);
+        ctx.beginPath();
+        ctx.moveTo(ax + 0.5, 0);
+        ctx.lineTo(ax + 0.5, this.canvas.height);
+        ctx.moveTo(0, ay + 0.5);
+        ctx.lineTo(this.canvas.width, ay + 0.5);
+        ctx.stroke();
+
+        const current = this.frames[this.position];
+        if (this.status) {
+            this.status.textContent = `Frame ${current.index} (${this.position + 1}/${this.frames.length})`;
+        }
+        if (this.strip) {
+            [...this.strip.children].forEach((card, i) => card.classList.toggle('active', i === this.position));
+        }
+    }
+
+    /**
+     * Packs every decoded frame into rows and describes where each one went
+     * @returns {{canvas: HTMLCanvasElement, atlas: object}|null}
+     *   atlas.frames[]: x, y, w, h (pixels in the sheet), hotspot (ACTRINFO
+     *   tiles) and anchor (pixel inside the frame that sits on the actor's position)
+     */
+    buildSpriteSheet() {
+        if (!this.actor || this.frames.length === 0) return null;
+
+        const placed = [];
+        let x = SHEET_PADDING, y = SHEET_PADDING, rowHeight = 0, sheetWidth = 0;
+        for (const frame of this.frames) {
+            const { width, height } = frame.bitmap;
+            if (x + width + SHEET_PADDING > SHEET_MAX_WIDTH && x > SHEET_PADDING) {
+                x = SHEET_PADDING;
+                y += rowHeight + SHEET_PADDING;
+                rowHeight = 0;
+            }
+            placed.push({ frame, x, y });
+            x += width + SHEET_PADDING;
+            rowHeight = Math.max(rowHeight, height);
+            sheetWidth = Math.max(sheetWidth, x);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = sheetWidth;
+        canvas.height = y + rowHeight + SHEET_PADDING;
+        const ctx = canvas.getContext('2d');
+        placed.forEach(p => ctx.drawImage(p.frame.bitmap, p.x, p.y));
+
+        const atlas = {
+            actor: this.actor.name,
+            actorNum: this.actor.actorNum,
+            palette: Number(this.actor.palette) || 0,
+            size: { w: canvas.width, h: canvas.height },
+            frames: placed.map(({ frame, x, y }) => {
+                const origin = ActorFrameBrowser.frameOrigin(frame);
+                return {
+                    index: frame.index,
+                    x, y,
+                    w: frame.bitmap.width,
+                    h: frame.bitmap.height,
+                    hotspot: { x: frame.hotspotX, y: frame.hotspotY },
+                    anchor: { x: -origin.x, y: -origin.y }
+                };
+            })
+        };
+        return { canvas, atlas };
+    }
+}
@@ -1,5 +1,11 @@
 import { AssetManager } from './AssetManager.js';
 
+// ACTRINFO.MNI layout: word offset table, then per actor
+// [numFrames u16][drawIndex s16] followed by 16-byte frame records
+const ENTRY_HEADER_SIZE = 4;
+const FRAME_RECORD_SIZE = 16;
+const BYTES_PER_TILE = 40;
+
 export class ActorManager {
     constructor(assets) {
         this.assets = assets; 
@@ -30,11 +36,18 @@ export class ActorManager {
         if (buffer instanceof Uint8Array) this.graphicsData = buffer;
         else if (buffer instanceof ArrayBuffer) this.graphicsData = new Uint8Array(buffer);
         
-        this.spriteCache.clear(); 
-        this.metaframeCache.clear();
+        this.clearCache();
         console.log(`ACTORS.MNI loaded: ${this.graphicsData.length} bytes`);
     }
 
+    /**
+     * Drops decoded sprites so they are rebuilt from the current data and palette
+     */
+    clearCache() {
+        this.spriteCache.clear();
+        this.metaframeCache.clear();
+    }
+
     loadAtlas(jsonData) {
         if (Array.isArray(jsonData)) {
             this.actorAtlas = jsonData;
@@ -93,6 +106,130 @@ export class ActorManager {
         return actors;
     }
 
+    // ─── ACTRINFO FRAME TABLE ────────────────────────────────────────────────
+    // Hotspots are the game's draw offsets, in tiles. The game anchors an
+    // actor at its bottom-left tile: the frame's top-left tile is drawn at
+    // (x + hotspotX, y + hotspotY - heightTiles + 1).
+
+    /**
+     * Byte offset of an actor's entry in ACTRINFO.MNI (0 if it has none)
+     */
+    getInfoEntryOffset(actorNum) {
+        if (!this.infoData || actorNum < 0 || actorNum >= this.numActors) return 0;
+        const tableOffset = actorNum * 2;
+        if (tableOffset + 2 > this.infoData.byteLength) return 0;
+        return this.infoData.getUint16(tableOffset, true) * 2;
+    }
+
+    /**
+     * Reads an actor's frame records straight from ACTRINFO.MNI
+     */
+    readInfoFrames(actorNum) {
+        const offset = this.getInfoEntryOffset(actorNum);
+        if (offset === 0 || offset + ENTRY_HEADER_SIZE > this.infoData.byteLength) return null;
+
+        const numFrames = this.infoData.getUint16(offset, true);
+        const drawIndex = this.infoData.getInt16(offset + 2, true);
+        const frames = [];
+
+        for (let i = 0; i < numFrames; i++) {
+            const pos = offset + ENTRY_HEADER_SIZE + i * FRAME_RECORD_SIZE;
+            if (pos + FRAME_RECORD_SIZE > this.infoData.byteLength) break;
+            frames.push({
+                hotspotX: this.infoData.getInt16(pos, true),
+                hotspotY: this.infoData.getInt16(pos + 2, true),
+                heightTiles: this.infoData.getUint16(pos + 4, true),
+                widthTiles: this.infoData.getUint16(pos + 6, true),
+                dataOffset: this.infoData.getUint32(pos + 8, true)
+            });
+        }
+
+        return { actorNum, offset, numFrames, drawIndex, frames };
+    }
+
+    /**
+     * Writes changed fields of one frame record back into ACTRINFO.MNI.
+     * The atlas copy is kept in step so the viewers pick up the edit.
+     */
+    updateInfoFrame(actorNum, frameIndex, changes) {
+        const entry = this.readInfoFrames(actorNum);
+        if (!entry || frameIndex >= entry.frames.length) return false;
+
+        const frame = { ...entry.frames[frameIndex], ...changes };
+        const pos = entry.offset + ENTRY_HEADER_SIZE + frameIndex * FRAME_RECORD_SIZE;
+        this.infoData.setInt16(pos, frame.hotspotX, true);
+        this.infoData.setInt16(pos + 2, frame.hotspotY, true);
+        this.infoData.setUint16(pos + 4, frame.heightTiles, true);
+        this.infoData.setUint16(pos + 6, frame.widthTiles, true);
+        this.infoData.setUint32(pos + 8, frame.dataOffset, true);
+
+        const atlasFrame = this.getActorMetadata(actorNum)?.frames?.[frameIndex];
+        if (atlasFrame) Object.assign(atlasFrame, changes);
+
+        this.invalidateActor(actorNum);
+        return true;
+    }
+
+    /**
+     * Drops cached bitmaps so an edited actor is decoded again.
+     * Metaframes can borrow frames from other actors, so they all go.
+     */
+    invalidateActor(actorNum) {
+        for (const key of this.spriteCache.keys()) {
+            if (key.startsWith(`${actorNum}_`)) this.spriteCache.delete(key);
+        }
+        this.metaframeCache.clear();
+    }
+
+    /**
+     * Checks every frame record against ACTRINFO.MNI and ACTORS.MNI
+     * @returns {Array<{actorNum, frameIndex, message}>} Empty when valid
+     */
+    validateInfo() {
+        const problems = [];
+        if (!this.infoData) return problems;
+
+        for (let actorNum = 0; actorNum < this.numActors; actorNum++) {
+            const offset = this.getInfoEntryOffset(actorNum);
+            if (offset === 0) continue;
+
+            const entry = this.readInfoFrames(actorNum);
+            if (!entry) {
+                problems.push({ actorNum, frameIndex: null, message: `entry at ${offset} is past the end of ACTRINFO.MNI` });
+                continue;
+            }
+            if (entry.frames.length < entry.numFrames) {
+                problems.push({ actorNum, frameIndex: null, message: `${entry.numFrames} frames declared, only ${entry.frames.length} fit in ACTRINFO.MNI` });
+            }
+
+            entry.frames.forEach((frame, frameIndex) => {
+                const message = this.validateFrame(frame);
+                if (message) problems.push({ actorNum, frameIndex, message });
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * Checks one frame record's graphics fit inside ACTORS.MNI
+     * @returns {string|null} Problem description, or null when valid
+     */
+    validateFrame(frame) {
+        const end = frame.dataOffset + frame.widthTiles * frame.heightTiles * BYTES_PER_TILE;
+        if (this.graphicsData && end > this.graphicsData.length) {
+            return `data ends at ${end}, past ACTORS.MNI (${this.graphicsData.length} bytes)`;
+        }
+        return null;
+    }
+
+    /**
+     * Returns the (possibly edited) ACTRINFO.MNI bytes
+     */
+    buildInfo() {
+        if (!this.infoData) return null;
+        return new Uint8Array(this.infoData.buffer.slice(0));
+    }
+
     // ─── CORE SPRITE RETRIEVAL ───────────────────────────────────────────────
 
     async getSpriteBitmapDirect(actorNum, frameIndex = 0) {
@@ -107,15 +244,24 @@ export class ActorManager {
         if (!actor) return null;
 
         if (!actor.frames || frameIndex >= actor.frames.length) return null;
-        const frame = actor.frames[frameIndex];
-        
+        const result = await this.decodeFrame(actor.frames[frameIndex], Number(actor.palette) || 0);
+        if (!result) return null;
+
+        this.spriteCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Decodes one frame record (atlas or ACTRINFO) from ACTORS.MNI.
+     * Returns null for empty, oversized or out-of-range frames.
+     */
+    async decodeFrame(frame, paletteId = 0) {
+        if (!this.graphicsData) return null;
         if (frame.widthTiles === 0 || frame.heightTiles === 0) return null;
         if (frame.widthTiles > 20 || frame.heightTiles > 20) return null; 
 
-        const totalSize = frame.widthTiles * frame.heightTiles * 40; 
+        const totalSize = frame.widthTiles * frame.heightTiles * BYTES_PER_TILE; 
         if (frame.dataOffset + totalSize > this.graphicsData.length) return null;
-
-        const paletteId = Number(actor.palette) || 0;
         
         const TILE_SIZE = 8;
         const canvas = document.createElement('canvas');
@@ -138,14 +284,11 @@ export class ActorManager {
         }
 
         const finalBmp = await createImageBitmap(canvas);
-        const result = { 
+        return { 
             bitmap: finalBmp, 
             hotspotX: frame.hotspotX || 0, 
             hotspotY: frame.hotspotY || 0 
         };
-
-        this.spriteCache.set(cacheKey, result);
-        return result;
     }
 
     async getSpriteBitmap(actorId, frameIndex = 0) {
@@ -169,14 +312,69 @@ export class ActorManager {
             return await this.getSpriteBitmapDirect(actorNum, 0);
         }
 
+        const result = await this.composeMetaframe(actor, actor.metaframe.layers);
+        if (result) this.metaframeCache.set(actorNum, result);
+        return result;
+    }
+
+    /**
+     * Metaframe with one layer switched to another frame of its source actor
+     * (idle animations). Cached next to the plain metaframes.
+     * @param {number} layerIndex - Metaframe layer to replace
+     * @param {number} frameIndex - Frame to show in that layer
+     */
+    async getMetaframeVariant(actorNum, layerIndex, frameIndex) {
+        const cacheKey = `${actorNum}:${layerIndex}:${frameIndex}`;
+        if (this.metaframeCache.has(cacheKey)) {
+            return this.metaframeCache.get(cacheKey);
+        }
+
+        if (!this.actorAtlas) return null;
+
+        const actor = this.actorAtlas.find(a => a.actorNum === actorNum);
+        if (!actor) return null;
+
+        let result;
+        if (!actor.metaframe || !actor.metaframe.layers || actor.metaframe.layers.length === 0) {
+            result = await this.getSpriteBitmapDirect(actorNum, frameIndex);
+        } else {
+            // The game anchors frames at their bottom-left tile plus the frame's
+            // hotspot, so a taller or shifted frame moves relative to the original
+            const metaframe = actor.metaframe;
+            const sourceNum = metaframe.sourceActorNum !== undefined ? metaframe.sourceActorNum : actorNum;
+            const source = this.actorAtlas.find(a => a.actorNum === sourceNum);
+            const layers = metaframe.layers.map((layer, i) => {
+                if (i !== layerIndex) return layer;
+                const from = source?.frames?.[layer.frameIndex];
+                const to = source?.frames?.[frameIndex];
+                if (!from || !to) return { ...layer, frameIndex };
+                return {
+                    frameIndex,
+                    offsetX: layer.offsetX + ((to.hotspotX || 0) - (from.hotspotX || 0)) * 8,
+                    offsetY: layer.offsetY + (((to.hotspotY || 0) - to.heightTiles) - ((from.hotspotY || 0) - from.heightTiles)) * 8
+                };
+            });
+            result = await this.composeMetaframe(actor, layers);
+        }
+
+        if (result) this.metaframeCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Draws metaframe layers (frames of the actor, or of metaframe.sourceActorNum)
+     * into one bitmap. The hotspot is the metaframe's, moved if the layers
+     * reach further up or left than the metaframe's own layers do.
+     */
+    async composeMetaframe(actor, layers) {
         const metaframe = actor.metaframe;
         
         // Determine which actor to pull frames from
-        const sourceActorNum = metaframe.sourceActorNum !== undefined ? metaframe.sourceActorNum : actorNum;
+        const sourceActorNum = metaframe.sourceActorNum !== undefined ? metaframe.sourceActorNum : actor.actorNum;
         
         const layerBitmaps = [];
         
-        for (const layer of metaframe.layers) {
+        for (const layer of layers) {
             const frameBmp = await this.getSpriteBitmapDirect(sourceActorNum, layer.frameIndex);
             if (frameBmp) {
                 layerBitmaps.push({
@@ -209,15 +407,16 @@ export class ActorManager {
             ctx.drawImage(layer.bitmap, layer.offsetX - minX, layer.offsetY - minY);
         });
 
+        // Top-left of the metaframe's own layout; hotspots are relative to it
+        const originX = Math.min(0, ...metaframe.layers.map(layer => layer.offsetX));
+        const originY = Math.min(0, ...metaframe.layers.map(layer => layer.offsetY));
+
         const finalBmp = await createImageBitmap(canvas);
-        const result = { 
+        return { 
             bitmap: finalBmp, 
-            hotspotX: metaframe.hotspotX || 0, 
-            hotspotY: metaframe.hotspotY || 0 
+            hotspotX: (metaframe.hotspotX || 0) + originX - minX, 
+            hotspotY: (metaframe.hotspotY || 0) + originY - minY 
         };
-        
-        this.metaframeCache.set(actorNum, result);
-        return result;
     }
 
     /**
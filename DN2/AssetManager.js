@@ -220,6 +220,168 @@ export class AssetManager {
         pixels[i+3] = 255;
     }
 
+    // ─── ENCODING HELPERS (Inverse of decodeTile) ───────────────────────────
+
+    /**
+     * Finds the closest of the 16 game palette colors (squared RGB distance).
+     */
+    nearestPaletteIndex(r, g, b, palette = this.palettes[0]) {
+        let best = 0;
+        let bestDist = Infinity;
+        for (let i = 0; i < 16; i++) {
+            const [pr, pg, pb] = palette[i] || [0, 0, 0];
+            const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+                if (dist === 0) break;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Encodes 64 color indices (and an optional mask) into tile bytes.
+     * @param {Uint8Array} colors - 64 palette indices, row-major
+     * @param {Uint8Array|null} mask - 64 mask bits (1 = transparent), masked mode only
+     * @param {string} mode - 'solid_czone' (32 bytes) or 'masked' (40 bytes)
+     */
+    encodeTile(colors, mask, mode) {
+        const TILE_SIZE = 8;
+
+        if (mode === 'solid_czone') {
+            // Per scanline: blue, green, red, intensity plane bytes
+            const out = new Uint8Array(32);
+            for (let y = 0; y < TILE_SIZE; y++) {
+                for (let x = 0; x < TILE_SIZE; x++) {
+                    const c = colors[y * TILE_SIZE + x];
+                    const bit = 7 - x;
+                    for (let plane = 0; plane < 4; plane++) {
+                        out[y * 4 + plane] |= ((c >> plane) & 1) << bit;
+                    }
+                }
+            }
+            return out;
+        }
+
+        if (mode === 'masked') {
+            // Per row: mask byte, then planes 0-3 (same bit stream readEgaMaskPlane/readEgaColorData consume)
+            const out = new Uint8Array(40);
+            for (let y = 0; y < TILE_SIZE; y++) {
+                const rowOffset = y * 5;
+                for (let x = 0; x < TILE_SIZE; x++) {
+                    const i = y * TILE_SIZE + x;
+                    const bit = 7 - x;
+                    out[rowOffset] |= (mask[i] & 1) << bit;
+                    const c = mask[i] ? 0 : colors[i];
+                    for (let plane = 0; plane < 4; plane++) {
+                        out[rowOffset + 1 + plane] |= ((c >> plane) & 1) << bit;
+                    }
+                }
+            }
+            return out;
+        }
+
+        return null;
+    }
+
+    /**
+     * Re-encodes a CZONE file from a tile sheet image.
+     * The sheet uses the generateCZoneSheet layout (40 columns: 1000 solid tiles,
+     * one blank row, then 160 masked tiles). Sheets that stop after the solid
+     * rows leave the masked tiles untouched. The attribute table is kept as-is.
+     * Tiles whose pixels still match the original decode keep their exact bytes.
+     * @param {Uint8Array} data - Original CZONE file
+     * @param {ImageData} image - Imported sheet (any RGBA source, quantized here)
+     * @returns {{data: Uint8Array, solidChanged: number, maskedChanged: number}}
+     */
+    encodeCZoneSheet(data, image) {
+        const COLUMNS = 40;
+        const TILE_SIZE = 8;
+        const SOLID_OFFSET = 3600;
+        const SOLID_COUNT = 1000;
+        const MASKED_OFFSET = 3600 + 32000;
+        const MASKED_COUNT = 160;
+        const solidRows = Math.ceil(SOLID_COUNT / COLUMNS);
+        const maskedStartY = (solidRows + 1) * TILE_SIZE;
+
+        if (!data || data.length < MASKED_OFFSET + MASKED_COUNT * 40) {
+            throw new Error('Not a CZONE file');
+        }
+        if (image.width !== COLUMNS * TILE_SIZE || image.height < solidRows * TILE_SIZE) {
+            throw new Error(`Sheet must be ${COLUMNS * TILE_SIZE} px wide and at least ${solidRows * TILE_SIZE} px tall (got ${image.width}×${image.height})`);
+        }
+
+        const output = new Uint8Array(data);
+        const palette = this.palettes[0];
+        const colorCache = new Map();
+        const includeMasked = image.height >= maskedStartY + Math.ceil(MASKED_COUNT / COLUMNS) * TILE_SIZE;
+
+        const quantize = (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let index = colorCache.get(key);
+            if (index === undefined) {
+                index = this.nearestPaletteIndex(r, g, b, palette);
+                colorCache.set(key, index);
+            }
+            return index;
+        };
+
+        // Reads one 8x8 cell from the sheet; returns true if it differs from the original decode
+        const readTile = (px, py, original, masked, colors, mask) => {
+            let changed = !original;
+            for (let y = 0; y < TILE_SIZE; y++) {
+                for (let x = 0; x < TILE_SIZE; x++) {
+                    const i = y * TILE_SIZE + x;
+                    const src = ((py + y) * image.width + (px + x)) * 4;
+                    const [r, g, b, a] = image.data.subarray(src, src + 4);
+
+                    mask[i] = masked && a < 128 ? 1 : 0;
+                    colors[i] = mask[i] ? 0 : quantize(r, g, b);
+
+                    if (!changed) {
+                        const o = original.data;
+                        const transparent = o[i * 4 + 3] === 0;
+                        if (masked && (transparent !== !!mask[i])) changed = true;
+                        else if (!transparent && (o[i * 4] !== r || o[i * 4 + 1] !== g || o[i * 4 + 2] !== b)) changed = true;
+                    }
+                }
+            }
+            return changed;
+        };
+
+        const colors = new Uint8Array(64);
+        const mask = new Uint8Array(64);
+        let solidChanged = 0;
+        let maskedChanged = 0;
+
+        const solidData = data.subarray(SOLID_OFFSET);
+        for (let i = 0; i < SOLID_COUNT; i++) {
+            const px = (i % COLUMNS) * TILE_SIZE;
+            const py = Math.floor(i / COLUMNS) * TILE_SIZE;
+            const original = this.decodeTile(solidData, i, 'solid_czone', 0);
+            if (readTile(px, py, original, false, colors, mask)) {
+                output.set(this.encodeTile(colors, null, 'solid_czone'), SOLID_OFFSET + i * 32);
+                solidChanged++;
+            }
+        }
+
+        if (includeMasked) {
+            const maskedData = data.subarray(MASKED_OFFSET);
+            for (let i = 0; i < MASKED_COUNT; i++) {
+                const px = (i % COLUMNS) * TILE_SIZE;
+                const py = maskedStartY + Math.floor(i / COLUMNS) * TILE_SIZE;
+                const original = this.decodeTile(maskedData, i, 'masked', 0);
+                if (readTile(px, py, original, true, colors, mask)) {
+                    output.set(this.encodeTile(colors, mask, 'masked'), MASKED_OFFSET + i * 40);
+                    maskedChanged++;
+                }
+            }
+        }
+
+        return { data: output, solidChanged, maskedChanged };
+    }
+
     // ─── GENERATORS ──────────────────────────────────────────────────────────
 
     async decodeFullScreenImage(data) {
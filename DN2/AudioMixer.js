@@ -0,0 +1,117 @@
+/**
+ * AudioMixer.js
+ * One shared AudioContext for all Duke Nukem II audio. Music, digital sound
+ * effects (VOC) and synth sound effects (AdLib / PC Speaker) each play into
+ * their own bus with volume and mute, so effects mix over music like in the
+ * game. Bus settings are kept in localStorage between sessions.
+ */
+
+const STORAGE_KEY = 'dn2-mixer';
+const DEFAULT_VOLUME = 0.8;
+const RAMP_TIME = 0.01;     // Seconds; smooths volume changes to avoid clicks
+
+export const MIXER_BUSES = [
+    { id: 'music', label: 'Music' },
+    { id: 'digital', label: 'Digital SFX' },
+    { id: 'synth', label: 'Synth SFX' }
+];
+
+export class AudioMixer {
+    constructor() {
+        this.ctx = null;
+        this.buses = {};                  // Bus id -> GainNode
+        this.settings = this.loadSettings();  // Bus id -> { volume, muted }
+    }
+
+    loadSettings() {
+        const settings = {};
+        for (const bus of MIXER_BUSES) {
+            settings[bus.id] = { volume: DEFAULT_VOLUME, muted: false };
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            for (const bus of MIXER_BUSES) {
+                const entry = saved[bus.id];
+                if (!entry) continue;
+                if (typeof entry.volume === 'number') settings[bus.id].volume = Math.max(0, Math.min(1, entry.volume));
+                if (typeof entry.muted === 'boolean') settings[bus.id].muted = entry.muted;
+            }
+        } catch (err) {
+            console.warn('AudioMixer: ignoring saved settings', err);
+        }
+        return settings;
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (err) {
+            // Storage disabled or full: settings just won't persist
+        }
+    }
+
+    /**
+     * The shared context; created with its buses on first use
+     */
+    getContext() {
+        if (!this.ctx) {
+            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+            for (const bus of MIXER_BUSES) {
+                const gain = this.ctx.createGain();
+                gain.gain.value = this.effectiveGain(bus.id);
+                gain.connect(this.ctx.destination);
+                this.buses[bus.id] = gain;
+            }
+        }
+        return this.ctx;
+    }
+
+    /**
+     * Returns the context, resumed (browsers start it suspended until a user gesture)
+     */
+    async resume() {
+        const ctx = this.getContext();
+        if (ctx.state === 'suspended') await ctx.resume();
+        return ctx;
+    }
+
+    /**
+     * Input node of a bus ('music', 'digital' or 'synth')
+     */
+    getBus(id) {
+        this.getContext();
+        return this.buses[id];
+    }
+
+    getVolume(id) {
+        return this.settings[id].volume;
+    }
+
+    isMuted(id) {
+        return this.settings[id].muted;
+    }
+
+    setVolume(id, volume) {
+        this.settings[id].volume = Math.max(0, Math.min(1, volume));
+        this.applyGain(id);
+        this.saveSettings();
+    }
+
+    setMuted(id, muted) {
+        this.settings[id].muted = muted;
+        this.applyGain(id);
+        this.saveSettings();
+    }
+
+    effectiveGain(id) {
+        const { volume, muted } = this.settings[id];
+        return muted ? 0 : volume;
+    }
+
+    applyGain(id) {
+        const gain = this.buses[id];
+        if (!gain) return;
+        gain.gain.setTargetAtTime(this.effectiveGain(id), this.ctx.currentTime, RAMP_TIME);
+    }
+}
@@ -4,22 +4,73 @@
  * ADPCM implementation based on Rigel Engine (derived from Sound Blaster firmware).
  */
 export class AudioPlayer {
-    constructor() {
+    /**
+     * @param {AudioMixer} mixer - Shared context; VOCs play into its 'digital' bus
+     */
+    constructor(mixer) {
+        this.mixer = mixer;
         this.ctx = null;
         this.currentSource = null;
+        this.startTime = 0;        // Context time the current source started
+        this.startOffset = 0;      // Position in the VOC (seconds) it started from
     }
 
     init() {
         if (!this.ctx) {
-            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+            this.ctx = this.mixer.getContext();
         }
     }
 
-    async playVoc(buffer) {
+    /**
+     * Plays a VOC file, its blocks back to back
+     * @param {number} [startSeconds] - Position to start from
+     */
+    async playVoc(buffer, startSeconds = 0) {
+        const rendered = this.renderVoc(buffer);
+        if (!rendered) return;
+        await this.playRendered(rendered, startSeconds);
+    }
+
+    /**
+     * Plays the result of renderVoc() from a position, replacing any VOC still playing
+     */
+    async playRendered(rendered, startSeconds = 0) {
         this.init();
         if (this.ctx.state === 'suspended') await this.ctx.resume();
 
-        // Stop any currently playing VOC before starting a new one
+        this.stop();
+
+        const samples = rendered.channels[0];
+        if (samples.length === 0) return;
+
+        const audioBuffer = this.ctx.createBuffer(1, samples.length, rendered.sampleRate);
+        audioBuffer.getChannelData(0).set(samples);
+
+        const source = this.ctx.createBufferSource();
+        source.buffer = audioBuffer;
+
+        // Add gain node for volume control
+        const gainNode = this.ctx.createGain();
+        gainNode.gain.value = 0.25; // 50% volume (adjust to taste: 0.3-0.7)
+
+        source.connect(gainNode);
+        gainNode.connect(this.mixer.getBus('digital'));
+
+        // Clean up reference when audio finishes
+        source.onended = () => {
+            if (this.currentSource === source) {
+                this.currentSource = null;
+            }
+        };
+
+        const offset = Math.max(0, Math.min(startSeconds, audioBuffer.duration));
+        this.currentSource = source;
+        this.startTime = this.ctx.currentTime;
+        this.startOffset = offset;
+        source.start(0, offset);
+    }
+
+    stop() {
         if (this.currentSource) {
             try {
                 this.currentSource.stop();
@@ -28,7 +79,21 @@ export class AudioPlayer {
             }
             this.currentSource = null;
         }
+    }
 
+    /**
+     * Seconds into the playing VOC, or null when nothing is playing
+     */
+    getPlaybackPosition() {
+        if (!this.currentSource) return null;
+        return this.startOffset + (this.ctx.currentTime - this.startTime);
+    }
+
+    /**
+     * Parses a Creative Voice File into playable 8-bit PCM blocks.
+     * @returns {{blocks: Array<{type, offset, codec, sampleRate, pcm}>}|null} null if not a VOC
+     */
+    decodeVoc(buffer) {
         const data = new Uint8Array(buffer);
         let offset = 0;
 
@@ -37,7 +102,7 @@ export class AudioPlayer {
         for (let i = 0; i < headerSig.length; i++) {
             if (data[i] !== headerSig.charCodeAt(i)) {
                 console.error("Invalid VOC Header");
-                return;
+                return null;
             }
         }
         
@@ -45,6 +110,8 @@ export class AudioPlayer {
         const dataStart = data[20] | (data[21] << 8);
         offset = dataStart;
 
+        const blocks = [];
+
         // 2. Parse Blocks
         // Track state for Block Type 2/8 combinations
         let lastSampleRate = 11025; // Default fallback
@@ -56,6 +123,7 @@ export class AudioPlayer {
         this.adpcmStep = 1;
         
         while (offset < data.length) {
+            const blockOffset = offset;
             const blockType = data[offset];
             offset++; 
 
@@ -93,9 +161,9 @@ export class AudioPlayer {
                     console.log(`Decompressed to ${audioData.length} PCM samples`);
                 }
                 
-                // Play it (codec 0x00 is already PCM, others are now decompressed)
+                // Keep it (codec 0x00 is already PCM, others are now decompressed)
                 if (codec === 0x00 || codec === 0x01 || codec === 0x02 || codec === 0x03) {
-                    this.playPcmBuffer(audioData, sampleRate);
+                    blocks.push({ type: 1, offset: blockOffset, codec, sampleRate, pcm: audioData });
                 } else {
                     console.warn(`Unsupported codec in Block 1: ${codec}`);
                 }
@@ -120,9 +188,9 @@ export class AudioPlayer {
                     console.log(`Decompressed to ${audioData.length} PCM samples`);
                 }
                 
-                // Play it
+                // Keep it
                 if (lastCodec === 0x00 || lastCodec === 0x01 || lastCodec === 0x02 || lastCodec === 0x03) {
-                    this.playPcmBuffer(audioData, lastSampleRate);
+                    blocks.push({ type: 2, offset: blockOffset, codec: lastCodec, sampleRate: lastSampleRate, pcm: audioData });
                 } else {
                     console.warn(`Unsupported codec in Block 2: ${lastCodec}`);
                 }
@@ -138,7 +206,7 @@ export class AudioPlayer {
                 
                 // Create silence buffer
                 const silenceData = new Uint8Array(silenceLen + 1).fill(128); // 128 = silence in 8-bit unsigned
-                this.playPcmBuffer(silenceData, sampleRate);
+                blocks.push({ type: 3, offset: blockOffset, codec: 0x00, sampleRate, pcm: silenceData });
                 
                 offset += len;
             }
@@ -167,9 +235,9 @@ export class AudioPlayer {
                 
                 const pcmData = data.subarray(offset + 12, offset + len);
                 
-                // Play it (only if 8-bit unsigned PCM, mono)
+                // Keep it (only if 8-bit unsigned PCM, mono)
                 if (codec === 0x00 && bitsPerSample === 8 && channels === 1) {
-                    this.playPcmBuffer(pcmData, sampleRate);
+                    blocks.push({ type: 9, offset: blockOffset, codec, sampleRate, pcm: pcmData });
                 } else {
                     console.warn(`Unsupported format in Block 9: ${bitsPerSample}-bit, codec=${codec}, ${channels}ch`);
                 }
@@ -182,38 +250,44 @@ export class AudioPlayer {
                 offset += len;
             }
         }
+
+        return { blocks };
     }
 
-    playPcmBuffer(pcmData, sampleRate) {
-                
-        const audioBuffer = this.ctx.createBuffer(1, pcmData.length, sampleRate);
-        const channel = audioBuffer.getChannelData(0);
-        
-        // Convert 8-bit Unsigned (0..255) to Float32 (-1.0..1.0)
-        // Silence is 128.
-        for (let i = 0; i < pcmData.length; i++) {
-            channel[i] = (pcmData[i] - 128) / 128.0;
-        }
+    /**
+     * Renders a VOC file to one mono Float32 channel for playback and WAV export.
+     * Blocks are joined end to end at the first block's sample rate; `blocks`
+     * records where each one landed (start/length in output samples).
+     * @returns {{sampleRate: number, channels: Float32Array[], blocks: Array}|null}
+     */
+    renderVoc(buffer) {
+        const voc = this.decodeVoc(buffer);
+        if (!voc || voc.blocks.length === 0) return null;
 
-        const source = this.ctx.createBufferSource();
-        source.buffer = audioBuffer;
-        
-        // Add gain node for volume control
-        const gainNode = this.ctx.createGain();
-        gainNode.gain.value = 0.25; // 50% volume (adjust to taste: 0.3-0.7)
-        
-        source.connect(gainNode);
-        gainNode.connect(this.ctx.destination);
-        
-        // Clean up reference when audio finishes
-        source.onended = () => {
-            if (this.currentSource === source) {
-                this.currentSource = null;
+        const sampleRate = voc.blocks[0].sampleRate;
+        const parts = voc.blocks.map(block => {
+            // Nearest-sample resample for blocks recorded at another rate
+            const ratio = block.sampleRate / sampleRate;
+            const length = Math.round(block.pcm.length / ratio);
+            const part = new Float32Array(length);
+            for (let i = 0; i < length; i++) {
+                const src = Math.min(block.pcm.length - 1, Math.floor(i * ratio));
+                part[i] = (block.pcm[src] - 128) / 128.0;
             }
-        };
-        
-        this.currentSource = source;
-        source.start();
+            return part;
+        });
+
+        const output = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+        const blocks = [];
+        let pos = 0;
+        parts.forEach((part, i) => {
+            const { type, offset, codec, sampleRate: blockRate } = voc.blocks[i];
+            blocks.push({ type, offset, codec, sampleRate: blockRate, start: pos, length: part.length });
+            output.set(part, pos);
+            pos += part.length;
+        });
+
+        return { sampleRate, channels: [output], blocks };
     }
 
     /**
@@ -1,11 +1,18 @@
 /**
  * FileSystem.js
- * Handles reading the NUKEM2.CMP archive.
+ * Handles reading and writing the NUKEM2.CMP archive.
  */
 
+// CMP Constants from ModdingWiki 
+const FAT_SIZE = 4000;
+const ENTRY_SIZE = 20; // 12 (name) + 4 (offset) + 4 (size)
+const NAME_LENGTH = 12;
+const MAX_ENTRIES = FAT_SIZE / ENTRY_SIZE; // 200
+
 export class FileSystem {
     constructor() {
         this.files = new Map(); // Stores filename -> { offset, size, data }
+        this.modified = false;  // True once an entry has been added, replaced or removed
     }
 
     /**
@@ -15,17 +22,14 @@ export class FileSystem {
         const buffer = await file.arrayBuffer();
         const data = new DataView(buffer);
         
-        // CMP Constants from ModdingWiki 
-        const FAT_SIZE = 4000;
-        const ENTRY_SIZE = 20; // 12 (name) + 4 (offset) + 4 (size)
-        
         console.log("Parsing NUKEM2.CMP FAT...");
         this.files.clear();
+        this.modified = false;
 
         for (let i = 0; i < FAT_SIZE; i += ENTRY_SIZE) {
             // 1. Read Filename (12 bytes, null-terminated or space-padded)
             let name = "";
-            for (let j = 0; j < 12; j++) {
+            for (let j = 0; j < NAME_LENGTH; j++) {
                 const char = data.getUint8(i + j);
                 if (char === 0) break; // Null terminator
                 name += String.fromCharCode(char);
@@ -59,4 +63,73 @@ export class FileSystem {
         if (entry) return entry.data;
         return null;
     }
-}
\ No newline at end of file
+
+    /**
+     * Add a new entry or replace an existing one.
+     * Replaced entries keep their position in the FAT; new ones are appended.
+     * The offset stays null until the archive is rebuilt.
+     */
+    setFile(filename, data) {
+        const name = filename.toUpperCase();
+        if (name.length === 0 || name.length > NAME_LENGTH) {
+            throw new Error(`Invalid CMP entry name "${filename}" (1-${NAME_LENGTH} characters)`);
+        }
+        if (!this.files.has(name) && this.files.size >= MAX_ENTRIES) {
+            throw new Error(`CMP FAT is full (${MAX_ENTRIES} entries)`);
+        }
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.files.set(name, { offset: null, size: bytes.length, data: bytes });
+        this.modified = true;
+    }
+
+    /**
+     * Remove an entry. Returns true if it existed.
+     */
+    removeFile(filename) {
+        const removed = this.files.delete(filename.toUpperCase());
+        if (removed) this.modified = true;
+        return removed;
+    }
+
+    /**
+     * Serializes the current files Map into a CMP archive.
+     * Layout: 4000-byte FAT (200 x 20-byte entries), then the file data
+     * packed back to back in FAT order. Unused FAT slots are zero-filled.
+     * @returns {Uint8Array} The complete archive
+     */
+    buildCMP() {
+        if (this.files.size > MAX_ENTRIES) {
+            throw new Error(`Too many files for CMP FAT: ${this.files.size} (max ${MAX_ENTRIES})`);
+        }
+
+        let totalSize = FAT_SIZE;
+        for (const entry of this.files.values()) totalSize += entry.data.length;
+
+        const output = new Uint8Array(totalSize);
+        const view = new DataView(output.buffer);
+
+        let fatPos = 0;
+        let dataPos = FAT_SIZE;
+
+        for (const [name, entry] of this.files) {
+            // 1. Filename (null-padded to 12 bytes)
+            for (let j = 0; j < name.length; j++) {
+                output[fatPos + j] = name.charCodeAt(j) & 0xFF;
+            }
+
+            // 2. Recomputed Offset and Size (Little Endian)
+            view.setUint32(fatPos + 12, dataPos, true);
+            view.setUint32(fatPos + 16, entry.data.length, true);
+
+            // 3. File data
+            output.set(entry.data, dataPos);
+
+            fatPos += ENTRY_SIZE;
+            dataPos += entry.data.length;
+        }
+
+        console.log(`Built CMP: ${this.files.size} files, ${totalSize} bytes`);
+        return output;
+    }
+}
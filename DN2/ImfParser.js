@@ -0,0 +1,168 @@
+/**
+ * ImfParser.js
+ * Decodes an IMF command stream (register, value, 16-bit delay) into the
+ * notes and instrument changes of the nine OPL2 melodic channels.
+ */
+
+const IMF_TICK_RATE = 280;           // DN2 music timer (Hz)
+const OPL_CLOCK_RATE = 49716;        // OPL2 sample rate used by the F-number formula
+const NUM_CHANNELS = 9;
+
+// Modulator operator offset for each channel (the carrier is +3)
+const MODULATOR_OFFSETS = [0x00, 0x01, 0x02, 0x08, 0x09, 0x0A, 0x10, 0x11, 0x12];
+const OPERATOR_REGISTERS = [0x20, 0x40, 0x60, 0x80, 0xE0];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Operator offset -> { channel, isCarrier }
+const OPERATOR_SLOTS = new Map();
+MODULATOR_OFFSETS.forEach((offset, channel) => {
+    OPERATOR_SLOTS.set(offset, { channel, isCarrier: false });
+    OPERATOR_SLOTS.set(offset + 3, { channel, isCarrier: true });
+});
+
+export class ImfParser {
+    constructor() {
+        this.tickRate = IMF_TICK_RATE;
+        this.totalTicks = 0;
+        this.channels = [];     // Per channel: { notes, instrumentChanges }
+        this.instruments = [];  // Unique patches in order of first use: { id, registers }
+    }
+
+    /**
+     * Frequency in Hz of an OPL F-number/block pair
+     */
+    static frequency(fnum, block) {
+        return fnum * OPL_CLOCK_RATE / Math.pow(2, 20 - block);
+    }
+
+    /**
+     * Fractional MIDI note number of an OPL F-number/block pair (69 = A4)
+     */
+    static midiNote(fnum, block) {
+        if (fnum === 0) return 0;
+        return 69 + 12 * Math.log2(ImfParser.frequency(fnum, block) / 440);
+    }
+
+    static noteName(midi) {
+        const note = Math.round(midi);
+        return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+    }
+
+    parse(buffer) {
+        const data = new Uint8Array(buffer);
+
+        this.totalTicks = 0;
+        this.instruments = [];
+        this.channels = Array.from({ length: NUM_CHANNELS }, () => ({ notes: [], instrumentChanges: [] }));
+
+        const registers = new Uint8Array(256);
+        const instrumentIds = new Map();     // Patch signature -> instrument id
+        const state = Array.from({ length: NUM_CHANNELS }, () => ({
+            fnum: 0, block: 0, keyOn: false, note: null,
+            instrument: -1, patchDirty: true
+        }));
+
+        const pitchChanged = (channel, tick) => {
+            const s = state[channel];
+            if (!s.keyOn || !s.note) return;
+            const last = s.note.bends.length ? s.note.bends[s.note.bends.length - 1] : s.note;
+            if (last.fnum === s.fnum && last.block === s.block) return;
+            s.note.bends.push({
+                tick, fnum: s.fnum, block: s.block,
+                midi: ImfParser.midiNote(s.fnum, s.block)
+            });
+        };
+
+        // The patch in effect at key-on: numbered by first appearance
+        const resolveInstrument = (channel, tick) => {
+            const s = state[channel];
+            if (!s.patchDirty) return;
+            s.patchDirty = false;
+
+            const mod = MODULATOR_OFFSETS[channel];
+            const patch = {};
+            for (const reg of OPERATOR_REGISTERS) {
+                patch[`mod${reg.toString(16).toUpperCase()}`] = registers[reg + mod];
+                // Carrier level is the channel volume, so only its KSL bits count as timbre
+                patch[`car${reg.toString(16).toUpperCase()}`] = reg === 0x40 ? registers[reg + mod + 3] & 0xC0 : registers[reg + mod + 3];
+            }
+            patch.C0 = registers[0xC0 + channel];
+
+            const signature = Object.values(patch).join(',');
+            let id = instrumentIds.get(signature);
+            if (id === undefined) {
+                id = this.instruments.length;
+                instrumentIds.set(signature, id);
+                this.instruments.push({ id, registers: patch });
+            }
+
+            if (id !== s.instrument) {
+                s.instrument = id;
+                this.channels[channel].instrumentChanges.push({ tick, instrument: id });
+            }
+        };
+
+        const endNote = (channel, tick) => {
+            const s = state[channel];
+            if (!s.note) return;
+            s.note.end = tick;
+            this.channels[channel].notes.push(s.note);
+            s.note = null;
+        };
+
+        let tick = 0;
+        for (let ptr = 0; ptr + 3 < data.length; ptr += 4) {
+            const reg = data[ptr];
+            const val = data[ptr + 1];
+            const delay = data[ptr + 2] | (data[ptr + 3] << 8);
+            registers[reg] = val;
+
+            if (reg >= 0xA0 && reg < 0xA0 + NUM_CHANNELS) {
+                const channel = reg - 0xA0;
+                state[channel].fnum = (state[channel].fnum & 0x300) | val;
+                pitchChanged(channel, tick);
+            }
+            else if (reg >= 0xB0 && reg < 0xB0 + NUM_CHANNELS) {
+                const channel = reg - 0xB0;
+                const s = state[channel];
+                const keyOn = (val & 0x20) !== 0;
+                s.fnum = (s.fnum & 0xFF) | ((val & 0x03) << 8);
+                s.block = (val >> 2) & 0x07;
+
+                if (keyOn && !s.keyOn) {
+                    resolveInstrument(channel, tick);
+                    s.note = {
+                        start: tick, end: tick,
+                        fnum: s.fnum, block: s.block,
+                        midi: ImfParser.midiNote(s.fnum, s.block),
+                        instrument: s.instrument,
+                        level: registers[0x43 + MODULATOR_OFFSETS[channel]] & 0x3F,  // Carrier attenuation (0 = loudest)
+                        bends: []
+                    };
+                } else if (!keyOn && s.keyOn) {
+                    endNote(channel, tick);
+                }
+                s.keyOn = keyOn;
+                pitchChanged(channel, tick);
+            }
+            else if (reg >= 0xC0 && reg < 0xC0 + NUM_CHANNELS) {
+                state[reg - 0xC0].patchDirty = true;
+            }
+            else if (OPERATOR_REGISTERS.includes(reg & 0xE0)) {
+                const slot = OPERATOR_SLOTS.get(reg & 0x1F);
+                if (slot) state[slot.channel].patchDirty = true;
+            }
+
+            tick += delay;
+        }
+
+        this.totalTicks = tick;
+        for (let channel = 0; channel < NUM_CHANNELS; channel++) {
+            endNote(channel, tick);
+            this.channels[channel].notes.sort((a, b) => a.start - b.start);
+        }
+
+        return this;
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * ImfVisualizer.js
+ * Piano roll for IMF music: the notes of the nine OPL channels scroll past a
+ * playhead in sync with MusicPlayer, with per-channel mute and solo.
+ */
+
+import { ImfParser } from './ImfParser.js';
+import { PlaybackLoop } from './PlaybackLoop.js';
+
+const NUM_CHANNELS = 9;
+const CHANNEL_COLORS = [
+    '#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231',
+    '#911eb4', '#42d4f4', '#f032e6', '#bfef45'
+];
+
+const VISIBLE_SECONDS = 8;      // Time span across the roll
+const PLAYHEAD_RATIO = 0.25;    // Playhead position from the left edge of the roll
+const KEYBOARD_WIDTH = 40;      // Pitch label gutter
+const MAX_ROLL_HEIGHT = 420;
+const MIN_ROW_HEIGHT = 4;
+const MAX_ROW_HEIGHT = 10;
+const PITCH_PADDING = 2;        // Empty semitones above and below the used range
+
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+export class ImfVisualizer {
+    constructor() {
+        this.parsed = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.muted = new Array(NUM_CHANNELS).fill(false);
+        this.soloed = new Array(NUM_CHANNELS).fill(false);
+        this.channelRows = [];
+        this.minNote = 0;
+        this.maxNote = 0;
+        this.rowHeight = MIN_ROW_HEIGHT;
+        this.getPosition = null;
+        this.playback = new PlaybackLoop();
+        this.onMaskChange = null;   // Called with the muted-channel bit mask
+    }
+
+    /**
+     * Builds the viewer for a parsed track (see ImfParser)
+     * @returns {HTMLElement} Element to place in the data view
+     */
+    createViewer(parsed, trackName) {
+        this.stop();
+        this.parsed = parsed;
+        this.muted.fill(false);
+        this.soloed.fill(false);
+        this.computePitchRange();
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'imf-viewer';
+
+        const noteCount = parsed.channels.reduce((sum, ch) => sum + ch.notes.length, 0);
+        const seconds = parsed.totalTicks / parsed.tickRate;
+        const header = document.createElement('div');
+        header.className = 'imf-viewer-header';
+        header.innerHTML = `
+            <h3>🎹 ${trackName}</h3>
+            <span>${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}</span>
+            <span>${noteCount} notes</span>
+            <span>${parsed.instruments.length} instruments</span>
+        `;
+        wrapper.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'imf-viewer-body';
+        body.appendChild(this.createChannelStrip());
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'imf-roll';
+        this.canvas.height = (this.maxNote - this.minNote + 1) * this.rowHeight;
+        this.canvas.style.height = `${this.canvas.height}px`;
+        this.ctx = this.canvas.getContext('2d');
+        body.appendChild(this.canvas);
+
+        wrapper.appendChild(body);
+        return wrapper;
+    }
+
+    createChannelStrip() {
+        const strip = document.createElement('div');
+        strip.className = 'imf-channels';
+        this.channelRows = [];
+
+        this.parsed.channels.forEach((channel, index) => {
+            const row = document.createElement('div');
+            row.className = 'imf-channel';
+            if (channel.notes.length === 0) row.classList.add('empty');
+            row.title = `OPL channel ${index}, ${channel.instrumentChanges.length} instrument changes`;
+            row.innerHTML = `
+                <span class="imf-channel-swatch" style="background:${CHANNEL_COLORS[index]}"></span>
+                <span class="imf-channel-name">Ch ${index + 1}</span>
+                <span class="imf-channel-notes">${channel.notes.length}</span>
+                <button class="imf-mute" title="Mute">M</button>
+                <button class="imf-solo" title="Solo">S</button>
+            `;
+
+            row.querySelector('.imf-mute').onclick = () => {
+                this.muted[index] = !this.muted[index];
+                this.updateChannelStrip();
+            };
+            row.querySelector('.imf-solo').onclick = () => {
+                this.soloed[index] = !this.soloed[index];
+                this.updateChannelStrip();
+            };
+
+            this.channelRows.push(row);
+            strip.appendChild(row);
+        });
+
+        return strip;
+    }
+
+    updateChannelStrip() {
+        const mask = this.mutedMask;
+        this.channelRows.forEach((row, index) => {
+            row.querySelector('.imf-mute').classList.toggle('active', this.muted[index]);
+            row.querySelector('.imf-solo').classList.toggle('active', this.soloed[index]);
+            row.classList.toggle('silent', (mask & (1 << index)) !== 0);
+        });
+
+        if (this.onMaskChange) this.onMaskChange(mask);
+    }
+
+    /**
+     * Channels that should not sound: explicit mutes, plus every channel
+     * without solo while any channel is soloed. Bit n = channel n.
+     */
+    get mutedMask() {
+        const anySolo = this.soloed.some(s => s);
+        let mask = 0;
+        for (let i = 0; i < NUM_CHANNELS; i++) {
+            if (this.muted[i] || (anySolo && !this.soloed[i])) mask |= 1 << i;
+        }
+        return mask;
+    }
+
+    computePitchRange() {
+        let low = Infinity;
+        let high = -Infinity;
+        for (const channel of this.parsed.channels) {
+            for (const note of channel.notes) {
+                for (const pitch of [note, ...note.bends]) {
+                    if (pitch.fnum === 0) continue;
+                    low = Math.min(low, Math.round(pitch.midi));
+                    high = Math.max(high, Math.round(pitch.midi));
+                }
+            }
+        }
+
+        // Nothing playable: show the two octaves around middle C
+        if (low > high) {
+            low = 48;
+            high = 72;
+        }
+
+        this.minNote = low - PITCH_PADDING;
+        this.maxNote = high + PITCH_PADDING;
+        const rows = this.maxNote - this.minNote + 1;
+        this.rowHeight = Math.max(MIN_ROW_HEIGHT, Math.min(MAX_ROW_HEIGHT, Math.floor(MAX_ROLL_HEIGHT / rows)));
+    }
+
+    /**
+     * Follows getPosition() (seconds) until the viewer is hidden or removed;
+     * music can pause and resume, so the loop keeps running while stopped
+     */
+    start(getPosition) {
+        this.getPosition = getPosition;
+        this.playback.start(this.canvas, getPosition, (seconds) => this.draw(seconds));
+    }
+
+    stop() {
+        this.playback.stop();
+    }
+
+    // Vertical centre of a (fractional) MIDI note's row
+    noteY(midi) {
+        return (this.maxNote - midi + 0.5) * this.rowHeight;
+    }
+
+    draw(seconds) {
+        const canvas = this.canvas;
+        const ctx = this.ctx;
+        if (canvas.width !== canvas.clientWidth && canvas.clientWidth > 0) {
+            canvas.width = canvas.clientWidth;
+        }
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const rollWidth = width - KEYBOARD_WIDTH;
+        const tickRate = this.parsed.tickRate;
+        const pixelsPerTick = rollWidth / (VISIBLE_SECONDS * tickRate);
+        const playheadX = KEYBOARD_WIDTH + rollWidth * PLAYHEAD_RATIO;
+        const currentTick = seconds * tickRate;
+        const firstTick = currentTick - (playheadX - KEYBOARD_WIDTH) / pixelsPerTick;
+        const lastTick = firstTick + rollWidth / pixelsPerTick;
+        const tickToX = (tick) => playheadX + (tick - currentTick) * pixelsPerTick;
+
+        // Background and pitch rows
+        ctx.fillStyle = '#181818';
+        ctx.fillRect(0, 0, width, height);
+        for (let note = this.minNote; note <= this.maxNote; note++) {
+            const y = this.noteY(note) - this.rowHeight / 2;
+            const pitchClass = ((note % 12) + 12) % 12;
+            if (BLACK_KEYS.includes(pitchClass)) {
+                ctx.fillStyle = '#202020';
+                ctx.fillRect(KEYBOARD_WIDTH, y, rollWidth, this.rowHeight);
+            }
+            if (pitchClass === 0) {
+                ctx.fillStyle = '#333';
+                ctx.fillRect(KEYBOARD_WIDTH, y + this.rowHeight - 1, rollWidth, 1);
+                ctx.fillStyle = '#888';
+                ctx.font = '10px monospace';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(ImfParser.noteName(note), 4, y + this.rowHeight / 2);
+            }
+        }
+
+        // Whole-second grid
+        ctx.fillStyle = '#262626';
+        for (let s = Math.ceil(firstTick / tickRate); s * tickRate <= lastTick; s++) {
+            if (s < 0) continue;
+            ctx.fillRect(Math.round(tickToX(s * tickRate)), 0, 1, height);
+        }
+
+        // End of track
+        if (this.parsed.totalTicks <= lastTick) {
+            ctx.fillStyle = '#666';
+            ctx.fillRect(Math.round(tickToX(this.parsed.totalTicks)), 0, 2, height);
+        }
+
+        const mask = this.mutedMask;
+        ctx.font = `${Math.max(8, this.rowHeight)}px monospace`;
+        ctx.textBaseline = 'middle';
+
+        this.parsed.channels.forEach((channel, index) => {
+            const color = CHANNEL_COLORS[index];
+            ctx.globalAlpha = (mask & (1 << index)) ? 0.2 : 1;
+
+            for (const note of channel.notes) {
+                if (note.start > lastTick) break;
+                if (note.end < firstTick) continue;
+                this.drawNote(note, color, tickToX, currentTick);
+            }
+
+            // Instrument change flags at the note that introduced the patch
+            for (const change of channel.instrumentChanges) {
+                if (change.tick < firstTick || change.tick > lastTick) continue;
+                const note = channel.notes.find(n => n.start === change.tick);
+                const x = Math.round(tickToX(change.tick));
+                const y = note ? this.noteY(note.midi) - this.rowHeight / 2 : 0;
+                const label = `#${change.instrument}`;
+                const labelWidth = ctx.measureText(label).width + 4;
+
+                ctx.fillStyle = color;
+                ctx.fillRect(x, y - 12, 1, 12 + this.rowHeight);
+                ctx.fillRect(x, y - 12, labelWidth, 10);
+                ctx.fillStyle = '#000';
+                ctx.font = '9px monospace';
+                ctx.fillText(label, x + 2, y - 7);
+                ctx.font = `${Math.max(8, this.rowHeight)}px monospace`;
+            }
+        });
+        ctx.globalAlpha = 1;
+
+        // Keyboard gutter and playhead on top
+        ctx.fillStyle = '#333';
+        ctx.fillRect(KEYBOARD_WIDTH - 1, 0, 1, height);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(Math.round(playheadX), 0, 2, height);
+    }
+
+    /**
+     * One note as a run of bars, split wherever the pitch bends
+     */
+    drawNote(note, color, tickToX, currentTick) {
+        const ctx = this.ctx;
+        const sounding = note.start <= currentTick && currentTick < note.end;
+        const pitches = [note, ...note.bends];
+
+        pitches.forEach((pitch, i) => {
+            const start = i === 0 ? note.start : pitch.tick;
+            const end = i + 1 < pitches.length ? pitches[i + 1].tick : note.end;
+            const x = tickToX(start);
+            const w = Math.max(1, tickToX(end) - x);
+            const y = this.noteY(pitch.midi) - this.rowHeight / 2;
+
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y, w, this.rowHeight - 1);
+            if (sounding) {
+                ctx.strokeStyle = '#fff';
+                ctx.strokeRect(x + 0.5, y + 0.5, w - 1, this.rowHeight - 2);
+            }
+
+            if (i === 0) {
+                const name = ImfParser.noteName(pitch.midi);
+                if (w > ctx.measureText(name).width + 4 && this.rowHeight >= 8) {
+                    ctx.fillStyle = '#000';
+                    ctx.fillText(name, x + 2, y + this.rowHeight / 2);
+                }
+            }
+        });
+    }
+}
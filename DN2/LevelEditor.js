@@ -0,0 +1,694 @@
+/**
+ * LevelEditor.js
+ * Tile painting and actor placement for Duke Nukem II levels.
+ *
+ * Tile tools: brush, rectangle fill and flood fill, each working on either the
+ * background (solid tiles) or foreground (masked tiles) layer.
+ * Left button paints the selected tile, right button erases.
+ *
+ * Actor tool: click to select, drag to move, Delete to remove, and place new
+ * actors picked from the catalog (click on the map or drag onto it).
+ *
+ * Every operation is one undo step; tile edits redraw only the touched cells.
+ */
+
+const TILE_SIZE = 8;
+const PALETTE_COLUMNS = 16;
+const PALETTE_SCALE = 2;
+const MAX_HISTORY = 100;
+
+// Extended tile specs store the fg index in 7 bits (5 in the word + 2 in the RLE stream)
+const MAX_EXTENDED_FG = 127;
+
+// dataTransfer type used when dragging catalog entries onto the map
+export const ACTOR_DRAG_TYPE = 'application/x-dn2-actor';
+
+export class LevelEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - The main map canvas
+     * @param {RenderEngine} renderer - Owner of the cached terrain canvases
+     * @param {Viewport} viewport - Camera (panning is moved to the middle button while editing)
+     * @param {string} paletteId - DOM ID of the palette canvas
+     */
+    constructor(canvas, renderer, viewport, paletteId) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.viewport = viewport;
+        this.paletteCanvas = document.getElementById(paletteId);
+
+        this.enabled = false;
+        this.map = null;
+        this.assets = null;
+
+        this.tool = 'brush';                // 'brush' | 'rect' | 'fill' | 'actor'
+        this.layer = 'bg';                  // 'bg' | 'fg'
+        this.selected = { bg: 0, fg: 0 };   // Selected palette index per layer
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Active mouse operation
+        this.hoverCell = null;
+        this.stroke = null;     // Map of index -> { before, after } for the current brush stroke
+        this.lastStrokeCell = null;
+        this.rectStart = null;
+        this.rectEnd = null;
+        this.erasing = false;
+        this.warnedOverflow = false;
+
+        // Actor tool state
+        this.selectedActor = null;  // Reference into map.actors
+        this.placingId = null;      // Catalog actor waiting to be placed
+        this.actorDrag = null;      // { actor, index, before, offsetX, offsetY }
+
+        // Callbacks (set by main.js)
+        this.onChange = null;           // (kind) after any edit, undo or redo; kind is 'tiles' or 'actors'
+        this.onSelectionChange = null;  // (layer, index, hoverIndex)
+        this.onActorSelect = null;      // (actor or null) when the selection or its properties change
+
+        this.setupEvents();
+    }
+
+    // ─── SETUP ───────────────────────────────────────────────────────────────
+
+    setupEvents() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => { this.hoverCell = null; });
+
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.enabled) e.preventDefault();
+        });
+
+        // Catalog entries can be dragged straight onto the map
+        this.canvas.addEventListener('dragover', (e) => {
+            if (this.enabled && this.tool === 'actor' && e.dataTransfer.types.includes(ACTOR_DRAG_TYPE)) {
+                e.preventDefault();
+                this.hoverCell = this.cellAt(e);
+            }
+        });
+        this.canvas.addEventListener('drop', (e) => {
+            const id = parseInt(e.dataTransfer.getData(ACTOR_DRAG_TYPE), 10);
+            const cell = this.cellAt(e);
+            if (!this.enabled || this.tool !== 'actor' || isNaN(id) || !cell) return;
+            e.preventDefault();
+            this.addActor(id, cell.x, cell.y);
+        });
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.enabled) return;
+            if (this.tool === 'actor' && !this.isTyping(e)) {
+                if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedActor) {
+                    e.preventDefault();
+                    this.deleteSelectedActor();
+                    return;
+                }
+                if (e.key === 'Escape') {
+                    this.placingId = null;
+                    this.selectActor(null);
+                    return;
+                }
+            }
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        if (this.paletteCanvas) {
+            this.paletteCanvas.addEventListener('click', (e) => {
+                const index = this.paletteIndexAt(e);
+                if (index === null) return;
+                this.selected[this.layer] = index;
+                this.renderPalette();
+                this.notifySelection(null);
+            });
+            this.paletteCanvas.addEventListener('mousemove', (e) => {
+                this.notifySelection(this.paletteIndexAt(e));
+            });
+            this.paletteCanvas.addEventListener('mouseleave', () => this.notifySelection(null));
+        }
+    }
+
+    /**
+     * Binds the editor to a freshly loaded level and its CZone tiles.
+     * Clears the undo history.
+     */
+    setLevel(map, assets) {
+        // Finish any stroke on the old map first, so it lands in the history that is dropped below
+        this.cancelOperation();
+        this.map = map;
+        this.assets = assets;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.placingId = null;
+        this.selectActor(null);
+        this.renderPalette();
+        this.notifyChange('tiles');
+        this.notifySelection(null);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.renderer.editMode = enabled;
+        this.viewport.leftButtonPans = !enabled;
+        this.canvas.style.cursor = enabled ? 'crosshair' : 'grab';
+        if (!enabled) this.cancelOperation();
+    }
+
+    setTool(tool) {
+        this.cancelOperation();
+        this.tool = tool;
+        if (tool !== 'actor') {
+            this.placingId = null;
+            this.selectActor(null);
+        }
+    }
+
+    setLayer(layer) {
+        this.cancelOperation();
+        this.layer = layer;
+        this.renderPalette();
+        this.notifySelection(null);
+    }
+
+    // ─── PALETTE ─────────────────────────────────────────────────────────────
+
+    getLayerTiles(layer = this.layer) {
+        if (!this.assets) return [];
+        return layer === 'bg' ? this.assets.solidTiles : this.assets.maskedTiles;
+    }
+
+    renderPalette() {
+        if (!this.paletteCanvas) return;
+        const tiles = this.getLayerTiles();
+        const cell = TILE_SIZE * PALETTE_SCALE;
+        const rows = Math.max(1, Math.ceil(tiles.length / PALETTE_COLUMNS));
+
+        this.paletteCanvas.width = PALETTE_COLUMNS * cell;
+        this.paletteCanvas.height = rows * cell;
+
+        const ctx = this.paletteCanvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.paletteCanvas.width, this.paletteCanvas.height);
+
+        tiles.forEach((tile, i) => {
+            const x = (i % PALETTE_COLUMNS) * cell;
+            const y = Math.floor(i / PALETTE_COLUMNS) * cell;
+
+            // Checkerboard behind masked tiles so transparency is visible
+            if (this.layer === 'fg') {
+                ctx.fillStyle = '#333';
+                ctx.fillRect(x, y, cell / 2, cell / 2);
+                ctx.fillRect(x + cell / 2, y + cell / 2, cell / 2, cell / 2);
+            }
+            if (tile) ctx.drawImage(tile, x, y, cell, cell);
+        });
+
+        // Selection highlight
+        const sel = this.selected[this.layer];
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(
+            (sel % PALETTE_COLUMNS) * cell + 1,
+            Math.floor(sel / PALETTE_COLUMNS) * cell + 1,
+            cell - 2, cell - 2
+        );
+    }
+
+    paletteIndexAt(e) {
+        const rect = this.paletteCanvas.getBoundingClientRect();
+        const scaleX = this.paletteCanvas.width / rect.width;
+        const scaleY = this.paletteCanvas.height / rect.height;
+        const cell = TILE_SIZE * PALETTE_SCALE;
+        const col = Math.floor((e.clientX - rect.left) * scaleX / cell);
+        const row = Math.floor((e.clientY - rect.top) * scaleY / cell);
+        const index = row * PALETTE_COLUMNS + col;
+
+        if (col < 0 || col >= PALETTE_COLUMNS || index < 0 || !this.getLayerTiles()[index]) return null;
+        return index;
+    }
+
+    // ─── MOUSE HANDLING ──────────────────────────────────────────────────────
+
+    cellAt(e) {
+        if (!this.map) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const world = this.renderer.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+        if (!world) return null;
+
+        const x = Math.floor(world.x / TILE_SIZE);
+        const y = Math.floor(world.y / TILE_SIZE);
+        if (x < 0 || y < 0 || x >= this.map.width || y >= this.map.height) return null;
+        return { x, y };
+    }
+
+    handleMouseDown(e) {
+        if (!this.enabled || !this.map || (e.button !== 0 && e.button !== 2)) return;
+        const cell = this.cellAt(e);
+        if (!cell) return;
+
+        e.preventDefault();
+        if (this.tool === 'actor') {
+            this.handleActorMouseDown(e, cell);
+            return;
+        }
+
+        this.erasing = e.button === 2;
+        this.warnedOverflow = false;
+
+        if (this.tool === 'brush') {
+            this.stroke = new Map();
+            this.lastStrokeCell = cell;
+            this.paintCells([cell]);
+        } else if (this.tool === 'rect') {
+            this.rectStart = cell;
+            this.rectEnd = cell;
+        } else if (this.tool === 'fill') {
+            this.commit(this.buildChanges(this.floodFill(cell)));
+        }
+    }
+
+    handleMouseMove(e) {
+        if (!this.enabled) return;
+        const cell = this.cellAt(e);
+        if (e.target === this.canvas) this.hoverCell = cell;
+        if (!cell) return;
+
+        if (this.stroke) {
+            // Fill the gap between mouse events so fast strokes stay continuous
+            this.paintCells(this.lineCells(this.lastStrokeCell, cell));
+            this.lastStrokeCell = cell;
+        } else if (this.rectStart) {
+            this.rectEnd = cell;
+        } else if (this.actorDrag) {
+            const actor = this.actorDrag.actor;
+            actor.x = cell.x + this.actorDrag.offsetX;
+            actor.y = cell.y + this.actorDrag.offsetY;
+            this.notifyActor();
+        }
+    }
+
+    handleMouseUp() {
+        if (this.stroke) {
+            const changes = [...this.stroke.entries()].map(([index, c]) => ({ index, ...c }));
+            this.stroke = null;
+            this.pushHistory({ tiles: changes });
+        } else if (this.actorDrag) {
+            const { actor, index, before } = this.actorDrag;
+            this.actorDrag = null;
+            if (actor.x !== before.x || actor.y !== before.y) {
+                this.pushHistory({ actors: [{ index, before, after: this.copyActor(actor) }] });
+            }
+        } else if (this.rectStart) {
+            const cells = this.rectCells(this.rectStart, this.rectEnd);
+            this.rectStart = this.rectEnd = null;
+            this.commit(this.buildChanges(cells));
+        }
+    }
+
+    cancelOperation() {
+        // A brush stroke or actor drag is already on the map, so keep it as an undo step
+        if (this.stroke || this.actorDrag) this.handleMouseUp();
+        this.rectStart = this.rectEnd = null;
+    }
+
+    isTyping(e) {
+        const tag = e.target?.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+    }
+
+    // ─── TOOLS ───────────────────────────────────────────────────────────────
+
+    lineCells(from, to) {
+        const cells = [];
+        const steps = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+        for (let i = 1; i <= steps; i++) {
+            cells.push({
+                x: Math.round(from.x + (to.x - from.x) * i / steps),
+                y: Math.round(from.y + (to.y - from.y) * i / steps)
+            });
+        }
+        return cells;
+    }
+
+    rectCells(a, b) {
+        const cells = [];
+        for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) {
+            for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) {
+                cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Collects the 4-connected region of cells whose active layer
+     * matches the clicked cell.
+     */
+    floodFill(start) {
+        const { width, height, grid } = this.map;
+        const layer = this.layer;
+        const target = grid[start.y * width + start.x][layer];
+        if (target === this.paintValue(grid[start.y * width + start.x])) return [];
+
+        const visited = new Uint8Array(width * height);
+        const stack = [start.y * width + start.x];
+        const cells = [];
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            if (visited[index] || grid[index][layer] !== target) continue;
+            visited[index] = 1;
+
+            const x = index % width;
+            const y = Math.floor(index / width);
+            cells.push({ x, y });
+
+            if (x > 0) stack.push(index - 1);
+            if (x < width - 1) stack.push(index + 1);
+            if (y > 0) stack.push(index - width);
+            if (y < height - 1) stack.push(index + width);
+        }
+        return cells;
+    }
+
+    /**
+     * Value written to the active layer: the selected tile, or "empty" when erasing.
+     * Erasing the bg of a cell that has no fg leaves tile 0 (the blank background).
+     */
+    paintValue(cell) {
+        if (!this.erasing) return this.selected[this.layer];
+        if (this.layer === 'fg') return null;
+        return cell.fg !== null ? null : 0;
+    }
+
+    /**
+     * Returns the cell with the active layer replaced, or null if the result
+     * can't be stored in the level format.
+     */
+    editedCell(cell) {
+        const next = { bg: cell.bg, fg: cell.fg, fgOverlay: cell.fgOverlay };
+        next[this.layer] = this.paintValue(cell);
+
+        // Cells using both layers can only be stored as extended tile specs
+        next.fgOverlay = next.bg !== null && next.fg !== null;
+        if (next.fgOverlay && next.fg > MAX_EXTENDED_FG) {
+            if (!this.warnedOverflow) {
+                logMessage(`Masked tile ${next.fg} can't be placed over a solid tile (max ${MAX_EXTENDED_FG})`, 'warning');
+                this.warnedOverflow = true;
+            }
+            return null;
+        }
+        return next;
+    }
+
+    buildChanges(cells) {
+        const changes = [];
+        for (const { x, y } of cells) {
+            const index = y * this.map.width + x;
+            const before = this.map.grid[index];
+            const after = this.editedCell(before);
+            if (after && (after.bg !== before.bg || after.fg !== before.fg)) {
+                changes.push({ index, before, after });
+            }
+        }
+        return changes;
+    }
+
+    // Brush: applies immediately, the whole stroke becomes one undo step on mouseup
+    paintCells(cells) {
+        const changes = this.buildChanges(cells);
+        for (const change of changes) {
+            const existing = this.stroke.get(change.index);
+            this.stroke.set(change.index, {
+                before: existing ? existing.before : change.before,
+                after: change.after
+            });
+        }
+        this.applyChanges(changes, 'after');
+    }
+
+    // ─── ACTORS ──────────────────────────────────────────────────────────────
+
+    handleActorMouseDown(e, cell) {
+        // Right click drops whatever is armed or selected
+        if (e.button === 2) {
+            this.placingId = null;
+            this.selectActor(null);
+            return;
+        }
+
+        if (this.placingId !== null) {
+            this.addActor(this.placingId, cell.x, cell.y);
+            if (!e.shiftKey) this.placingId = null; // Shift keeps placing copies
+            return;
+        }
+
+        const actor = this.actorAt(e, cell);
+        this.selectActor(actor);
+        if (!actor) return;
+
+        this.actorDrag = {
+            actor,
+            index: this.map.actors.indexOf(actor),
+            before: this.copyActor(actor),
+            offsetX: actor.x - cell.x,
+            offsetY: actor.y - cell.y
+        };
+    }
+
+    /**
+     * Top-most drawn actor under the mouse; falls back to actors anchored on
+     * the clicked tile so invisible ones (meta markers, triggers) can be picked.
+     */
+    actorAt(e, cell) {
+        const rect = this.canvas.getBoundingClientRect();
+        const hit = this.renderer.findActorsAtScreenPos(e.clientX - rect.left, e.clientY - rect.top)
+            .find(h => h.type === 'map');
+        if (hit) return hit.actor;
+
+        for (let i = this.map.actors.length - 1; i >= 0; i--) {
+            const actor = this.map.actors[i];
+            if (actor.x === cell.x && actor.y === cell.y) return actor;
+        }
+        return null;
+    }
+
+    /**
+     * Arms a catalog actor so the next click on the map places it.
+     */
+    armActor(id) {
+        this.placingId = id;
+        this.renderer.actorManager?.requestMetaframe(id);
+    }
+
+    addActor(id, x, y) {
+        const actor = { id, x, y };
+        const index = this.map.actors.length;
+        this.commitActors([{ index, before: null, after: actor }]);
+        this.selectActor(this.map.actors[index]);
+    }
+
+    deleteSelectedActor() {
+        const index = this.map.actors.indexOf(this.selectedActor);
+        if (index === -1) return;
+        this.commitActors([{ index, before: this.copyActor(this.selectedActor), after: null }]);
+    }
+
+    /**
+     * Sets properties (id, x, y) of the selected actor from the inspector.
+     */
+    updateSelectedActor(props) {
+        const actor = this.selectedActor;
+        const index = this.map.actors.indexOf(actor);
+        if (index === -1) return;
+
+        const after = { ...this.copyActor(actor), ...props };
+        if (after.id === actor.id && after.x === actor.x && after.y === actor.y) return;
+        this.commitActors([{ index, before: this.copyActor(actor), after }]);
+    }
+
+    selectActor(actor) {
+        this.selectedActor = actor;
+        this.notifyActor();
+    }
+
+    copyActor(actor) {
+        return { id: actor.id, x: actor.x, y: actor.y };
+    }
+
+    commitActors(ops) {
+        this.applyActorOps(ops, 'after');
+        this.pushHistory({ actors: ops });
+    }
+
+    /**
+     * Applies actor operations. An op with no "before" is an insertion,
+     * one with no "after" a removal, otherwise a property change.
+     */
+    applyActorOps(ops, state) {
+        const other = state === 'after' ? 'before' : 'after';
+        const ordered = state === 'after' ? ops : [...ops].reverse();
+
+        for (const op of ordered) {
+            if (!op[other]) {
+                this.map.actors.splice(op.index, 0, { ...op[state] });
+            } else if (!op[state]) {
+                this.map.actors.splice(op.index, 1);
+            } else {
+                Object.assign(this.map.actors[op.index], op[state]);
+            }
+            if (op[state]) this.renderer.actorManager?.requestMetaframe(op[state].id);
+        }
+
+        if (!this.map.actors.includes(this.selectedActor)) this.selectedActor = null;
+        this.notifyActor();
+    }
+
+    notifyActor() {
+        if (this.onActorSelect) this.onActorSelect(this.selectedActor);
+    }
+
+    // ─── HISTORY ─────────────────────────────────────────────────────────────
+
+    commit(changes) {
+        if (changes.length === 0) return;
+        this.applyChanges(changes, 'after');
+        this.pushHistory({ tiles: changes });
+    }
+
+    /**
+     * Records one undo step: { tiles: [...] } or { actors: [...] }.
+     */
+    pushHistory(entry) {
+        if ((entry.tiles || entry.actors).length === 0) return;
+        this.undoStack.push(entry);
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+        this.notifyChange(entry.tiles ? 'tiles' : 'actors');
+    }
+
+    undo() {
+        if (this.stroke || this.actorDrag || this.undoStack.length === 0) return;
+        const entry = this.undoStack.pop();
+        this.applyEntry(entry, 'before');
+        this.redoStack.push(entry);
+    }
+
+    redo() {
+        if (this.stroke || this.actorDrag || this.redoStack.length === 0) return;
+        const entry = this.redoStack.pop();
+        this.applyEntry(entry, 'after');
+        this.undoStack.push(entry);
+    }
+
+    applyEntry(entry, state) {
+        if (entry.tiles) this.applyChanges(entry.tiles, state);
+        else this.applyActorOps(entry.actors, state);
+        this.notifyChange(entry.tiles ? 'tiles' : 'actors');
+    }
+
+    applyChanges(changes, state) {
+        if (changes.length === 0) return;
+        for (const change of changes) {
+            this.map.grid[change.index] = change[state];
+        }
+        this.renderer.redrawCells(this.map, changes.map(c => c.index));
+    }
+
+    notifyChange(kind) {
+        if (this.onChange) this.onChange(kind);
+    }
+
+    notifySelection(hoverIndex) {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.layer, this.selected[this.layer], hoverIndex);
+        }
+    }
+
+    // ─── OVERLAY ─────────────────────────────────────────────────────────────
+
+    /**
+     * Draws the tool preview in world space (called from RenderEngine.draw).
+     */
+    drawOverlay(ctx, zoom) {
+        if (!this.map) return;
+        ctx.save();
+        ctx.lineWidth = 1 / zoom;
+
+        if (this.tool === 'actor') {
+            this.drawActorOverlay(ctx, zoom);
+        } else if (this.rectStart && this.rectEnd) {
+            const x = Math.min(this.rectStart.x, this.rectEnd.x) * TILE_SIZE;
+            const y = Math.min(this.rectStart.y, this.rectEnd.y) * TILE_SIZE;
+            const w = (Math.abs(this.rectEnd.x - this.rectStart.x) + 1) * TILE_SIZE;
+            const h = (Math.abs(this.rectEnd.y - this.rectStart.y) + 1) * TILE_SIZE;
+            ctx.fillStyle = this.erasing ? 'rgba(239, 68, 68, 0.25)' : 'rgba(205, 127, 50, 0.25)';
+            ctx.fillRect(x, y, w, h);
+            ctx.strokeStyle = '#ffcc00';
+            ctx.strokeRect(x, y, w, h);
+        } else if (this.hoverCell) {
+            const x = this.hoverCell.x * TILE_SIZE;
+            const y = this.hoverCell.y * TILE_SIZE;
+            const tile = this.getLayerTiles()[this.selected[this.layer]];
+
+            // Ghost of the tile that would be placed
+            if (tile && !this.stroke) {
+                ctx.globalAlpha = 0.6;
+                ctx.drawImage(tile, x, y, TILE_SIZE, TILE_SIZE);
+                ctx.globalAlpha = 1;
+            }
+            ctx.strokeStyle = '#ffcc00';
+            ctx.strokeRect(x, y, TILE_SIZE, TILE_SIZE);
+        }
+
+        ctx.restore();
+    }
+
+    drawActorOverlay(ctx, zoom) {
+        const am = this.renderer.actorManager;
+
+        // Meta actors are never drawn, so mark their tiles to keep them selectable
+        ctx.strokeStyle = '#d946ef';
+        for (const actor of this.map.actors) {
+            if (am?.getActorMetadata(actor.id)?.type === 'meta') {
+                ctx.strokeRect(actor.x * TILE_SIZE, actor.y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+            }
+        }
+
+        // Selection box (sprite bounds when drawn, otherwise its anchor tile)
+        if (this.selectedActor) {
+            const hit = this.renderer.actorHitboxes.find(h => h.actor === this.selectedActor);
+            const box = hit || {
+                x: this.selectedActor.x * TILE_SIZE, y: this.selectedActor.y * TILE_SIZE,
+                width: TILE_SIZE, height: TILE_SIZE
+            };
+            ctx.lineWidth = 2 / zoom;
+            ctx.strokeStyle = '#ffcc00';
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+        }
+
+        // Ghost of the actor waiting to be placed
+        if (this.placingId !== null && this.hoverCell) {
+            const x = this.hoverCell.x * TILE_SIZE;
+            const y = this.hoverCell.y * TILE_SIZE;
+            const sprite = am?.getMetaframeSync(this.placingId);
+            if (sprite) {
+                ctx.globalAlpha = 0.6;
+                ctx.drawImage(sprite.bitmap, x - sprite.hotspotX, y - sprite.hotspotY);
+                ctx.globalAlpha = 1;
+            }
+            ctx.lineWidth = 1 / zoom;
+            ctx.strokeStyle = '#ffcc00';
+            ctx.strokeRect(x, y, TILE_SIZE, TILE_SIZE);
+        }
+    }
+}
@@ -1,9 +1,12 @@
 /**
  * MapParser.js
- * Parses Duke Nukem II Level Files (*.MNI).
+ * Parses and serializes Duke Nukem II Level Files (*.MNI).
  * FIXED: Correctly reads numActorWords and parses actor data.
  */
 
+const HEADER_SIZE = 47;
+const MAP_CELLS = 32750;
+
 export class MapParser {
     constructor() {
         this.width = 0;
@@ -11,12 +14,22 @@ export class MapParser {
         this.grid = []; 
         this.actors = [];
         this.czone = "";
+        
+        // Raw pieces the viewer doesn't use, kept so serialize() can write the file back byte-for-byte
+        this.header = null;          // 47-byte header (backdrop, music, flags...)
+        this.emptyActorSlots = [];   // Slot indices of ID 0 actors skipped during parsing
+        this.actorTrailer = null;    // Bytes between the last actor slot and dataOffset
+        this.actorWordsExtra = 0;    // numActorWords left over after whole 3-word actors
+        this.highBits = null;        // Decoded 2-bit values per cell (incl. non-extended cells)
+        this.extraData = null;       // Original RLE stream, reused when the high bits are unchanged
+        this.trailer = null;         // Anything after the RLE stream
     }
 
     parse(data) {
         const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
         
         // 1. Read Header
+        this.header = data.slice(0, HEADER_SIZE);
         const dataOffset = view.getUint16(0, true);
         
         // Read numActorWords at offset 45 (2 bytes before end of header)
@@ -36,7 +49,8 @@ export class MapParser {
         // Actors start at offset 47 (after the 47-byte header)
         // Each actor is 6 bytes: ID (2) + X (2) + Y (2)
         this.actors = [];
-        const actorsStart = 47;
+        this.emptyActorSlots = [];
+        const actorsStart = HEADER_SIZE;
         
         console.log(`Level header indicates ${numActors} actors (numActorWords: ${numActorWords})`);
         
@@ -56,15 +70,20 @@ export class MapParser {
             // Filter out empty/null actors (ID 0)
             if (id !== 0) {
                 this.actors.push({ id, x, y });
+            } else {
+                this.emptyActorSlots.push(i);
             }
         }
         
+        const parsedSlots = this.actors.length + this.emptyActorSlots.length;
+        this.actorTrailer = data.slice(actorsStart + parsedSlots * 6, dataOffset);
+        this.actorWordsExtra = numActorWords - parsedSlots * 3;
+        
         console.log(`Parsed ${this.actors.length} valid actors (${numActors - this.actors.length} empty slots skipped).`);
 		logMessage(`Parsed ${this.actors.length} valid actors`, 'info');
 
         // 3. Read Dimensions (Located AT dataOffset)
         this.width = view.getUint16(dataOffset, true);
-        const MAP_CELLS = 32750; 
         this.height = Math.floor(MAP_CELLS / this.width);
         
         console.log(`Map dimensions: ${this.width}x${this.height}`);
@@ -83,6 +102,9 @@ export class MapParser {
         const extraDataStart = mapEnd + 2;
         const extraData = new Uint8Array(data.buffer, data.byteOffset + extraDataStart, extraLen);
         const highBits = this.decompressRLE(extraData, MAP_CELLS);
+        this.highBits = highBits;
+        this.extraData = extraData.slice();
+        this.trailer = data.slice(extraDataStart + extraLen);
 
         // 6. Process Hybrid Grid
         this.grid = new Array(MAP_CELLS);
@@ -113,6 +135,156 @@ export class MapParser {
         return this;
     }
 
+    /**
+     * Writes a map back into the level file format (inverse of parse).
+     * An unedited map comes back byte-identical to the file it was parsed from.
+     * @param {Object} map - A parsed map (defaults to this parser's current map)
+     * @returns {Uint8Array} Complete level file
+     */
+    serialize(map = this) {
+        // 1. Encode the grid, collecting the 2-bit high parts of extended fg indices
+        const highBits = map.highBits ? map.highBits.slice() : new Array(MAP_CELLS).fill(0);
+        const gridWords = new Uint16Array(MAP_CELLS);
+        
+        for (let i = 0; i < MAP_CELLS; i++) {
+            const cell = map.grid[i] || { bg: 0, fg: null, fgOverlay: false };
+            const { value, extra } = this.encodeCell(cell);
+            gridWords[i] = value;
+            if (extra !== null) highBits[i] = extra;
+        }
+        
+        // 2. Encode the high bits. The original editor's run splitting can't be
+        // reproduced exactly, so an unchanged stream is written back as it was read.
+        const unchanged = map.highBits && map.extraData &&
+            highBits.every((v, i) => v === map.highBits[i]);
+        const extraData = unchanged ? map.extraData : this.compressRLE(highBits);
+        
+        // 3. Rebuild the actor slots, putting back the empty (ID 0) slots
+        const slots = map.actors.map(a => ({ id: a.id, x: a.x, y: a.y }));
+        for (const slot of map.emptyActorSlots || []) {
+            if (slot <= slots.length) slots.splice(slot, 0, { id: 0, x: 0, y: 0 });
+        }
+        
+        const actorTrailer = map.actorTrailer || new Uint8Array(0);
+        const trailer = map.trailer || new Uint8Array(0);
+        const dataOffset = HEADER_SIZE + slots.length * 6 + actorTrailer.length;
+        const totalSize = dataOffset + 2 + MAP_CELLS * 2 + 2 + extraData.length + trailer.length;
+        
+        const output = new Uint8Array(totalSize);
+        const view = new DataView(output.buffer);
+        
+        // 4. Header
+        if (map.header) output.set(map.header, 0);
+        view.setUint16(0, dataOffset, true);
+        
+        // CZONE Filename (Offset 2, 13 bytes) - only rewritten if it was changed
+        if (this.readHeaderName(output, 2) !== map.czone) {
+            output.fill(0, 2, 15);
+            for (let i = 0; i < Math.min(map.czone.length, 12); i++) {
+                output[2 + i] = map.czone.charCodeAt(i);
+            }
+        }
+        
+        view.setUint16(45, slots.length * 3 + (map.actorWordsExtra || 0), true);
+        
+        // 5. Actors
+        slots.forEach((actor, i) => {
+            const offset = HEADER_SIZE + i * 6;
+            view.setUint16(offset, actor.id, true);
+            view.setUint16(offset + 2, actor.x, true);
+            view.setUint16(offset + 4, actor.y, true);
+        });
+        output.set(actorTrailer, HEADER_SIZE + slots.length * 6);
+        
+        // 6. Width + Grid
+        view.setUint16(dataOffset, map.width, true);
+        const mapStart = dataOffset + 2;
+        for (let i = 0; i < MAP_CELLS; i++) {
+            view.setUint16(mapStart + i * 2, gridWords[i], true);
+        }
+        
+        // 7. Supplemental Data + anything that followed it
+        const mapEnd = mapStart + MAP_CELLS * 2;
+        view.setUint16(mapEnd, extraData.length, true);
+        output.set(extraData, mapEnd + 2);
+        output.set(trailer, mapEnd + 2 + extraData.length);
+        
+        return output;
+    }
+
+    /**
+     * Encodes one grid cell into its 16-bit tile spec.
+     * Cells that were extended specs (or need both layers) use the 0x8000 form;
+     * extra is the 2-bit high part of the fg index, or null for simple specs.
+     */
+    encodeCell(cell) {
+        const { bg, fg, fgOverlay } = cell;
+        
+        if (fgOverlay || (bg !== null && fg !== null)) {
+            const fgIndex = fg || 0;
+            const value = 0x8000 | (((fgIndex & 0x1F) << 10) & 0x7C00) | ((bg || 0) & 0x03FF);
+            return { value, extra: (fgIndex >> 5) & 0x03 };
+        }
+        
+        if (fg !== null) return { value: Math.round(8000 + fg * 40), extra: null };
+        return { value: Math.round((bg || 0) * 8), extra: null };
+    }
+
+    readHeaderName(data, offset) {
+        let name = "";
+        for (let i = 0; i < 13; i++) {
+            const char = data[offset + i];
+            if (char === 0) break;
+            name += String.fromCharCode(char);
+        }
+        return name.trim().toUpperCase();
+    }
+
+    /**
+     * Inverse of decompressRLE: packs the 2-bit values 4 cells per byte,
+     * then RLE-encodes the bytes (runs of 3+ repeat, everything else literal).
+     * Terminated with a 0 marker.
+     */
+    compressRLE(values) {
+        const clusters = [];
+        for (let i = 0; i < values.length; i += 4) {
+            clusters.push(
+                (values[i] & 0x03) |
+                ((values[i + 1] & 0x03) << 2) |
+                ((values[i + 2] & 0x03) << 4) |
+                ((values[i + 3] & 0x03) << 6)
+            );
+        }
+        
+        const output = [];
+        const literals = [];
+        const flushLiterals = () => {
+            while (literals.length > 0) {
+                const chunk = literals.splice(0, 127);
+                output.push((-chunk.length) & 0xFF, ...chunk);
+            }
+        };
+        
+        let i = 0;
+        while (i < clusters.length) {
+            let run = 1;
+            while (i + run < clusters.length && clusters[i + run] === clusters[i] && run < 127) run++;
+            
+            if (run >= 3) {
+                flushLiterals();
+                output.push(run, clusters[i]);
+                i += run;
+            } else {
+                literals.push(clusters[i]);
+                i++;
+            }
+        }
+        flushLiterals();
+        output.push(0);
+        
+        return new Uint8Array(output);
+    }
+
     decompressRLE(data, totalCells) {
         const result = new Array(totalCells).fill(0); 
         let readIdx = 0;
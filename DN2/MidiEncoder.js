@@ -0,0 +1,172 @@
+/**
+ * MidiEncoder.js
+ * Converts IMF music parsed by ImfParser into a Standard MIDI File (format 1):
+ * a conductor track plus one track per OPL channel.
+ */
+
+const HEADER_CHUNK_SIZE = 6;
+const SMF_FORMAT = 1;
+const NUM_CHANNELS = 9;               // OPL channel n -> MIDI channel n (never the drum channel)
+
+// One quarter note per second, so a division equal to the IMF tick rate
+// makes every MIDI tick exactly one IMF tick
+const TEMPO_MICROSECONDS = 1000000;
+
+const PITCH_BEND_RANGE = 12;          // Semitones, announced per track via RPN 0
+const PITCH_BEND_CENTER = 8192;
+const MAX_LEVEL = 63;                 // OPL total level (attenuation) range
+
+const META_TRACK_NAME = 0x03;
+const META_INSTRUMENT_NAME = 0x04;
+const META_TEMPO = 0x51;
+const META_END_OF_TRACK = 0x2F;
+
+/**
+ * Builds a MIDI file from a parsed IMF track
+ * @param {ImfParser} parsed - Result of ImfParser.parse()
+ * @param {string} [title] - Sequence name stored in the conductor track
+ * @returns {Uint8Array} Complete .mid file
+ */
+export function encodeMidi(parsed, title = '') {
+    const tracks = [buildConductorTrack(parsed, title)];
+    for (let channel = 0; channel < NUM_CHANNELS; channel++) {
+        tracks.push(buildChannelTrack(parsed, channel));
+    }
+
+    const bytes = [];
+    writeTag(bytes, 'MThd');
+    writeUint32(bytes, HEADER_CHUNK_SIZE);
+    writeUint16(bytes, SMF_FORMAT);
+    writeUint16(bytes, tracks.length);
+    writeUint16(bytes, parsed.tickRate);
+
+    for (const events of tracks) {
+        const data = serializeEvents(events);
+        writeTag(bytes, 'MTrk');
+        writeUint32(bytes, data.length);
+        for (const b of data) bytes.push(b);
+    }
+
+    return new Uint8Array(bytes);
+}
+
+function buildConductorTrack(parsed, title) {
+    const t = TEMPO_MICROSECONDS;
+    return [
+        metaEvent(0, META_TRACK_NAME, textBytes(title)),
+        metaEvent(0, META_TEMPO, [(t >> 16) & 0xFF, (t >> 8) & 0xFF, t & 0xFF]),
+        metaEvent(parsed.totalTicks, META_END_OF_TRACK, [])
+    ];
+}
+
+/**
+ * Notes of one OPL channel. The channel is monophonic, so events are emitted
+ * in order. Pitch slides become pitch bends around the key that was struck;
+ * a slide beyond the bend range re-strikes the nearest key.
+ */
+function buildChannelTrack(parsed, channel) {
+    const { notes, instrumentChanges } = parsed.channels[channel];
+    const events = [
+        metaEvent(0, META_TRACK_NAME, textBytes(`OPL Ch ${channel + 1}`)),
+        // RPN 0 (pitch bend sensitivity) = PITCH_BEND_RANGE semitones, then RPN null
+        controlEvent(0, channel, 101, 0),
+        controlEvent(0, channel, 100, 0),
+        controlEvent(0, channel, 6, PITCH_BEND_RANGE),
+        controlEvent(0, channel, 38, 0),
+        controlEvent(0, channel, 101, 127),
+        controlEvent(0, channel, 100, 127)
+    ];
+
+    let bend = PITCH_BEND_CENTER;
+    const setBend = (tick, semitones) => {
+        const value = Math.max(0, Math.min(16383,
+            Math.round(PITCH_BEND_CENTER + semitones / PITCH_BEND_RANGE * PITCH_BEND_CENTER)));
+        if (value === bend) return;
+        bend = value;
+        events.push({ tick, bytes: [0xE0 | channel, value & 0x7F, value >> 7] });
+    };
+
+    let changeIndex = 0;
+    for (const note of notes) {
+        while (changeIndex < instrumentChanges.length && instrumentChanges[changeIndex].tick <= note.start) {
+            const change = instrumentChanges[changeIndex++];
+            events.push(metaEvent(change.tick, META_INSTRUMENT_NAME, textBytes(`OPL patch #${change.instrument}`)));
+        }
+
+        if (note.fnum === 0) continue;   // Key-on without a pitch is silent
+
+        const velocity = Math.max(1, Math.round(127 * (MAX_LEVEL - note.level) / MAX_LEVEL));
+        let key = midiKey(note.midi);
+        setBend(note.start, note.midi - key);
+        events.push({ tick: note.start, bytes: [0x90 | channel, key, velocity] });
+
+        for (const pitch of note.bends) {
+            if (pitch.fnum === 0) continue;
+            if (Math.abs(pitch.midi - key) > PITCH_BEND_RANGE && midiKey(pitch.midi) !== key) {
+                events.push({ tick: pitch.tick, bytes: [0x80 | channel, key, 0] });
+                key = midiKey(pitch.midi);
+                setBend(pitch.tick, pitch.midi - key);
+                events.push({ tick: pitch.tick, bytes: [0x90 | channel, key, velocity] });
+            } else {
+                setBend(pitch.tick, pitch.midi - key);
+            }
+        }
+
+        events.push({ tick: note.end, bytes: [0x80 | channel, key, 0] });
+    }
+
+    events.push(metaEvent(parsed.totalTicks, META_END_OF_TRACK, []));
+    return events;
+}
+
+/**
+ * Nearest MIDI key, clamped to the valid 0..127 (extreme block/fnum values
+ * land outside it; the pitch bend then covers what it can of the rest)
+ */
+function midiKey(midi) {
+    return Math.max(0, Math.min(127, Math.round(midi)));
+}
+
+function metaEvent(tick, type, data) {
+    return { tick, bytes: [0xFF, type, ...variableLength(data.length), ...data] };
+}
+
+function controlEvent(tick, channel, controller, value) {
+    return { tick, bytes: [0xB0 | channel, controller, value] };
+}
+
+function serializeEvents(events) {
+    const data = [];
+    let lastTick = 0;
+    for (const event of events) {
+        const tick = Math.max(event.tick, lastTick);
+        data.push(...variableLength(tick - lastTick), ...event.bytes);
+        lastTick = tick;
+    }
+    return data;
+}
+
+// MIDI variable-length quantity: 7 bits per byte, most significant first
+function variableLength(value) {
+    const bytes = [value & 0x7F];
+    while ((value >>= 7) > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+    }
+    return bytes;
+}
+
+function textBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+function writeTag(bytes, tag) {
+    for (let i = 0; i < 4; i++) bytes.push(tag.charCodeAt(i));
+}
+
+function writeUint32(bytes, value) {
+    bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+}
+
+function writeUint16(bytes, value) {
+    bytes.push((value >> 8) & 0xFF, value & 0xFF);
+}
@@ -1,84 +1,272 @@
 import createDukeBackend from './lib/libadlmidi.js';
 
+const IMF_TICK_RATE = 280;      // DN2 music timer (Hz)
+const RENDER_CHUNK = 4096;      // Frames pulled from the engine per call
+
+let backendPromise = null;
+
+/**
+ * Loads the libadlmidi WASM backend once; players and offline renders share it.
+ * Under Node (no window, no audio device) the Emscripten glue expects the
+ * CommonJS globals `require` and `__dirname`, so they are provided first.
+ */
+function loadBackend() {
+    if (!backendPromise) {
+        backendPromise = (async () => {
+            const locateFile = (path) => new URL(`./lib/${path}`, import.meta.url).href;
+
+            if (!globalThis.window && globalThis.process?.versions?.node) {
+                const { createRequire } = await import('module');
+                const { fileURLToPath } = await import('url');
+                globalThis.require ??= createRequire(import.meta.url);
+                globalThis.__dirname ??= fileURLToPath(new URL('./lib', import.meta.url));
+            }
+
+            return createDukeBackend({ locateFile });
+        })();
+    }
+    return backendPromise;
+}
+
+/**
+ * Length of one pass through an IMF track (seconds). The engine loops
+ * back to the start after the last command, so this is the loop point.
+ */
+export function getImfDuration(buffer) {
+    const data = new Uint8Array(buffer);
+    let ticks = 0;
+    for (let ptr = 0; ptr + 3 < data.length; ptr += 4) {
+        ticks += data[ptr + 2] | (data[ptr + 3] << 8);
+    }
+    return ticks / IMF_TICK_RATE;
+}
+
+/**
+ * Prepends the waveform-enable command and the size header DukePlayer expects
+ */
+function patchDukeIMF(buffer) {
+    const data = new Uint8Array(buffer);
+    const commands = [];
+    commands.push(0x01, 0x20, 0x00, 0x00); // Waveform Enable
+
+    let ptr = 0;
+    while (ptr < data.length - 3) {
+        let reg = data[ptr];
+        let val = data[ptr+1];
+        let delay = data[ptr+2] | (data[ptr+3] << 8);
+        commands.push(reg, val, delay & 0xFF, (delay >> 8) & 0xFF);
+        ptr += 4;
+    }
+    
+    const size = commands.length;
+    commands.unshift(size & 0xFF, (size >> 8) & 0xFF);
+    return new Uint8Array(commands);
+}
+
+/**
+ * Returns a copy of an IMF track with key-on cleared for the masked channels
+ * @param {number} mutedChannels - Bit n set = OPL channel n silent
+ */
+export function applyChannelMask(buffer, mutedChannels) {
+    const data = new Uint8Array(buffer).slice();
+    if (!mutedChannels) return data;
+
+    for (let ptr = 0; ptr + 3 < data.length; ptr += 4) {
+        const channel = data[ptr] - 0xB0;
+        if (channel >= 0 && channel < 9 && (mutedChannels & (1 << channel))) {
+            data[ptr + 1] &= ~0x20;
+        }
+    }
+    return data;
+}
+
+/**
+ * Opens a fresh OPL emulator on an IMF track for chunked rendering.
+ * render(frames) returns the next [left, right] block, skip(frames) advances
+ * without keeping the output; call delete() when done.
+ */
+export async function openImfRenderer(buffer, sampleRate) {
+    const backend = await loadBackend();
+    const player = new backend.DukePlayer(sampleRate);
+
+    if (player.loadData(patchDukeIMF(buffer)) < 0) {
+        player.delete();
+        throw new Error("Engine refused IMF data.");
+    }
+
+    return {
+        render(frames) {
+            const left = new Float32Array(frames);
+            const right = new Float32Array(frames);
+            for (let frame = 0; frame < frames; frame += RENDER_CHUNK) {
+                const count = Math.min(RENDER_CHUNK, frames - frame);
+                const samples = player.getSamples(count); // Interleaved L/R
+                for (let i = 0; i < count; i++) {
+                    left[frame + i] = samples[i * 2] || 0;
+                    right[frame + i] = samples[i * 2 + 1] || 0;
+                }
+            }
+            return [left, right];
+        },
+        skip(frames) {
+            for (let frame = 0; frame < frames; frame += RENDER_CHUNK) {
+                player.getSamples(Math.min(RENDER_CHUNK, frames - frame));
+            }
+        },
+        delete() {
+            player.delete();
+        }
+    };
+}
+
+/**
+ * Headless IMF renderer: drives the WASM OPL emulator directly, no AudioContext.
+ * Each call starts from a fresh emulator, so output is deterministic and can
+ * be hashed in regression tests (works in Node as well as the browser).
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw IMF data
+ * @param {Object} options - sampleRate (Hz), seconds (omit to stop at the loop point)
+ * @returns {Promise<{sampleRate: number, channels: Float32Array[]}>} [left, right]
+ */
+export async function renderImfToPcm(buffer, { sampleRate = 44100, seconds = null } = {}) {
+    const duration = seconds ?? getImfDuration(buffer);
+    const totalFrames = Math.round(duration * sampleRate);
+
+    const renderer = await openImfRenderer(buffer, sampleRate);
+    try {
+        return { sampleRate, channels: renderer.render(totalFrames) };
+    } finally {
+        renderer.delete();
+    }
+}
+
 export class MusicPlayer {
-    constructor() {
+    /**
+     * @param {AudioMixer} mixer - Shared context; music plays into its 'music' bus
+     */
+    constructor(mixer) {
+        this.mixer = mixer;
         this.audioCtx = null;
         this.backend = null;
-        this.player = null;
-        this.scriptNode = null;
-        this.gainNode = null; // NEW: Volume control
+        this.workletNode = null;  // auto-worklet.js output (created once per context)
+        this.renderWorker = null; // imf-render-worker.js, feeds the worklet
         
         this.isPlaying = false;
         this.isPaused = false;
+        this.loop = true;
         this.currentTrackName = "";
 
+        // Track position (frames at the context rate)
+        this.totalFrames = 0;
+        this.positionFrame = 0;
+        this.positionTime = 0;    // audioCtx.currentTime of the last position report
+        this.mutedChannels = 0;   // Bit n set = OPL channel n muted
+
+        // UI hooks
+        this.onPosition = null;   // (elapsedSeconds, totalSeconds) => {}
+        this.onEnded = null;      // () => {}  (loop off, track finished)
+
         this.initPromise = this._init();
     }
 
     async _init() {
         try {
-            const wasmConfig = {
-                locateFile: (path) => path.endsWith('.wasm') ? 'lib/' + path : path
-            };
-            this.backend = await createDukeBackend(wasmConfig);
+            this.backend = await loadBackend();
             console.log("☢️ Duke Nukem II Audio Engine Ready.");
         } catch (err) {
             console.error("Failed to initialize OPL3 engine:", err);
         }
     }
 
+    get duration() {
+        return this.audioCtx ? this.totalFrames / this.audioCtx.sampleRate : 0;
+    }
+
+    get position() {
+        return this.audioCtx ? this.positionFrame / this.audioCtx.sampleRate : 0;
+    }
+
+    /**
+     * Position extrapolated from the last worklet report, for smooth visuals
+     */
+    getPlaybackPosition() {
+        if (!this.audioCtx || !this.isPlaying) return 0;
+        let seconds = this.position;
+        if (!this.isPaused) seconds += this.audioCtx.currentTime - this.positionTime;
+
+        const duration = this.duration;
+        if (duration <= 0) return 0;
+        return this.loop ? seconds % duration : Math.min(seconds, duration);
+    }
+
+    /**
+     * Creates the worklet node on the shared context on first use, and the
+     * worker that renders the music for it
+     */
+    async _ensureGraph() {
+        if (!this.audioCtx) {
+            this.audioCtx = this.mixer.getContext();
+        }
+        if (this.workletNode) return;
+
+        await this.audioCtx.audioWorklet.addModule(new URL('./auto-worklet.js', import.meta.url));
+
+        this.workletNode = new AudioWorkletNode(this.audioCtx, 'adlmidi-processor', {
+            numberOfInputs: 0,
+            outputChannelCount: [2]
+        });
+        this.workletNode.port.onmessage = (e) => this._handleWorkletMessage(e.data);
+
+        // Worker and worklet talk directly, so streaming never waits on this thread
+        this.renderWorker = new Worker(new URL('./imf-render-worker.js', import.meta.url), { type: 'module' });
+        this.renderWorker.onerror = (e) => console.error("Music render worker error:", e.message);
+        const channel = new MessageChannel();
+        this.renderWorker.postMessage({ type: 'connect', port: channel.port1, sampleRate: this.audioCtx.sampleRate }, [channel.port1]);
+        this.workletNode.port.postMessage({ type: 'connect', port: channel.port2 }, [channel.port2]);
+
+        // Connect: Worklet -> Music bus -> Speakers
+        this.workletNode.connect(this.mixer.getBus('music'));
+    }
+
+    _handleWorkletMessage(msg) {
+        if (msg.type === 'position') {
+            this.positionFrame = msg.frame;
+            this.positionTime = this.audioCtx.currentTime;
+            if (this.onPosition) this.onPosition(this.position, this.duration);
+        } else if (msg.type === 'ended') {
+            // Worklet rewound to the start and paused; play resumes from the top
+            this.isPaused = true;
+            if (this.onEnded) this.onEnded();
+        }
+    }
+
     /* Updated to accept a track name for display purposes */
-    async playImf(imfBuffer, trackName = "Unknown Track") {
+    async playImf(imfBuffer, trackName = "Unknown Track", { loop = this.loop } = {}) {
         if (!this.backend) await this.initPromise;
         this.stop();
 
         try {
-            if (!this.audioCtx) {
-                this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            }
+            await this._ensureGraph();
             if (this.audioCtx.state === 'suspended') {
                 await this.audioCtx.resume();
             }
 
-            this.player = new this.backend.DukePlayer(this.audioCtx.sampleRate);
             this.currentTrackName = trackName;
+            this.totalFrames = Math.round(getImfDuration(imfBuffer) * this.audioCtx.sampleRate);
+            this.positionFrame = 0;
 
-            // Load Data
-            const patchedData = this._patchDukeIMF(imfBuffer);
-            if (this.player.loadData(patchedData) < 0) {
-                throw new Error("Engine refused IMF data.");
-            }
-
-            // --- AUDIO GRAPH SETUP ---
-            const bufferSize = 4096;
-            this.scriptNode = this.audioCtx.createScriptProcessor(bufferSize, 0, 2);
-            
-            // NEW: Create Gain Node for Volume
-            this.gainNode = this.audioCtx.createGain();
-            this.gainNode.gain.value = 1.0; // Default max volume
-
-            // Connect: Script -> Gain -> Speakers
-            this.scriptNode.connect(this.gainNode);
-            this.gainNode.connect(this.audioCtx.destination);
-
-            this.scriptNode.onaudioprocess = (e) => {
-                const outputL = e.outputBuffer.getChannelData(0);
-                const outputR = e.outputBuffer.getChannelData(1);
-                const samples = this.player.getSamples(bufferSize);
-
-                for (let i = 0; i < bufferSize; i++) {
-                    if (i * 2 + 1 < samples.length) {
-                        outputL[i] = samples[i * 2];
-                        outputR[i] = samples[i * 2 + 1];
-                    } else {
-                        outputL[i] = 0;
-                        outputR[i] = 0;
-                    }
-                }
-            };
+            const imf = new Uint8Array(imfBuffer).slice().buffer;
+            this.workletNode.port.postMessage({
+                type: 'load',
+                imf,
+                totalFrames: this.totalFrames,
+                loop,
+                mutedChannels: this.mutedChannels
+            }, [imf]);
 
             this.isPlaying = true;
             this.isPaused = false;
+            this.positionTime = this.audioCtx.currentTime;
+
             console.log(`▶️ Playing: ${trackName}`);
 			logMessage(`▶️ Playing: ${trackName}`, 'success');
 
@@ -89,17 +277,8 @@ export class MusicPlayer {
     }
 
     stop() {
-    if (this.scriptNode) {
-        this.scriptNode.disconnect();
-        this.scriptNode = null;
-    }
-    if (this.gainNode) {
-        this.gainNode.disconnect();
-        this.gainNode = null;
-    }
-    if (this.player) {
-        this.player.delete();
-        this.player = null;
+    if (this.workletNode) {
+        this.workletNode.port.postMessage({ type: 'stop' });
     }
     
     // Only log if something was actually playing
@@ -110,50 +289,75 @@ export class MusicPlayer {
     this.isPlaying = false;
     this.isPaused = false;
     this.currentTrackName = "";
+    this.totalFrames = 0;
+    this.positionFrame = 0;
 }
 
     // --- NEW CONTROL METHODS ---
 
     togglePause() {
-    if (!this.audioCtx) return;
+    if (!this.workletNode || !this.isPlaying) return this.isPaused;
 
+    // The worklet stops pulling samples mid-stream, so resume continues on the exact frame
     if (this.isPaused) {
-        this.audioCtx.resume();
+        if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+        this.workletNode.port.postMessage({ type: 'resume' });
         this.isPaused = false;
         logMessage(`▶️ Resumed: ${this.currentTrackName}`, 'info');
     } else {
-        this.audioCtx.suspend();
+        this.workletNode.port.postMessage({ type: 'pause' });
         this.isPaused = true;
         logMessage(`⏸️ Paused: ${this.currentTrackName}`, 'info');
     }
     return this.isPaused;
 }
 
-    setVolume(value) {
-        // Value between 0.0 and 1.0
-        if (this.gainNode) {
-            // Clamp value between 0 and 1
-            const safeValue = Math.max(0, Math.min(1, value));
-            this.gainNode.gain.value = safeValue;
+    /**
+     * Jumps to a position in the current track (seconds)
+     */
+    seek(seconds) {
+        if (!this.workletNode || !this.isPlaying) return;
+        const frame = Math.round(seconds * this.audioCtx.sampleRate);
+        this.positionFrame = Math.max(0, Math.min(frame, this.totalFrames - 1));
+        this.workletNode.port.postMessage({ type: 'seek', frame: this.positionFrame });
+    }
+
+    /**
+     * Mutes OPL channels (bit n = channel n). The render worker replays the
+     * track without those channels' key-ons and the worklet splices it in
+     * just ahead of the playhead.
+     */
+    setMutedChannels(mask) {
+        if (mask === this.mutedChannels) return;
+        this.mutedChannels = mask;
+
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'mute', mutedChannels: mask });
         }
     }
 
-    _patchDukeIMF(buffer) {
-        const data = new Uint8Array(buffer);
-        const commands = [];
-        commands.push(0x01, 0x20, 0x00, 0x00); // Waveform Enable
-
-        let ptr = 0;
-        while (ptr < data.length - 3) {
-            let reg = data[ptr];
-            let val = data[ptr+1];
-            let delay = data[ptr+2] | (data[ptr+3] << 8);
-            commands.push(reg, val, delay & 0xFF, (delay >> 8) & 0xFF);
-            ptr += 4;
+    setLoop(enabled) {
+        this.loop = enabled;
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'loop', enabled });
         }
-        
-        const size = commands.length;
-        commands.unshift(size & 0xFF, (size >> 8) & 0xFF);
-        return new Uint8Array(commands);
+    }
+
+    setVolume(value) {
+        // Value between 0.0 and 1.0; the mixer's music bus clamps and remembers it
+        this.mixer.setVolume('music', value);
+    }
+
+    // --- OFFLINE RENDERING ---
+
+    /**
+     * Renders an IMF track to PCM (see renderImfToPcm)
+     */
+    async renderImf(imfBuffer, options = {}) {
+        return renderImfToPcm(imfBuffer, options);
+    }
+
+    _patchDukeIMF(buffer) {
+        return patchDukeIMF(buffer);
     }
 }
\ No newline at end of file
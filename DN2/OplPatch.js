@@ -0,0 +1,79 @@
+/**
+ * OplPatch.js
+ * Field layout of the 16-byte AdLib instrument stored in AUDIOT sound effects:
+ * modulator/carrier pairs for OPL registers 20/40/60/80/E0, then the
+ * feedback/connection byte (C0) and unused padding.
+ */
+
+export const PATCH_SIZE = 16;
+
+// Modulator byte of each register pair; the carrier byte follows it
+const REG_CHARACTER = 0;    // 0x20: AM, vibrato, sustain, KSR, multiplier
+const REG_LEVEL = 2;        // 0x40: key scale level, output level
+const REG_ATTACK = 4;       // 0x60: attack, decay
+const REG_SUSTAIN = 6;      // 0x80: sustain level, release
+const REG_WAVE = 8;         // 0xE0: waveform
+const REG_CONNECTION = 10;  // 0xC0: feedback, connection (channel-wide)
+
+export const OPERATORS = ['modulator', 'carrier'];
+
+export const OPERATOR_FIELDS = [
+    { key: 'multiplier', label: 'Multiplier', byte: REG_CHARACTER, shift: 0, bits: 4 },
+    { key: 'ksl', label: 'Key scale level', byte: REG_LEVEL, shift: 6, bits: 2 },
+    { key: 'outputLevel', label: 'Output level', byte: REG_LEVEL, shift: 0, bits: 6 },
+    { key: 'attack', label: 'Attack', byte: REG_ATTACK, shift: 4, bits: 4 },
+    { key: 'decay', label: 'Decay', byte: REG_ATTACK, shift: 0, bits: 4 },
+    { key: 'sustain', label: 'Sustain level', byte: REG_SUSTAIN, shift: 4, bits: 4 },
+    { key: 'release', label: 'Release', byte: REG_SUSTAIN, shift: 0, bits: 4 },
+    { key: 'waveform', label: 'Waveform', byte: REG_WAVE, shift: 0, bits: 2 },
+    { key: 'tremolo', label: 'Tremolo (AM)', byte: REG_CHARACTER, shift: 7, bits: 1 },
+    { key: 'vibrato', label: 'Vibrato', byte: REG_CHARACTER, shift: 6, bits: 1 },
+    { key: 'sustaining', label: 'Hold at sustain', byte: REG_CHARACTER, shift: 5, bits: 1 },
+    { key: 'ksr', label: 'Key scale rate', byte: REG_CHARACTER, shift: 4, bits: 1 }
+];
+
+export const CHANNEL_FIELDS = [
+    { key: 'feedback', label: 'Feedback', byte: REG_CONNECTION, shift: 1, bits: 3 },
+    { key: 'connection', label: 'Connection', byte: REG_CONNECTION, shift: 0, bits: 1 }
+];
+
+export const WAVEFORM_NAMES = ['Sine', 'Half sine', 'Abs sine', 'Quarter sine'];
+export const CONNECTION_NAMES = ['FM', 'Additive'];
+export const KSL_NAMES = ['Off', '1.5 dB/oct', '3 dB/oct', '6 dB/oct'];
+
+function fieldOffset(field, operator) {
+    return field.byte + (operator === 'carrier' ? 1 : 0);
+}
+
+/**
+ * Reads one field; operator is 'modulator' or 'carrier' (ignored for channel fields)
+ */
+export function getPatchField(bytes, field, operator) {
+    return (bytes[fieldOffset(field, operator)] >> field.shift) & ((1 << field.bits) - 1);
+}
+
+/**
+ * Writes one field in place, leaving the other bits of its byte untouched
+ */
+export function setPatchField(bytes, field, operator, value) {
+    const mask = ((1 << field.bits) - 1) << field.shift;
+    const offset = fieldOffset(field, operator);
+    bytes[offset] = (bytes[offset] & ~mask) | ((value << field.shift) & mask);
+}
+
+/**
+ * Decodes all fields into { modulator: {...}, carrier: {...}, feedback, connection }
+ */
+export function decodePatch(bytes) {
+    const patch = {};
+    for (const operator of OPERATORS) {
+        patch[operator] = {};
+        for (const field of OPERATOR_FIELDS) {
+            patch[operator][field.key] = getPatchField(bytes, field, operator);
+        }
+    }
+    for (const field of CHANNEL_FIELDS) {
+        patch[field.key] = getPatchField(bytes, field);
+    }
+    return patch;
+}
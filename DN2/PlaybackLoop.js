@@ -0,0 +1,45 @@
+/**
+ * PlaybackLoop.js
+ * Animation-frame loop that keeps a visualizer's playhead in step with a
+ * player. Shared by ImfVisualizer and VocVisualizer.
+ */
+
+export class PlaybackLoop {
+    constructor() {
+        this.frameRequest = null;
+    }
+
+    /**
+     * Calls draw(getPosition()) every animation frame until stop() or until
+     * the canvas is hidden or removed
+     * @param {HTMLCanvasElement} canvas - Visualizer canvas
+     * @param {Function} getPosition - Playhead in seconds, or null when stopped
+     * @param {Function} draw - Called with the position
+     * @param {{untilEnded?: boolean}} options - Also end once the position turns
+     *   null after playback (the stopped state is still drawn)
+     */
+    start(canvas, getPosition, draw, { untilEnded = false } = {}) {
+        this.stop();
+        let played = false;
+
+        const frame = () => {
+            this.frameRequest = null;
+            if (!canvas || !canvas.isConnected || canvas.offsetParent === null) return;
+
+            const seconds = getPosition();
+            draw(seconds);
+            if (seconds !== null) played = true;
+            else if (untilEnded && played) return;
+
+            this.frameRequest = requestAnimationFrame(frame);
+        };
+        this.frameRequest = requestAnimationFrame(frame);
+    }
+
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+}
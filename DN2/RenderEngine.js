@@ -1,3 +1,29 @@
+import { TILE_FLAGS, decodeTileAttribute } from './TileAttributes.js';
+
+const flagBit = (key) => TILE_FLAGS.find(flag => flag.key === key).bit;
+const TILE_ANIMATED = flagBit('animated');
+const TILE_SLOW_ANIMATION = flagBit('slowAnimation');  // Animated tiles with this bit advance every other tick
+const ANIMATION_FRAMES = 4;          // An animated tile cycles through itself and the next three tiles
+
+/**
+ * Groups grid indices into horizontal runs, row by row
+ * @returns {{x0: number, x1: number, y: number}[]}
+ */
+function cellSpans(indices, width) {
+    const spans = [];
+    let span = null;
+    for (const index of [...indices].sort((a, b) => a - b)) {
+        const x = index % width, y = Math.floor(index / width);
+        if (span && span.y === y && span.x1 === x - 1) {
+            span.x1 = x;
+        } else {
+            span = { x0: x, x1: x, y };
+            spans.push(span);
+        }
+    }
+    return spans;
+}
+
 export class RenderEngine {
     // UPDATED: Now accepts actorManager as 2nd argument
     constructor(canvas, actorManager) {
@@ -11,9 +37,20 @@ export class RenderEngine {
         this.tileSize = 8;
         this.actorHitboxes = [];
         this.lastViewport = null;
+        this.lastViewMode = null;
         this.viewerConfig = null;
         this.revealStates = new Map();
         this.specialSpriteCache = new Map();
+        this.pendingSprites = new Set();  // Special sprite cache keys being built
+        this.animateActors = false;       // Step actors through their idle sequences (animatedActors config)
+        this.editMode = false;      // Level editor owns mouse input while true
+        this.renderOptions = null;  // Last preRender inputs, reused by redrawCells
+        this.map = null;            // Map of the cached terrain
+        this.attributeOverlay = { enabled: false, flags: new Set() };  // Tile flag keys to show
+        this.attributeCanvas = null;                                    // Cached overlay, rebuilt on demand
+        this.animatedCells = new Set();   // Grid indices of cells with an animated tile
+        this.animationTick = 0;           // Game ticks since the map was loaded
+        this.actorAnimationTick = 0;      // Same, for animated actors (counted only while animateActors is on)
         this.setupTooltip();
     }
 
@@ -31,19 +68,27 @@ export class RenderEngine {
     }
 
     handleMouseMove(e) {
+        if (this.editMode) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
         
 		const rect = this.canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
         const hovered = this.findActorsAtScreenPos(mouseX, mouseY);
+        const tileHtml = this.attributeOverlay.enabled ? this.describeTileAt(mouseX, mouseY) : '';
         
-        if (hovered.length > 0) {
+        if (hovered.length > 0 || tileHtml) {
             // Skip tooltips for raw view items
-            if (hovered[0].isRawView) {
+            if (hovered.length > 0 && hovered[0].isRawView) {
                 this.tooltip.style.display = 'none';
                 return;
             }
-            let html = `<div style="margin-bottom:4px;border-bottom:1px solid #555;padding-bottom:2px;color:#fc0;font-weight:bold;">${hovered.length} Item(s)</div>`;
+            let html = tileHtml;
+            if (hovered.length > 0) {
+                html += `<div style="margin-bottom:4px;border-bottom:1px solid #555;padding-bottom:2px;color:#fc0;font-weight:bold;">${hovered.length} Item(s)</div>`;
+            }
             
 
             hovered.forEach(hit => {
@@ -98,6 +143,59 @@ export class RenderEngine {
         }
     }
 
+    /**
+     * Tooltip section for the map cell under the cursor: raw attribute word
+     * of each layer and the bits it sets
+     */
+    describeTileAt(screenX, screenY) {
+        const map = this.map;
+        const world = this.screenToWorld(screenX, screenY);
+        if (this.lastViewMode !== 'map' || !map || !world || !this.renderOptions) return '';
+
+        const x = Math.floor(world.x / this.tileSize);
+        const y = Math.floor(world.y / this.tileSize);
+        if (x < 0 || y < 0 || x >= map.width || y >= map.height) return '';
+
+        const cell = map.grid[y * map.width + x];
+        if (!cell) return '';
+
+        const { assets } = this.renderOptions;
+        const layers = [];
+        if (cell.bg !== null) layers.push({ name: 'BG', index: cell.bg, value: assets.solidTileAttributes?.[cell.bg] || 0 });
+        if (cell.fg !== null) layers.push({ name: 'FG', index: cell.fg, value: assets.maskedTileAttributes?.[cell.fg] || 0 });
+
+        let html = `<div style="margin-bottom:4px;border-bottom:1px solid #555;padding-bottom:2px;color:#fc0;font-weight:bold;">Tile (${x}, ${y})</div>`;
+        for (const layer of layers) {
+            const { flags, unknownBits } = decodeTileAttribute(layer.value);
+            const bits = flags.map(flag =>
+                `<span style="color:${flag.color}">■</span> ${flag.label} <span style="color:#64748b">(bit ${Math.log2(flag.bit)})</span>`
+            );
+            if (unknownBits) bits.push(`Unknown bits 0x${unknownBits.toString(16).toUpperCase().padStart(4, '0')}`);
+
+            html += `
+                <div style="margin-bottom:6px;">
+                    <span style="color:#38bdf8;font-weight:bold;">${layer.name} #${layer.index}</span>
+                    <span style="color:#94a3b8;">0x${layer.value.toString(16).toUpperCase().padStart(4, '0')} · ${layer.value.toString(2).padStart(16, '0')}</span>
+                    <div style="color:#cbd5e1;font-size:11px;line-height:1.5;">${bits.length ? bits.join('<br>') : 'No flags'}</div>
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Converts canvas pixel coordinates to world pixel coordinates
+     * using the viewport from the last draw.
+     */
+    screenToWorld(screenX, screenY) {
+        if (!this.lastViewport) return null;
+        const zoom = this.lastViewport.zoom;
+        return {
+            x: ((screenX - this.canvas.width / 2) / zoom) + this.lastViewport.x,
+            y: ((screenY - this.canvas.height / 2) / zoom) + this.lastViewport.y
+        };
+    }
+
     findActorsAtScreenPos(screenX, screenY) {
         if (!this.lastViewport || this.actorHitboxes.length === 0) return [];
         const zoom = this.lastViewport.zoom;
@@ -112,6 +210,7 @@ export class RenderEngine {
     }
 
     handleCanvasClick(e) {
+        if (this.editMode) return;
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
@@ -162,45 +261,22 @@ export class RenderEngine {
         overlayCtx.imageSmoothingEnabled = false;
         
         const ds = useGridFix ? 8.4 : 8;
+        this.renderOptions = { assets, useGridFix, hideBgGrid };
+        if (this.map !== map) {
+            // Re-renders of the same map keep the current frame
+            this.animationTick = 0;
+            this.actorAnimationTick = 0;
+        }
+        this.map = map;
+        this.attributeCanvas = null;
+        this.animatedCells.clear();
         
         // Render tiles based on DN2 layer rules
         for(let y=0; y<map.height; y++) {
             for(let x=0; x<map.width; x++) {
-                const c = map.grid[y*map.width+x];
-                
-                // Background tiles check "draw in front" attribute (bit 5)
-                if(c.bg!==null && assets.solidTiles[c.bg]) {
-                    // Skip tile 0 (background grid) if hideBgGrid is enabled
-                    if (hideBgGrid && c.bg === 0) {
-                        continue; // Leave as black/transparent
-                    }
-                    
-                    const tileAttr = assets.solidTileAttributes?.[c.bg] || 0;
-                    const drawInFront = (tileAttr & 0x20) !== 0; // Bit 5 = 0x20
-                    
-                    if (drawInFront) {
-                        // Solid tile with "draw in front" flag - renders over actors
-                        overlayCtx.drawImage(assets.solidTiles[c.bg], x*8, y*8, ds, ds);
-                    } else {
-                        // Normal solid tile - renders in background
-                        bgCtx.drawImage(assets.solidTiles[c.bg], x*8, y*8, ds, ds);
-                    }
-                }
-                
-                // Foreground tiles render based on their "draw in front" attribute (bit 5)
-                if(c.fg!==null && assets.maskedTiles[c.fg]) {
-                    // Check if this tile has the "draw in front" flag
-                    const tileAttr = assets.maskedTileAttributes?.[c.fg] || 0;
-                    const drawInFront = (tileAttr & 0x20) !== 0; // Bit 5 = 0x20
-                    
-                    if (drawInFront) {
-                        // Tile has "draw in front" flag - renders over actors
-                        overlayCtx.drawImage(assets.maskedTiles[c.fg], x*8, y*8, ds, ds);
-                    } else {
-                        // Normal tile - renders with background
-                        bgCtx.drawImage(assets.maskedTiles[c.fg], x*8, y*8, ds, ds);
-                    }
-                }
+                const index = y*map.width+x;
+                this.drawTerrainCell(bgCtx, overlayCtx, map.grid[index], x, y, assets, ds, hideBgGrid);
+                this.trackAnimatedCell(map.grid[index], index, assets);
             }
         }
         
@@ -215,6 +291,240 @@ export class RenderEngine {
         console.log(`Overlay terrain: ${overlayPixelCount} non-transparent pixels found`);
     }
 
+    /**
+     * Draws one map cell into the terrain canvases.
+     * Tiles with the "draw in front" attribute (bit 5) go to the overlay canvas.
+     */
+    drawTerrainCell(bgCtx, overlayCtx, c, x, y, assets, ds, hideBgGrid) {
+        // Background tiles check "draw in front" attribute (bit 5)
+        if(c.bg!==null && assets.solidTiles[c.bg]) {
+            // Skip tile 0 (background grid) if hideBgGrid is enabled
+            if (hideBgGrid && c.bg === 0) {
+                return; // Leave as black/transparent
+            }
+            
+            const tileAttr = assets.solidTileAttributes?.[c.bg] || 0;
+            const drawInFront = (tileAttr & 0x20) !== 0; // Bit 5 = 0x20
+            const tile = assets.solidTiles[this.animatedTileIndex(c.bg, tileAttr)] || assets.solidTiles[c.bg];
+            
+            if (drawInFront) {
+                // Solid tile with "draw in front" flag - renders over actors
+                overlayCtx.drawImage(tile, x*8, y*8, ds, ds);
+            } else {
+                // Normal solid tile - renders in background
+                bgCtx.drawImage(tile, x*8, y*8, ds, ds);
+            }
+        }
+        
+        // Foreground tiles render based on their "draw in front" attribute (bit 5)
+        if(c.fg!==null && assets.maskedTiles[c.fg]) {
+            // Check if this tile has the "draw in front" flag
+            const tileAttr = assets.maskedTileAttributes?.[c.fg] || 0;
+            const drawInFront = (tileAttr & 0x20) !== 0; // Bit 5 = 0x20
+            const tile = assets.maskedTiles[this.animatedTileIndex(c.fg, tileAttr)] || assets.maskedTiles[c.fg];
+            
+            if (drawInFront) {
+                // Tile has "draw in front" flag - renders over actors
+                overlayCtx.drawImage(tile, x*8, y*8, ds, ds);
+            } else {
+                // Normal tile - renders with background
+                bgCtx.drawImage(tile, x*8, y*8, ds, ds);
+            }
+        }
+    }
+
+    /**
+     * Tile to show for the current animation tick. Animated tiles are the
+     * first of ANIMATION_FRAMES consecutive tiles; fast ones advance every
+     * tick, slow ones every other tick.
+     */
+    animatedTileIndex(index, attribute) {
+        if (!(attribute & TILE_ANIMATED)) return index;
+        const tick = attribute & TILE_SLOW_ANIMATION ? Math.floor(this.animationTick / 2) : this.animationTick;
+        return index + (tick % ANIMATION_FRAMES);
+    }
+
+    trackAnimatedCell(c, index, assets) {
+        const animated = c && (
+            (c.bg !== null && (assets.solidTileAttributes?.[c.bg] & TILE_ANIMATED)) ||
+            (c.fg !== null && (assets.maskedTileAttributes?.[c.fg] & TILE_ANIMATED))
+        );
+        if (animated) this.animatedCells.add(index);
+        else this.animatedCells.delete(index);
+    }
+
+    /**
+     * Advances animated tiles by one game tick (or sets the tick) and redraws
+     * only the cells whose frame changed; the rest of the terrain cache is kept
+     */
+    stepTileAnimation(tick = this.animationTick + 1) {
+        if (!this.isCached || !this.map) return;
+        const previous = this.animationTick;
+        this.animationTick = tick;
+
+        const { assets } = this.renderOptions;
+        const moved = [];
+        const fastChanged = previous % ANIMATION_FRAMES !== tick % ANIMATION_FRAMES;
+        const slowChanged = Math.floor(previous / 2) % ANIMATION_FRAMES !== Math.floor(tick / 2) % ANIMATION_FRAMES;
+
+        for (const index of this.animatedCells) {
+            const c = this.map.grid[index];
+            const layers = [
+                c.bg !== null ? assets.solidTileAttributes?.[c.bg] || 0 : 0,
+                c.fg !== null ? assets.maskedTileAttributes?.[c.fg] || 0 : 0
+            ];
+
+            // A cell can mix a fast and a slow layer; redraw if either moved
+            if (layers.some(attr => (attr & TILE_ANIMATED) &&
+                (attr & TILE_SLOW_ANIMATION ? slowChanged : fastChanged))) {
+                moved.push(index);
+            }
+        }
+        this.redrawCells(this.map, moved);
+    }
+
+    /**
+     * Updates the cached terrain canvases for a set of edited cells
+     * without re-rendering the whole map.
+     * @param {Object} map - The map being edited
+     * @param {number[]} indices - Grid indices of the changed cells
+     */
+    redrawCells(map, indices) {
+        if (!this.isCached || !this.renderOptions || indices.length === 0) return;
+        const { assets, useGridFix, hideBgGrid } = this.renderOptions;
+        const { width, height } = map;
+        
+        // Grid fix tiles bleed 0.4px into their right/bottom neighbours,
+        // so clear the cells around each change and redraw the cells that bleed into them.
+        // Only those neighbourhoods are touched, however far apart the changes are.
+        const pad = useGridFix ? 1 : 0;
+        const cleared = new Set();
+        for (const index of indices) {
+            const x = index % width, y = Math.floor(index / width);
+            for (let cy = Math.max(0, y - pad); cy <= Math.min(height - 1, y + pad); cy++) {
+                for (let cx = Math.max(0, x - pad); cx <= Math.min(width - 1, x + pad); cx++) {
+                    cleared.add(cy * width + cx);
+                }
+            }
+        }
+        const drawn = new Set(cleared);
+        if (pad) {
+            for (const index of cleared) {
+                const x = index % width, y = Math.floor(index / width);
+                if (x > 0) drawn.add(index - 1);
+                if (y > 0) drawn.add(index - width);
+                if (x > 0 && y > 0) drawn.add(index - width - 1);
+            }
+        }
+        const ds = useGridFix ? 8.4 : 8;
+        
+        const bgCtx = this.bgTerrainCanvas.getContext('2d');
+        const overlayCtx = this.overlayTerrainCanvas.getContext('2d');
+        const spans = cellSpans(cleared, width);
+        
+        for (const ctx of [bgCtx, overlayCtx]) {
+            ctx.save();
+            ctx.beginPath();
+            for (const span of spans) ctx.rect(span.x0 * 8, span.y * 8, (span.x1 - span.x0 + 1) * 8, 8);
+            ctx.clip();
+            for (const span of spans) ctx.clearRect(span.x0 * 8, span.y * 8, (span.x1 - span.x0 + 1) * 8, 8);
+        }
+        
+        // Row-major, like the full render, so overlapping bleed stacks the same way
+        for (const index of [...drawn].sort((a, b) => a - b)) {
+            this.drawTerrainCell(bgCtx, overlayCtx, map.grid[index], index % width, Math.floor(index / width), assets, ds, hideBgGrid);
+        }
+        
+        for (const index of indices) {
+            this.trackAnimatedCell(map.grid[index], index, assets);
+        }
+        
+        bgCtx.restore();
+        overlayCtx.restore();
+
+        if (this.attributeCanvas) {
+            const attrCtx = this.attributeCanvas.getContext('2d');
+            for (const index of indices) {
+                const x = index % width, y = Math.floor(index / width);
+                attrCtx.clearRect(x * 8, y * 8, 8, 8);
+                this.drawAttributeCell(attrCtx, map.grid[index], x, y);
+            }
+        }
+    }
+
+    /**
+     * Shows or hides the tile attribute overlay
+     * @param {{enabled: boolean, flags: Set<string>}} options - Flag keys from TILE_FLAGS to draw
+     */
+    setAttributeOverlay(options) {
+        this.attributeOverlay = options;
+        this.attributeCanvas = null;
+    }
+
+    /**
+     * Renders the attribute overlay for the whole map (cached until the map,
+     * the edited cells or the flag selection change)
+     */
+    getAttributeCanvas() {
+        const map = this.map;
+        if (!map || !this.renderOptions) return null;
+
+        if (!this.attributeCanvas) {
+            this.attributeCanvas = document.createElement('canvas');
+            this.attributeCanvas.width = map.width * this.tileSize;
+            this.attributeCanvas.height = map.height * this.tileSize;
+            const ctx = this.attributeCanvas.getContext('2d');
+            for (let y = 0; y < map.height; y++) {
+                for (let x = 0; x < map.width; x++) {
+                    this.drawAttributeCell(ctx, map.grid[y * map.width + x], x, y);
+                }
+            }
+        }
+        return this.attributeCanvas;
+    }
+
+    /**
+     * Color codes one cell by the combined attributes of its solid and masked tile
+     */
+    drawAttributeCell(ctx, c, x, y) {
+        if (!c) return;
+        const { assets } = this.renderOptions;
+        let value = 0;
+        if (c.bg !== null) value |= assets.solidTileAttributes?.[c.bg] || 0;
+        if (c.fg !== null) value |= assets.maskedTileAttributes?.[c.fg] || 0;
+        if (value === 0) return;
+
+        const ts = this.tileSize;
+        const px = x * ts;
+        const py = y * ts;
+        const shown = this.attributeOverlay.flags;
+
+        for (const flag of TILE_FLAGS) {
+            if (!(value & flag.bit) || !shown.has(flag.key)) continue;
+            ctx.fillStyle = flag.color;
+
+            if (flag.style === 'fill') {
+                ctx.globalAlpha = 0.4;
+                ctx.fillRect(px, py, ts, ts);
+                ctx.globalAlpha = 1;
+            } else if (flag.style === 'edge') {
+                if (flag.edge === 'top') ctx.fillRect(px, py, ts, 1);
+                else if (flag.edge === 'bottom') ctx.fillRect(px, py + ts - 1, ts, 1);
+                else if (flag.edge === 'left') ctx.fillRect(px, py, 1, ts);
+                else ctx.fillRect(px + ts - 1, py, 1, ts);
+            } else if (flag.style === 'arrow') {
+                const tip = flag.direction > 0 ? px + ts - 2 : px + 2;
+                const back = flag.direction > 0 ? px + 2 : px + ts - 2;
+                ctx.beginPath();
+                ctx.moveTo(back, py + 2);
+                ctx.lineTo(tip, py + ts / 2);
+                ctx.lineTo(back, py + ts - 2);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+    }
+
     draw(state, viewport) {
         const ctx = this.ctx;
         const { width, height } = this.canvas;
@@ -233,33 +543,23 @@ export class RenderEngine {
         ctx.setTransform(zoom, 0, 0, zoom, tx, ty);
 
         this.lastViewport = viewport;
+        this.lastViewMode = state.viewMode;
         this.actorHitboxes = []; 
 
         if (state.viewMode === 'map') {
             if (this.isCached) {
-                // 1. Draw background terrain (solid tiles + masked tiles with bg)
-                if (state.layers.showBackgroundTerrain && this.bgTerrainCanvas) {
-                    ctx.drawImage(this.bgTerrainCanvas, 0, 0);
-                }
-                
-                if (state.actorsAlwaysOnTop) {
-                    // Actors on top mode: overlay terrain, then actors
-                    if (state.layers.showForegroundTerrain && this.overlayTerrainCanvas) {
-                        ctx.drawImage(this.overlayTerrainCanvas, 0, 0);
-                    }
-                    if (state.layers.showSprites && state.currentMap && state.currentMap.actors) {
-                        this.drawActors(ctx, state.currentMap, state.actorManager, state.layers, state.difficulty);
-                    }
-                } else {
-                    // Normal mode: actors, then overlay terrain
-                    if (state.layers.showSprites && state.currentMap && state.currentMap.actors) {
-                        this.drawActors(ctx, state.currentMap, state.actorManager, state.layers, state.difficulty);
-                    }
-                    if (state.layers.showForegroundTerrain && this.overlayTerrainCanvas) {
-                        ctx.drawImage(this.overlayTerrainCanvas, 0, 0);
-                    }
+                this.drawMapLayers(ctx, state);
+
+                if (this.attributeOverlay.enabled) {
+                    const overlay = this.getAttributeCanvas();
+                    if (overlay) ctx.drawImage(overlay, 0, 0);
                 }
             }
+            
+            // Level editor cursor / selection preview
+            if (state.levelEditor && state.levelEditor.enabled) {
+                state.levelEditor.drawOverlay(ctx, viewport.zoom);
+            }
         }
         else if (state.viewMode === 'asset' && state.currentAsset) {
             // Draw Asset Image
@@ -285,6 +585,132 @@ export class RenderEngine {
         }
     }
 
+    /**
+     * Composites the cached terrain and actors in game order, honoring the
+     * layer toggles, actorsAlwaysOnTop and the difficulty filter.
+     * Shared by the live view and the full-map export.
+     */
+    drawMapLayers(ctx, state) {
+        // 1. Draw background terrain (solid tiles + masked tiles with bg)
+        if (state.layers.showBackgroundTerrain && this.bgTerrainCanvas) {
+            ctx.drawImage(this.bgTerrainCanvas, 0, 0);
+        }
+        
+        if (state.actorsAlwaysOnTop) {
+            // Actors on top mode: overlay terrain, then actors
+            if (state.layers.showForegroundTerrain && this.overlayTerrainCanvas) {
+                ctx.drawImage(this.overlayTerrainCanvas, 0, 0);
+            }
+            if (state.layers.showSprites && state.currentMap && state.currentMap.actors) {
+                this.drawActors(ctx, state.currentMap, state.actorManager, state.layers, state.difficulty);
+            }
+        } else {
+            // Normal mode: actors, then overlay terrain
+            if (state.layers.showSprites && state.currentMap && state.currentMap.actors) {
+                this.drawActors(ctx, state.currentMap, state.actorManager, state.layers, state.difficulty);
+            }
+            if (state.layers.showForegroundTerrain && this.overlayTerrainCanvas) {
+                ctx.drawImage(this.overlayTerrainCanvas, 0, 0);
+            }
+        }
+    }
+
+    /**
+     * Renders the whole level (width × height × 8 px) to an offscreen canvas.
+     * Waits for every actor sprite to decode so nothing is missing from the image.
+     * @param {object} state - App state (layers, difficulty, actorsAlwaysOnTop, currentMap)
+     * @param {object} options - { grid: draw tile grid, ruler: add tile coordinate rulers }
+     * @returns {Promise<HTMLCanvasElement|null>}
+     */
+    async renderFullMap(state, options = {}) {
+        const map = state.currentMap;
+        if (!map || !this.isCached) return null;
+
+        const am = state.actorManager || this.actorManager;
+        if (am && map.actors) {
+            await this.requestSpecialSprites(map);
+            const ids = new Set(map.actors.map(a => a.id).filter(id => id !== 0));
+            await Promise.all([...ids].map(id => am.getMetaframeBitmap(id)));
+        }
+
+        const RULER_SIZE = 24;
+        const margin = options.ruler ? RULER_SIZE : 0;
+        const mapW = map.width * this.tileSize;
+        const mapH = map.height * this.tileSize;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = mapW + margin;
+        canvas.height = mapH + margin;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        ctx.fillStyle = state.useSolidBG ? '#000000' : '#0a0a0a';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // drawActors rebuilds the hitbox list; keep the on-screen one intact
+        const hitboxes = this.actorHitboxes;
+        ctx.translate(margin, margin);
+        this.drawMapLayers(ctx, state);
+        this.actorHitboxes = hitboxes;
+
+        if (options.grid) {
+            this.drawTileGrid(ctx, map);
+        }
+
+        if (options.ruler) {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.drawRuler(ctx, map, margin);
+        }
+
+        return canvas;
+    }
+
+    drawTileGrid(ctx, map) {
+        const ts = this.tileSize;
+        const w = map.width * ts;
+        const h = map.height * ts;
+
+        // Faint line per tile, stronger line every 10 tiles (matches ruler labels)
+        for (let x = 0; x <= map.width; x++) {
+            ctx.fillStyle = x % 10 === 0 ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.12)';
+            ctx.fillRect(x * ts, 0, 1, h);
+        }
+        for (let y = 0; y <= map.height; y++) {
+            ctx.fillStyle = y % 10 === 0 ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.12)';
+            ctx.fillRect(0, y * ts, w, 1);
+        }
+    }
+
+    drawRuler(ctx, map, margin) {
+        const ts = this.tileSize;
+
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, margin + map.width * ts, margin);
+        ctx.fillRect(0, 0, margin, margin + map.height * ts);
+
+        ctx.fillStyle = '#aaaaaa';
+        ctx.font = '8px monospace';
+
+        // Top ruler: tick per tile, longer every 5, label every 10
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        for (let x = 0; x < map.width; x++) {
+            const px = margin + x * ts;
+            const len = x % 10 === 0 ? margin : (x % 5 === 0 ? 6 : 3);
+            ctx.fillRect(px, margin - len, 1, len);
+            if (x % 10 === 0) ctx.fillText(String(x), px + 2, 2);
+        }
+
+        // Left ruler
+        ctx.textAlign = 'right';
+        for (let y = 0; y < map.height; y++) {
+            const py = margin + y * ts;
+            const len = y % 10 === 0 ? margin : (y % 5 === 0 ? 6 : 3);
+            ctx.fillRect(margin - len, py, len, 1);
+            if (y % 10 === 0) ctx.fillText(String(y), margin - 2, py + 2);
+        }
+    }
+
     drawActors(ctx, map, actorManager, layers, difficulty = 0) {
         const TILE_SIZE = 8;
         const am = actorManager || this.actorManager;
@@ -381,10 +807,16 @@ export class RenderEngine {
             const revealKey = revealConfig ? `${actor.id}-${actor.x}-${actor.y}` : null;
             const isRevealed = revealKey ? (this.revealStates.get(revealKey) === true) : false;
             
-            let sprite = null;
+            // Idle animation (hidden reveal actors stay in their crate)
+            const animConfig = this.animateActors && !(revealConfig && !isRevealed)
+                ? this.viewerConfig?.animatedActors?.[actorName] : null;
+            
+            let sprite = animConfig ? this.getAnimatedActorSprite(actor.id, animConfig, compoundConfig, am) : null;
             
             // Get the appropriate sprite (all should be pre-cached)
-            if (compoundConfig) {
+            if (sprite) {
+                // Current frame of the idle sequence
+            } else if (compoundConfig) {
                 const cacheKey = `compound_${actor.id}`;
                 sprite = this.specialSpriteCache?.get(cacheKey) || (am ? am.getMetaframeSync(actor.id) : null);
                 
@@ -428,15 +860,64 @@ export class RenderEngine {
         }
     }
     
+    /**
+     * Frame of an actor's idle sequence for the current animation tick, or
+     * null while it is still being decoded (the static sprite is drawn meanwhile).
+     * Sequences come from viewerConfig.animatedActors:
+     *   { frames: [frame indices], ticksPerFrame: game ticks per frame (default 1),
+     *     layer: metaframe layer the frames replace (default 0) }
+     */
+    getAnimatedActorSprite(actorId, animConfig, compoundConfig, actorManager) {
+        const frames = animConfig.frames;
+        if (!frames || frames.length === 0) return null;
+
+        const step = Math.floor(this.actorAnimationTick / (animConfig.ticksPerFrame || 1)) % frames.length;
+        const cacheKey = `anim_${actorId}_${animConfig.layer || 0}_${frames[step]}`;
+        if (this.specialSpriteCache.has(cacheKey)) {
+            return this.specialSpriteCache.get(cacheKey);
+        }
+
+        this.buildAnimatedSprite(actorId, animConfig, frames[step], compoundConfig, actorManager);
+        return null;
+    }
+
+    /**
+     * Builds one idle frame: the actor's metaframe with the animated layer
+     * switched to frameIndex, plus compound layers when configured.
+     * Frames that fail to decode are cached as null so they aren't retried.
+     */
+    async buildAnimatedSprite(actorId, animConfig, frameIndex, compoundConfig, actorManager) {
+        const am = actorManager || this.actorManager;
+        const layer = animConfig.layer || 0;
+        const cacheKey = `anim_${actorId}_${layer}_${frameIndex}`;
+        if (!am || this.specialSpriteCache.has(cacheKey) || this.pendingSprites.has(cacheKey)) {
+            return this.specialSpriteCache.get(cacheKey) || null;
+        }
+
+        this.pendingSprites.add(cacheKey);
+        try {
+            const base = await am.getMetaframeVariant(actorId, layer, frameIndex);
+            const result = base && compoundConfig
+                ? await this.buildCompoundSprite(actorId, compoundConfig, am, base, cacheKey)
+                : base;
+            this.specialSpriteCache.set(cacheKey, result || null);
+            return result;
+        } finally {
+            this.pendingSprites.delete(cacheKey);
+        }
+    }
+
     loadViewerConfig(config) {
         this.viewerConfig = config;
         console.log("Viewer config loaded:", config);
     }
 
     requestSpecialSprites(map) {
-        if (!map || !map.actors || !this.actorManager || !this.viewerConfig) return;
+        if (!map || !map.actors || !this.actorManager || !this.viewerConfig) return Promise.resolve();
         
         const am = this.actorManager;
+        const pending = [];
+        const animatedIds = new Set();
         
         // Pre-request sprites for all actors that need special rendering
         for (const actor of map.actors) {
@@ -452,25 +933,41 @@ export class RenderEngine {
             
             if (compoundConfig) {
                 // Pre-build compound sprite
-                this.buildCompoundSprite(actor.id, compoundConfig, am);
+                pending.push(this.buildCompoundSprite(actor.id, compoundConfig, am));
             }
             
             if (revealConfig) {
                 // Pre-build both revealed and hidden states
-                this.buildRevealSprite(actor.id, revealConfig, am);
+                pending.push(this.buildRevealSprite(actor.id, revealConfig, am));
+            }
+            
+            // Pre-build every frame of the idle sequence
+            const animConfig = this.animateActors ? this.viewerConfig?.animatedActors?.[actorName] : null;
+            if (animConfig && !animatedIds.has(actor.id)) {
+                animatedIds.add(actor.id);
+                for (const frameIndex of new Set(animConfig.frames || [])) {
+                    pending.push(this.buildAnimatedSprite(actor.id, animConfig, frameIndex, compoundConfig, am));
+                }
             }
             
             // Also request the base metaframe
             am.requestMetaframe(actor.id);
         }
+        
+        // Resolves once every special sprite has been built (used by full-map export)
+        return Promise.all(pending);
     }
 
-    async buildCompoundSprite(actorId, compoundConfig, actorManager) {
+    /**
+     * Composites the compoundActors layers around the actor's metaframe, or
+     * around baseSprite (an idle animation frame) when given
+     */
+    async buildCompoundSprite(actorId, compoundConfig, actorManager, base = null, cacheKey = `compound_${actorId}`) {
         const am = actorManager || this.actorManager;
         if (!am) return null;
         
         // Start with the base actor's metaframe
-        const baseSprite = await am.getMetaframeBitmap(actorId);
+        const baseSprite = base || await am.getMetaframeBitmap(actorId);
         if (!baseSprite || !compoundConfig.layers || compoundConfig.layers.length === 0) {
             return baseSprite;
         }
@@ -533,7 +1030,6 @@ export class RenderEngine {
         };
         
         // Cache the result
-        const cacheKey = `compound_${actorId}`;
         this.specialSpriteCache.set(cacheKey, result);
         
         return result;
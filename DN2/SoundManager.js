@@ -3,35 +3,30 @@
  * Handles parsing of AUDIOHED/AUDIOT and playback of PC Speaker/AdLib effects.
  */
 
+// AdLib SFX header layout (see convertSFXtoIMF)
+const ADLIB_PATCH_OFFSET = 6;
+const ADLIB_PATCH_SIZE = 16;
+const ADLIB_OCTAVE_OFFSET = 22;
+
 export class SoundManager {
-    constructor(audioCtx, musicPlayer) {
-        this.ctx = audioCtx; 
+    /**
+     * @param {AudioMixer} mixer - Shared context; effects play into its 'synth' bus
+     * @param {MusicPlayer} musicPlayer - Provides the OPL renderer for AdLib effects
+     */
+    constructor(mixer, musicPlayer) {
+        this.mixer = mixer;
         this.musicPlayer = musicPlayer;
         this.sounds = []; 
         this.audioBlob = null;
-        this.activeInterval = null;
+        this.currentSource = null;
+        this.playId = 0;          // Bumped per play; a slower AdLib render must not start late
     }
 
     /**
-     * Get or create AudioContext
+     * Get the shared AudioContext
      */
     getAudioContext() {
-        // Try to use existing context from music player
-        if (this.musicPlayer && this.musicPlayer.audioCtx) {
-            return this.musicPlayer.audioCtx;
-        }
-        
-        // Otherwise use the one passed in constructor
-        if (this.ctx) {
-            return this.ctx;
-        }
-        
-        // Last resort: create our own
-        if (!this.ctx) {
-            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-        }
-        
-        return this.ctx;
+        return this.mixer.getContext();
     }
 
     /**
@@ -71,16 +66,57 @@ export class SoundManager {
      * Stop currently playing sound effect
      */
     stop() {
-        // Clear interval timer
-        if (this.activeInterval) {
-            clearInterval(this.activeInterval);
-            this.activeInterval = null;
+        this.playId++;
+
+        this.stopSource();
+    }
+
+    stopSource() {
+        if (this.currentSource) {
+            try {
+                this.currentSource.stop();
+            } catch (e) {
+                // Already stopped, ignore
+            }
+            this.currentSource = null;
         }
-        
-        // Stop the music player if it's playing a sound effect
-        if (this.musicPlayer && this.musicPlayer.currentTrackName.startsWith('SFX:')) {
-            this.musicPlayer.stop();
+    }
+
+    /**
+     * Plays rendered channels on the synth bus (over any music)
+     * @param {Float32Array[]} channels - One array per output channel
+     * @param {number} sampleRate - Rate of the rendered samples
+     * @param {number} level - Source gain before the bus
+     */
+    playBuffer(channels, sampleRate, level) {
+        const ctx = this.getAudioContext();
+        if (ctx.state === 'suspended') {
+            ctx.resume();
         }
+
+        // Like the game, one synth effect at a time: a new one cuts the last
+        this.stopSource();
+
+        const audioBuffer = ctx.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((data, i) => audioBuffer.getChannelData(i).set(data));
+
+        const source = ctx.createBufferSource();
+        source.buffer = audioBuffer;
+
+        const gainNode = ctx.createGain();
+        gainNode.gain.value = level;
+
+        source.connect(gainNode);
+        gainNode.connect(this.mixer.getBus('synth'));
+
+        source.onended = () => {
+            if (this.currentSource === source) {
+                this.currentSource = null;
+            }
+        };
+
+        this.currentSource = source;
+        source.start();
     }
 
     /**
@@ -134,39 +170,24 @@ export class SoundManager {
      * @param {Uint8Array} data - PC Speaker sound data
      */
     playPCSpeaker(data) {
-        const ctx = this.getAudioContext();
-        if (!ctx) {
-            console.warn('SoundManager: No AudioContext available');
-            return;
-        }
-        
-        // Resume context if suspended
-        if (ctx.state === 'suspended') {
-            ctx.resume();
-        }
+        const SAMPLE_RATE = 22050; // Output sample rate for Web Audio
+        const samples = this.renderPCSpeaker(data, SAMPLE_RATE);
+        if (samples.length === 0) return;
         
-        // Stop any currently playing music (same as stop button)
-        if (this.musicPlayer && this.musicPlayer.isPlaying) {
-            console.log('PC Speaker: Stopping music');
-            this.musicPlayer.stop();
-            
-            // Update UI like the stop button does
-            const nameLabel = document.getElementById('music-track-name');
-            const playBtn = document.getElementById('music-play-pause');
-            if (nameLabel) nameLabel.textContent = "Stopped";
-            if (playBtn) playBtn.textContent = "▶️";
-            
-            // Auto-hide music controls after 3 seconds (same as stop button)
-            setTimeout(() => {
-                if (!this.musicPlayer.isPlaying) {
-                    const musicControls = document.querySelector('.music-controls');
-                    if (musicControls) {
-                        musicControls.style.display = 'none';
-                    }
-                }
-            }, 3000);
-        }
+        this.playBuffer([samples], SAMPLE_RATE, 0.8);
         
+        console.log(`Playing PC Speaker sound: ${(samples.length / SAMPLE_RATE).toFixed(2)}s`);
+    }
+
+    /**
+     * Synthesizes a PC Speaker sound effect as a square wave
+     * AudioT Format: Each byte is an inverse frequency value
+     * Playback rate: 140 Hz (140 bytes per second)
+     * @param {Uint8Array} data - PC Speaker sound data
+     * @param {number} sampleRate - Output sample rate
+     * @returns {Float32Array} Mono samples
+     */
+    renderPCSpeaker(data, sampleRate = 22050) {
         // Parse AudioT PC Sound header
         const length = data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
         const priority = data[4] | (data[5] << 8);
@@ -179,15 +200,10 @@ export class SoundManager {
         // Constants from AudioT documentation
         const PC_BASE_TIMER = 1193181; // PIT clock rate
         const PC_RATE = 140; // Playback rate: 140 bytes per second
-        const SAMPLE_RATE = 22050; // Output sample rate for Web Audio
-        const SAMPLES_PER_BYTE = Math.floor(SAMPLE_RATE / PC_RATE); // ~157 samples per byte
+        const SAMPLES_PER_BYTE = Math.floor(sampleRate / PC_RATE); // ~157 samples per byte at 22050 Hz
         
         // Pre-calculate total samples needed
-        const totalSamples = soundData.length * SAMPLES_PER_BYTE;
-        
-        // Create audio buffer
-        const audioBuffer = ctx.createBuffer(1, totalSamples, SAMPLE_RATE);
-        const channelData = audioBuffer.getChannelData(0);
+        const channelData = new Float32Array(soundData.length * SAMPLES_PER_BYTE);
         
         // Generate square wave for each byte
         let outputIndex = 0;
@@ -210,7 +226,7 @@ export class SoundManager {
                 const frequency = PC_BASE_TIMER / tone; // Hz
                 
                 // Calculate phase increment per sample
-                const phaseLength = (SAMPLE_RATE * tone) / (2 * PC_BASE_TIMER);
+                const phaseLength = (sampleRate * tone) / (2 * PC_BASE_TIMER);
                 
                 // Generate square wave samples
                 for (let j = 0; j < SAMPLES_PER_BYTE; j++) {
@@ -225,76 +241,99 @@ export class SoundManager {
             }
         }
         
-        // Play the buffer
-        const source = ctx.createBufferSource();
-        source.buffer = audioBuffer;
-        
-        const gainNode = ctx.createGain();
-        gainNode.gain.value = 0.8;
-        
-        source.connect(gainNode);
-        gainNode.connect(ctx.destination);
-        
-        source.start();
-        
-        const duration = soundData.length / PC_RATE;
-        console.log(`Playing PC Speaker sound: ${duration.toFixed(2)}s`);
+        return channelData;
     }
 
     /**
-     * Play AdLib sound effect by converting to IMF format
-     * @param {Uint8Array} data - AdLib sound data
-     * @param {number} index - Sound index for debugging
+     * Renders an AdLib sound effect offline through the OPL engine
+     * @param {Uint8Array} data - AdLib SFX data
+     * @param {number} sampleRate - Output sample rate
+     * @param {Object} [options] - Passed to convertSFXtoIMF
+     * @returns {Promise<{sampleRate: number, channels: Float32Array[]}>}
      */
-    playAdLib(data, index) {
-        if (!this.musicPlayer || !this.musicPlayer.backend) {
-            console.warn('SoundManager: Music player not ready');
-            return;
-        }
+    async renderAdLib(data, sampleRate = 44100, options = {}) {
+        // The converted track ends after the release tail, so render one pass of it
+        const imfData = this.convertSFXtoIMF(data, options);
+        return this.musicPlayer.renderImf(imfData.buffer, { sampleRate });
+    }
 
-        // Stop any currently playing music (same as stop button)
-        if (this.musicPlayer.isPlaying) {
-            console.log('AdLib: Stopping music');
-            this.musicPlayer.stop();
-            
-            // Update UI like the stop button does
-            const nameLabel = document.getElementById('music-track-name');
-            const playBtn = document.getElementById('music-play-pause');
-            if (nameLabel) nameLabel.textContent = "Stopped";
-            if (playBtn) playBtn.textContent = "▶️";
-            
-            // Auto-hide music controls after 3 seconds (same as stop button)
-            // For AdLib, hide even if a sound effect is playing
-            setTimeout(() => {
-                // Hide if no music is playing OR if only a sound effect is playing
-                if (!this.musicPlayer.isPlaying || this.musicPlayer.currentTrackName.startsWith('SFX:')) {
-                    const musicControls = document.querySelector('.music-controls');
-                    if (musicControls) {
-                        musicControls.style.display = 'none';
-                    }
-                }
-            }, 3000);
+    /**
+     * Renders a sound by index (PC Speaker or AdLib) for WAV export
+     * @returns {Promise<{type: string, sampleRate: number, channels: Float32Array[]}|null>}
+     */
+    async renderSound(index, sampleRate = 44100) {
+        const sound = this.sounds[index];
+        if (!sound || !this.audioBlob) return null;
+
+        const data = this.audioBlob.subarray(sound.start, sound.end);
+        if (this.detectPCSpeaker(data, index)) {
+            return { type: 'pcspeaker', sampleRate, channels: [this.renderPCSpeaker(data, sampleRate)] };
         }
 
-        // Convert to IMF format
-        const imfData = this.convertSFXtoIMF(data);
-        
-        console.log(`Playing AdLib sound ${index} as IMF`);
-        console.log(`IMF data preview (first 32 bytes):`, 
-            Array.from(imfData.slice(0, 32)).map(b => b.toString(16).padStart(2, '0')).join(' '));
-        
-        // Play using the music player
+        const rendered = await this.renderAdLib(data, sampleRate);
+        return { type: 'adlib', ...rendered };
+    }
+
+    /**
+     * Reads the instrument and octave of an AdLib sound
+     * @returns {{instrument: Uint8Array, octave: number}|null} Copies, safe to edit
+     */
+    readAdLibPatch(index) {
+        const sound = this.sounds[index];
+        if (!sound || !this.audioBlob || sound.size <= ADLIB_OCTAVE_OFFSET) return null;
+
+        const data = this.audioBlob.subarray(sound.start, sound.end);
+        return {
+            instrument: data.slice(ADLIB_PATCH_OFFSET, ADLIB_PATCH_OFFSET + ADLIB_PATCH_SIZE),
+            octave: data[ADLIB_OCTAVE_OFFSET]
+        };
+    }
+
+    /**
+     * Returns a copy of an AdLib sound with a different instrument and octave
+     */
+    applyAdLibPatch(index, patch) {
+        const sound = this.sounds[index];
+        const data = this.audioBlob.slice(sound.start, sound.end);
+        data.set(patch.instrument, ADLIB_PATCH_OFFSET);
+        data[ADLIB_OCTAVE_OFFSET] = patch.octave;
+        return data;
+    }
+
+    /**
+     * Writes an instrument and octave into AUDIOT. The header has a fixed size,
+     * so no offsets move and AUDIOHED stays valid.
+     * @returns {Uint8Array} The new AUDIOT.MNI contents (also kept as the loaded blob)
+     */
+    writeAdLibPatch(index, patch) {
+        const sound = this.sounds[index];
+        const audiot = this.audioBlob.slice();
+        audiot.set(patch.instrument, sound.start + ADLIB_PATCH_OFFSET);
+        audiot[sound.start + ADLIB_OCTAVE_OFFSET] = patch.octave;
+
+        this.audioBlob = audiot;
+        return audiot;
+    }
+
+    /**
+     * Play AdLib sound effect: rendered through the OPL engine, then played on
+     * the synth bus so it mixes over the music
+     * @param {Uint8Array} data - AdLib sound data
+     * @param {number} index - Sound index for debugging
+     * @param {Object} [options] - Passed to convertSFXtoIMF
+     */
+    async playAdLib(data, index, options = {}) {
+        const playId = this.playId;
+
         try {
-            this.musicPlayer.playImf(imfData.buffer, `SFX: Sound ${index}`);
-            
-            // Stop after 3 seconds (max duration for any DN2 sound effect)
-            setTimeout(() => {
-                if (this.musicPlayer.currentTrackName === `SFX: Sound ${index}`) {
-                    console.log(`AdLib sound ${index} auto-stop after 3s`);
-                    this.musicPlayer.stop();
-                }
-            }, 3000);
-            
+            const sampleRate = this.getAudioContext().sampleRate;
+            const rendered = await this.renderAdLib(data, sampleRate, options);
+
+            // Another sound was started (or stop() called) while rendering
+            if (playId !== this.playId) return;
+
+            console.log(`Playing AdLib sound ${index}: ${(rendered.channels[0].length / sampleRate).toFixed(2)}s`);
+            this.playBuffer(rendered.channels, rendered.sampleRate, 1.0);
         } catch (error) {
             console.error('Failed to play AdLib sound:', error);
         }
@@ -310,9 +349,12 @@ export class SoundManager {
      * - Byte 22: Octave
      * - Bytes 23+: Note data (each byte is a frequency value)
      * @param {Uint8Array} data - AdLib SFX data
+     * @param {Object} [options]
+     * @param {boolean} [options.applyConnection=false] - Write the instrument's
+     *   feedback/connection byte to 0xC0. The game always writes 0 there.
      * @returns {Uint8Array} IMF-formatted data (without size header - MusicPlayer adds it)
      */
-    convertSFXtoIMF(data) {
+    convertSFXtoIMF(data, { applyConnection = false } = {}) {
         const commands = [];
         
         // Parse header
@@ -338,7 +380,7 @@ export class SoundManager {
         commands.push(0xE3, instrumentSettings[9], 0, 0);
         
         // Feedback/Algorithm
-        commands.push(0xC0, 0x00, 0, 0);
+        commands.push(0xC0, applyConnection ? instrumentSettings[10] : 0x00, 0, 0);
         
         // Initial key off
         commands.push(0xB0, 0x00, 0, 0);
@@ -370,9 +412,10 @@ export class SoundManager {
         // Final key off
         commands.push(0xB0, 0x00, 0, 0);
         
-        // Add a very long delay to prevent looping
-        // The 3-second timeout will stop playback before this matters
-        commands.push(0x00, 0x00, 0xFF, 0xFF);
+        // Hold half a second so the last note's release rings out
+        // (this also sets the track length, and so the render length)
+        const RELEASE_TICKS = 140;
+        commands.push(0x00, 0x00, RELEASE_TICKS, 0);
         
         // Return raw IMF commands (NO size header - MusicPlayer._patchDukeIMF adds it)
         const imfBuffer = new Uint8Array(commands);
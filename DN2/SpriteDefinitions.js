@@ -24,7 +24,7 @@ function getGalleryGfxId(id) {
 
 // --- BULK REGISTRATION ---
 // Canonical list from your research
-const RAW_NAMES = {
+export const RAW_NAMES = {
     0: "HOVERBOT", 1: "EXPLOSION_FX_1", 2: "EXPLOSION_FX_2", 3: "FLAME_FX",
     4: "GREEN_CREATURE_EYE_FX_L", 5: "DUKE_L", 6: "DUKE_R", 7: "DUKE_ROCKET_UP",
     8: "DUKE_ROCKET_DOWN", 9: "DUKE_ROCKET_LEFT", 10: "DUKE_ROCKET_RIGHT", 11: "SMOKE_PUFF_FX",
@@ -0,0 +1,37 @@
+/**
+ * TileAttributes.js
+ * Bits of the 16-bit CZONE tile attribute words (solid tiles: one word each,
+ * masked tiles: the first of five words) and how the attribute overlay shows them.
+ *
+ * style: 'edge'  - line along the blocked side of the cell
+ *        'fill'  - translucent tint over the cell
+ *        'arrow' - chevron pointing the conveyor direction
+ */
+
+export const TILE_FLAGS = [
+    { key: 'solidTop', bit: 0x0001, label: 'Blocks top', style: 'edge', edge: 'top', color: '#ff3b3b' },
+    { key: 'solidBottom', bit: 0x0002, label: 'Blocks bottom', style: 'edge', edge: 'bottom', color: '#ff3b3b' },
+    { key: 'solidRight', bit: 0x0004, label: 'Blocks right', style: 'edge', edge: 'right', color: '#ff3b3b' },
+    { key: 'solidLeft', bit: 0x0008, label: 'Blocks left', style: 'edge', edge: 'left', color: '#ff3b3b' },
+    { key: 'animated', bit: 0x0010, label: 'Animated', style: 'fill', color: '#a855f7' },
+    { key: 'front', bit: 0x0020, label: 'Draw in front', style: 'fill', color: '#3b82f6', defaultOff: true },
+    { key: 'flammable', bit: 0x0040, label: 'Flammable', style: 'fill', color: '#ff8c00' },
+    { key: 'climbable', bit: 0x0080, label: 'Climbable pole', style: 'fill', color: '#06b6d4' },
+    { key: 'conveyorLeft', bit: 0x0100, label: 'Conveyor left', style: 'arrow', direction: -1, color: '#facc15' },
+    { key: 'conveyorRight', bit: 0x0200, label: 'Conveyor right', style: 'arrow', direction: 1, color: '#facc15' },
+    { key: 'slowAnimation', bit: 0x0400, label: 'Slow animation', style: 'fill', color: '#ec4899' },
+    { key: 'ladder', bit: 0x4000, label: 'Ladder', style: 'fill', color: '#22c55e' }
+];
+
+const KNOWN_BITS = TILE_FLAGS.reduce((mask, flag) => mask | flag.bit, 0);
+
+/**
+ * Lists the flags set in an attribute word
+ * @returns {{flags: object[], unknownBits: number}} Matching TILE_FLAGS entries, plus any undocumented bits
+ */
+export function decodeTileAttribute(value) {
+    return {
+        flags: TILE_FLAGS.filter(flag => (value & flag.bit) !== 0),
+        unknownBits: value & ~KNOWN_BITS & 0xFFFF
+    };
+}
@@ -8,6 +8,7 @@ export class UIManager {
         this.container = document.getElementById('asset-list');
         this.statusDisplay = document.getElementById('file-input-status'); 
         this.onItemSelect = null; 
+        this.onItemRemove = null; // Right-click handler for archive entries
         
         // Initialize Filters immediately
         this.setupFilters();
@@ -197,6 +198,14 @@ export class UIManager {
                     }
                 });
 
+                // Right-click removes the entry from the archive (not for animations, which live outside it)
+                if (title !== "Animations") {
+                    link.addEventListener('contextmenu', (e) => {
+                        e.preventDefault();
+                        if (this.onItemRemove) this.onItemRemove(fileName);
+                    });
+                }
+
                 content.appendChild(link);
             });
 
@@ -11,6 +11,7 @@ export class Viewport {
         
         // Drag state
         this.isDragging = false;
+        this.leftButtonPans = true; // Off while the level editor uses the mouse
         this.lastMouseX = 0;
         this.lastMouseY = 0;
 
@@ -20,6 +21,9 @@ export class Viewport {
     setupEvents() {
         // Mouse Down - Start Drag
         this.canvas.addEventListener('mousedown', (e) => {
+            // While editing, only the middle button pans
+            if (!this.leftButtonPans && e.button !== 1) return;
+            if (e.button === 1) e.preventDefault(); // No autoscroll on middle-drag
             this.isDragging = true;
             this.lastMouseX = e.clientX;
             this.lastMouseY = e.clientY;
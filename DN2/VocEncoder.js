@@ -0,0 +1,183 @@
+/**
+ * VocEncoder.js
+ * Turns a WAV file into a Creative Voice File the game (and AudioPlayer) can
+ * play: mixed down to mono, resampled and stored as 8-bit unsigned PCM in
+ * type 1 blocks.
+ */
+
+const VOC_SIGNATURE = 'Creative Voice File\x1A';
+const VOC_HEADER_SIZE = 26;
+const VOC_VERSION = 0x010A;
+const VOC_CHECKSUM = (~VOC_VERSION + 0x1234) & 0xFFFF;
+
+const BLOCK_SOUND_DATA = 1;
+const BLOCK_TERMINATOR = 0;
+const CODEC_PCM_8BIT = 0;
+const MAX_BLOCK_SAMPLES = 0xFFFFFF - 2;  // 24-bit block length includes the two property bytes
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Reads a RIFF/WAVE file and mixes it down to mono
+ * @param {ArrayBuffer} buffer - WAV file (8/16/24/32-bit PCM or 32-bit float)
+ * @returns {{sampleRate: number, samples: Float32Array}}
+ */
+export function decodeWav(buffer) {
+    const view = new DataView(buffer);
+    const tag = (pos) => String.fromCharCode(view.getUint8(pos), view.getUint8(pos + 1), view.getUint8(pos + 2), view.getUint8(pos + 3));
+
+    if (view.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+        throw new Error('not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    let pos = 12;
+    while (pos + 8 <= view.byteLength) {
+        const id = tag(pos);
+        const size = view.getUint32(pos + 4, true);
+        const body = pos + 8;
+
+        if (id === 'fmt ') {
+            format = {
+                code: view.getUint16(body, true),
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                blockAlign: view.getUint16(body + 12, true),
+                bits: view.getUint16(body + 14, true)
+            };
+            // Extensible: the real format code is the start of the sub-format GUID
+            if (format.code === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+                format.code = view.getUint16(body + 24, true);
+            }
+        } else if (id === 'data') {
+            data = { start: body, size: Math.min(size, view.byteLength - body) };
+        }
+
+        pos = body + size + (size & 1);  // Chunks are word aligned
+    }
+
+    if (!format) throw new Error('WAV has no fmt chunk');
+    if (!data) throw new Error('WAV has no data chunk');
+
+    const { code, channels, bits, blockAlign } = format;
+    const isFloat = code === WAVE_FORMAT_FLOAT && bits === 32;
+    if (!isFloat && !(code === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bits))) {
+        throw new Error(`unsupported WAV format ${code} (${bits}-bit)`);
+    }
+    if (channels < 1) throw new Error('WAV has no channels');
+
+    const bytesPerSample = bits / 8;
+    const frames = Math.floor(data.size / blockAlign);
+    const samples = new Float32Array(frames);
+
+    const readSample = (p) => {
+        if (isFloat) return view.getFloat32(p, true);
+        switch (bits) {
+            case 8: return (view.getUint8(p) - 128) / 128;
+            case 16: return view.getInt16(p, true) / 0x8000;
+            case 24: return ((view.getUint8(p + 2) << 24 | view.getUint8(p + 1) << 16 | view.getUint8(p) << 8) >> 8) / 0x800000;
+            default: return view.getInt32(p, true) / 0x80000000;
+        }
+    };
+
+    for (let i = 0; i < frames; i++) {
+        const frame = data.start + i * blockAlign;
+        let sum = 0;
+        for (let ch = 0; ch < channels; ch++) {
+            sum += readSample(frame + ch * bytesPerSample);
+        }
+        samples[i] = sum / channels;
+    }
+
+    return { sampleRate: format.sampleRate, samples };
+}
+
+/**
+ * Sample rate a VOC actually plays at for a requested rate. Type 1 blocks
+ * store a time constant (256 - 1000000 / rate), so only some rates exist.
+ */
+export function vocSampleRate(sampleRate) {
+    return Math.floor(1000000 / (256 - timeConstant(sampleRate)));
+}
+
+function timeConstant(sampleRate) {
+    return Math.max(0, Math.min(255, 256 - Math.round(1000000 / sampleRate)));
+}
+
+/**
+ * Linear-interpolation resampler. When reducing the rate, each output sample
+ * averages the input it covers first, so high frequencies don't alias.
+ */
+export function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples.slice();
+
+    const ratio = fromRate / toRate;
+    const length = Math.max(1, Math.round(samples.length / ratio));
+    const output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const pos = i * ratio;
+        if (ratio > 1) {
+            const from = Math.floor(pos);
+            const to = Math.min(samples.length, Math.max(from + 1, Math.floor(pos + ratio)));
+            let sum = 0;
+            for (let j = from; j < to; j++) sum += samples[j];
+            output[i] = sum / (to - from);
+        } else {
+            const index = Math.floor(pos);
+            const next = Math.min(samples.length - 1, index + 1);
+            const t = pos - index;
+            output[i] = samples[index] * (1 - t) + samples[next] * t;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Builds a VOC file of 8-bit unsigned mono PCM
+ * @param {Float32Array} samples - Mono audio (-1.0..1.0)
+ * @param {number} sourceRate - Rate of `samples`
+ * @param {number} targetRate - Requested VOC rate (rounded to what a time constant can express)
+ * @returns {{data: Uint8Array, sampleRate: number, length: number}} File, actual rate and sample count
+ */
+export function encodeVoc(samples, sourceRate, targetRate) {
+    if (samples.length === 0) throw new Error('no audio to encode');
+
+    const sampleRate = vocSampleRate(targetRate);
+    const pcm = resample(samples, sourceRate, sampleRate);
+
+    const blockCount = Math.max(1, Math.ceil(pcm.length / MAX_BLOCK_SAMPLES));
+    const output = new Uint8Array(VOC_HEADER_SIZE + blockCount * 6 + pcm.length + 1);
+    const view = new DataView(output.buffer);
+
+    for (let i = 0; i < VOC_SIGNATURE.length; i++) output[i] = VOC_SIGNATURE.charCodeAt(i);
+    view.setUint16(20, VOC_HEADER_SIZE, true);
+    view.setUint16(22, VOC_VERSION, true);
+    view.setUint16(24, VOC_CHECKSUM, true);
+
+    let pos = VOC_HEADER_SIZE;
+    for (let block = 0; block < blockCount; block++) {
+        const from = block * MAX_BLOCK_SAMPLES;
+        const to = Math.min(pcm.length, from + MAX_BLOCK_SAMPLES);
+        const length = to - from + 2;
+
+        output[pos] = BLOCK_SOUND_DATA;
+        output[pos + 1] = length & 0xFF;
+        output[pos + 2] = (length >> 8) & 0xFF;
+        output[pos + 3] = (length >> 16) & 0xFF;
+        output[pos + 4] = timeConstant(targetRate);
+        output[pos + 5] = CODEC_PCM_8BIT;
+        pos += 6;
+
+        for (let i = from; i < to; i++) {
+            output[pos++] = Math.max(0, Math.min(255, Math.round(pcm[i] * 128 + 128)));
+        }
+    }
+    output[pos] = BLOCK_TERMINATOR;
+
+    return { data: output, sampleRate, length: pcm.length };
+}
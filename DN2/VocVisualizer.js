@@ -0,0 +1,378 @@
+/**
+ * VocVisualizer.js
+ * Waveform / spectrogram panel for digitized VOC sounds. Shows where each VOC
+ * block starts and how it was decoded (block type, codec, sample rate), follows
+ * AudioPlayer with a playhead, and plays from wherever the panel is clicked.
+ */
+
+import { PlaybackLoop } from './PlaybackLoop.js';
+
+const CANVAS_HEIGHT = 220;
+const MARKER_ROW_HEIGHT = 14;   // Block labels stack in rows above the signal
+const MARKER_ROWS = 2;
+const FFT_SIZE = 256;
+const MIN_DB = -90;             // Spectrogram floor (black)
+
+// VOC codec ids (block types 1, 2 and 8)
+const CODEC_NAMES = {
+    0: '8-bit PCM',
+    1: '4-bit ADPCM',
+    2: '2.6-bit ADPCM',
+    3: '2-bit ADPCM'
+};
+
+// How each decoded block type reaches AudioPlayer
+const BLOCK_TYPE_NAMES = {
+    1: 'Sound data',
+    2: 'Continuation',
+    3: 'Silence',
+    9: 'Sound data (new)'
+};
+
+const BLOCK_COLORS = ['#4363d8', '#f58231', '#3cb44b', '#f032e6'];
+
+export class VocVisualizer {
+    constructor() {
+        this.rendered = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.mode = 'waveform';      // 'waveform' or 'spectrogram'
+        this.background = null;      // Offscreen render of the current mode and width
+        this.getPosition = null;
+        this.playback = new PlaybackLoop();
+        this.onSeek = null;          // Called with the clicked position in seconds
+    }
+
+    /**
+     * Short label for a block marker, e.g. "T1 4-bit ADPCM 11111 Hz"
+     */
+    static blockLabel(block) {
+        const codec = block.type === 3 ? 'silence' : (CODEC_NAMES[block.codec] || `codec ${block.codec}`);
+        return `T${block.type} ${codec} ${block.sampleRate} Hz`;
+    }
+
+    /**
+     * Builds the panel for a rendered VOC (see AudioPlayer.renderVoc)
+     * @returns {HTMLElement} Element to place in the data view
+     */
+    createViewer(rendered, soundName) {
+        this.stop();
+        this.rendered = rendered;
+        this.background = null;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'voc-viewer';
+
+        const seconds = this.duration;
+        const header = document.createElement('div');
+        header.className = 'voc-viewer-header';
+        header.innerHTML = `
+            <h3>🔊 ${soundName}</h3>
+            <span>${seconds.toFixed(2)} s</span>
+            <span>${rendered.sampleRate} Hz</span>
+            <span>${rendered.blocks.length} block${rendered.blocks.length === 1 ? '' : 's'}</span>
+            <span class="voc-mode">
+                <button data-mode="waveform">Waveform</button>
+                <button data-mode="spectrogram">Spectrogram</button>
+            </span>
+        `;
+        header.querySelectorAll('.voc-mode button').forEach(button => {
+            button.onclick = () => this.setMode(button.dataset.mode);
+        });
+        wrapper.appendChild(header);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'voc-wave';
+        this.canvas.height = CANVAS_HEIGHT;
+        this.canvas.style.height = `${CANVAS_HEIGHT}px`;
+        this.canvas.title = 'Click to play from here';
+        this.canvas.onclick = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const ratio = (e.clientX - rect.left) / rect.width;
+            if (this.onSeek) this.onSeek(Math.max(0, Math.min(1, ratio)) * this.duration);
+        };
+        this.ctx = this.canvas.getContext('2d');
+        wrapper.appendChild(this.canvas);
+
+        wrapper.appendChild(this.createBlockTable());
+        this.updateModeButtons(header);
+        return wrapper;
+    }
+
+    /**
+     * One row per decoded block: where it is in the file and which decoder ran
+     */
+    createBlockTable() {
+        const { blocks, sampleRate } = this.rendered;
+        const table = document.createElement('table');
+        table.className = 'voc-blocks';
+        table.innerHTML = `
+            <thead><tr>
+                <th></th><th>File offset</th><th>Type</th><th>Codec</th>
+                <th>Rate</th><th>Start</th><th>Length</th>
+            </tr></thead>
+        `;
+
+        const body = document.createElement('tbody');
+        blocks.forEach((block, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><span class="voc-swatch" style="background:${BLOCK_COLORS[index % BLOCK_COLORS.length]}"></span></td>
+                <td>0x${block.offset.toString(16).toUpperCase().padStart(4, '0')}</td>
+                <td>${block.type} · ${BLOCK_TYPE_NAMES[block.type] || 'Unknown'}</td>
+                <td>${block.type === 3 ? '—' : `${block.codec} · ${CODEC_NAMES[block.codec] || 'Unknown'}`}</td>
+                <td>${block.sampleRate} Hz</td>
+                <td>${(block.start / sampleRate).toFixed(3)} s</td>
+                <td>${(block.length / sampleRate).toFixed(3)} s</td>
+            `;
+            row.title = 'Play from this block';
+            row.onclick = () => {
+                if (this.onSeek) this.onSeek(block.start / sampleRate);
+            };
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        return table;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.background = null;
+        this.updateModeButtons(this.canvas.parentElement);
+        this.draw(this.getPosition ? this.getPosition() : null);
+    }
+
+    updateModeButtons(root) {
+        root.querySelectorAll('.voc-mode button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.mode);
+        });
+    }
+
+    get duration() {
+        return this.rendered.channels[0].length / this.rendered.sampleRate;
+    }
+
+    /**
+     * Follows getPosition() (seconds, or null when stopped) until the sound
+     * ends or the panel is hidden; playing again calls start() again
+     */
+    start(getPosition) {
+        this.getPosition = getPosition;
+        this.playback.start(this.canvas, getPosition, (seconds) => this.draw(seconds), { untilEnded: true });
+    }
+
+    stop() {
+        this.playback.stop();
+    }
+
+    draw(seconds) {
+        const canvas = this.canvas;
+        const ctx = this.ctx;
+        if (canvas.width !== canvas.clientWidth && canvas.clientWidth > 0) {
+            canvas.width = canvas.clientWidth;
+            this.background = null;
+        }
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const top = MARKER_ROW_HEIGHT * MARKER_ROWS;
+
+        if (!this.background) {
+            this.background = document.createElement('canvas');
+            this.background.width = width;
+            this.background.height = height - top;
+            if (this.mode === 'spectrogram') {
+                this.renderSpectrogram(this.background);
+            } else {
+                this.renderWaveform(this.background);
+            }
+        }
+
+        ctx.fillStyle = '#181818';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(this.background, 0, top);
+
+        this.drawBlockMarkers(top);
+
+        if (seconds !== null && seconds !== undefined) {
+            const x = Math.round(seconds / this.duration * width);
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(x, top, 2, height - top);
+        }
+    }
+
+    /**
+     * Min/max envelope per pixel column, tinted by block
+     */
+    renderWaveform(target) {
+        const ctx = target.getContext('2d');
+        const { width, height } = target;
+        const samples = this.rendered.channels[0];
+        const mid = height / 2;
+
+        ctx.fillStyle = '#181818';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#333';
+        ctx.fillRect(0, Math.floor(mid), width, 1);
+
+        if (samples.length === 0) return;
+        const samplesPerColumn = samples.length / width;
+
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor(x * samplesPerColumn);
+            const to = Math.max(from + 1, Math.floor((x + 1) * samplesPerColumn));
+            let min = 1;
+            let max = -1;
+            for (let i = from; i < to && i < samples.length; i++) {
+                if (samples[i] < min) min = samples[i];
+                if (samples[i] > max) max = samples[i];
+            }
+            if (min > max) continue;
+
+            ctx.fillStyle = BLOCK_COLORS[this.blockIndexAt(from) % BLOCK_COLORS.length];
+            const y = mid - max * mid;
+            ctx.fillRect(x, y, 1, Math.max(1, (max - min) * mid));
+        }
+    }
+
+    /**
+     * Short-time FFT magnitude, one column per pixel, 0 Hz at the bottom
+     */
+    renderSpectrogram(target) {
+        const ctx = target.getContext('2d');
+        const { width, height } = target;
+        const samples = this.rendered.channels[0];
+        const image = ctx.createImageData(width, height);
+        const bins = FFT_SIZE / 2;
+        const hann = new Float32Array(FFT_SIZE);
+        for (let i = 0; i < FFT_SIZE; i++) {
+            hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1));  // Hann
+        }
+
+        const re = new Float32Array(FFT_SIZE);
+        const im = new Float32Array(FFT_SIZE);
+        const samplesPerColumn = samples.length / width;
+
+        for (let x = 0; x < width; x++) {
+            const centre = Math.floor((x + 0.5) * samplesPerColumn);
+            for (let i = 0; i < FFT_SIZE; i++) {
+                const src = centre - FFT_SIZE / 2 + i;
+                re[i] = src >= 0 && src < samples.length ? samples[src] * hann[i] : 0;
+                im[i] = 0;
+            }
+            fft(re, im);
+
+            for (let y = 0; y < height; y++) {
+                const bin = Math.floor((height - 1 - y) / height * bins);
+                const magnitude = Math.hypot(re[bin], im[bin]) / (FFT_SIZE / 4);
+                const db = 20 * Math.log10(magnitude + 1e-9);
+                const level = Math.max(0, Math.min(1, (db - MIN_DB) / -MIN_DB));
+                const [r, g, b] = heatColor(level);
+                const p = (y * width + x) * 4;
+                image.data[p] = r;
+                image.data[p + 1] = g;
+                image.data[p + 2] = b;
+                image.data[p + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        // Frequency scale
+        const nyquist = this.rendered.sampleRate / 2;
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'middle';
+        for (let khz = 1; khz * 1000 < nyquist; khz++) {
+            const y = Math.round(height - khz * 1000 / nyquist * height);
+            ctx.fillStyle = 'rgba(255,255,255,0.15)';
+            ctx.fillRect(0, y, width, 1);
+            ctx.fillStyle = '#aaa';
+            ctx.fillText(`${khz} kHz`, 4, y - 6);
+        }
+    }
+
+    /**
+     * Boundary line and label for every block; labels that would collide
+     * move to the next row
+     */
+    drawBlockMarkers(top) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const total = this.rendered.channels[0].length || 1;
+        const rowEnds = new Array(MARKER_ROWS).fill(-Infinity);
+
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'middle';
+
+        this.rendered.blocks.forEach((block, index) => {
+            const x = Math.round(block.start / total * width);
+            const color = BLOCK_COLORS[index % BLOCK_COLORS.length];
+            const label = VocVisualizer.blockLabel(block);
+            const labelWidth = ctx.measureText(label).width + 6;
+
+            let row = rowEnds.findIndex(end => end < x);
+            if (row === -1) row = rowEnds.indexOf(Math.min(...rowEnds));
+            rowEnds[row] = x + labelWidth;
+
+            const y = row * MARKER_ROW_HEIGHT;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y, 1, height - y);
+            ctx.fillRect(x, y, labelWidth, MARKER_ROW_HEIGHT - 2);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, x + 3, y + (MARKER_ROW_HEIGHT - 2) / 2);
+        });
+
+        ctx.fillStyle = '#333';
+        ctx.fillRect(0, top - 1, width, 1);
+    }
+
+    blockIndexAt(sample) {
+        const blocks = this.rendered.blocks;
+        let index = 0;
+        while (index + 1 < blocks.length && blocks[index + 1].start <= sample) index++;
+        return index;
+    }
+}
+
+/**
+ * In-place radix-2 FFT; length must be a power of two
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = re[b] * cos - im[b] * sin;
+                const ti = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+// Black -> blue -> red -> yellow -> white
+function heatColor(level) {
+    const stops = [[0, 0, 0], [40, 30, 140], [200, 40, 40], [250, 220, 60], [255, 255, 255]];
+    const pos = level * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(pos));
+    const t = pos - i;
+    return stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * t));
+}
@@ -0,0 +1,54 @@
+/**
+ * WavEncoder.js
+ * Encodes rendered Float32 audio into 16-bit PCM RIFF/WAVE files.
+ */
+
+const HEADER_SIZE = 44;
+const BITS_PER_SAMPLE = 16;
+
+/**
+ * Builds a WAV file from one Float32Array per channel (-1.0..1.0)
+ * @param {Float32Array[]} channels - Channel data, all the same length
+ * @param {number} sampleRate - Samples per second
+ * @returns {Uint8Array} Complete WAV file
+ */
+export function encodeWav(channels, sampleRate) {
+    const numChannels = channels.length;
+    const numFrames = numChannels > 0 ? channels[0].length : 0;
+    const blockAlign = numChannels * (BITS_PER_SAMPLE / 8);
+    const dataSize = numFrames * blockAlign;
+
+    const output = new Uint8Array(HEADER_SIZE + dataSize);
+    const view = new DataView(output.buffer);
+    const writeTag = (pos, tag) => {
+        for (let i = 0; i < 4; i++) output[pos + i] = tag.charCodeAt(i);
+    };
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeTag(8, 'WAVE');
+
+    writeTag(12, 'fmt ');
+    view.setUint32(16, 16, true);                         // fmt chunk size
+    view.setUint16(20, 1, true);                          // Format: PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);    // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, BITS_PER_SAMPLE, true);
+
+    writeTag(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave and clamp
+    let pos = HEADER_SIZE;
+    for (let i = 0; i < numFrames; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+            view.setInt16(pos, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            pos += 2;
+        }
+    }
+
+    return output;
+}
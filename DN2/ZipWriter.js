@@ -0,0 +1,135 @@
+/**
+ * ZipWriter.js
+ * Builds uncompressed (STORE) ZIP archives for batch exports.
+ * Exported PNGs are already compressed, so entries are stored as-is.
+ */
+
+// ZIP Constants (PKWARE APPNOTE 4.3)
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const VERSION = 20;          // 2.0 - minimum for plain stored entries
+const FLAG_UTF8 = 0x0800;    // Filenames are UTF-8
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export class ZipWriter {
+    constructor() {
+        this.entries = []; // { name (bytes), data, crc, time, date }
+    }
+
+    /**
+     * Adds a file to the archive
+     * @param {string} name - Path inside the archive (use '/' for folders)
+     * @param {Uint8Array|string} data - File contents (strings are UTF-8 encoded)
+     * @param {Date} date - Modification time stored in the entry
+     */
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+
+        // MS-DOS date/time (2-second resolution, years from 1980)
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+                        ((date.getMonth() + 1) << 5) | date.getDate();
+
+        this.entries.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: crc32(bytes),
+            time: time,
+            date: dosDate
+        });
+    }
+
+    /**
+     * Adds a Blob (e.g. from canvas.toBlob) to the archive
+     */
+    async addBlob(name, blob, date = new Date()) {
+        this.addFile(name, new Uint8Array(await blob.arrayBuffer()), date);
+    }
+
+    /**
+     * Serializes all entries into a complete ZIP file
+     */
+    build() {
+        let totalSize = END_RECORD_SIZE;
+        for (const entry of this.entries) {
+            totalSize += LOCAL_HEADER_SIZE + CENTRAL_HEADER_SIZE + (entry.name.length * 2) + entry.data.length;
+        }
+
+        const output = new Uint8Array(totalSize);
+        const view = new DataView(output.buffer);
+        const offsets = [];
+        let pos = 0;
+
+        // 1. Local file headers + data
+        for (const entry of this.entries) {
+            offsets.push(pos);
+
+            view.setUint32(pos, 0x04034B50, true);          // Signature "PK\3\4"
+            view.setUint16(pos + 4, VERSION, true);
+            view.setUint16(pos + 6, FLAG_UTF8, true);
+            view.setUint16(pos + 8, 0, true);                // Method: STORE
+            view.setUint16(pos + 10, entry.time, true);
+            view.setUint16(pos + 12, entry.date, true);
+            view.setUint32(pos + 14, entry.crc, true);
+            view.setUint32(pos + 18, entry.data.length, true); // Compressed size
+            view.setUint32(pos + 22, entry.data.length, true); // Uncompressed size
+            view.setUint16(pos + 26, entry.name.length, true);
+            view.setUint16(pos + 28, 0, true);               // Extra field length
+            output.set(entry.name, pos + LOCAL_HEADER_SIZE);
+            pos += LOCAL_HEADER_SIZE + entry.name.length;
+
+            output.set(entry.data, pos);
+            pos += entry.data.length;
+        }
+
+        // 2. Central directory
+        const centralStart = pos;
+        this.entries.forEach((entry, i) => {
+            view.setUint32(pos, 0x02014B50, true);          // Signature "PK\1\2"
+            view.setUint16(pos + 4, VERSION, true);          // Version made by
+            view.setUint16(pos + 6, VERSION, true);          // Version needed
+            view.setUint16(pos + 8, FLAG_UTF8, true);
+            view.setUint16(pos + 10, 0, true);               // Method: STORE
+            view.setUint16(pos + 12, entry.time, true);
+            view.setUint16(pos + 14, entry.date, true);
+            view.setUint32(pos + 16, entry.crc, true);
+            view.setUint32(pos + 20, entry.data.length, true);
+            view.setUint32(pos + 24, entry.data.length, true);
+            view.setUint16(pos + 28, entry.name.length, true);
+            // Extra, comment, disk number, attributes all zero
+            view.setUint32(pos + 42, offsets[i], true);      // Local header offset
+            output.set(entry.name, pos + CENTRAL_HEADER_SIZE);
+            pos += CENTRAL_HEADER_SIZE + entry.name.length;
+        });
+
+        // 3. End of central directory record
+        view.setUint32(pos, 0x06054B50, true);              // Signature "PK\5\6"
+        view.setUint16(pos + 8, this.entries.length, true);  // Entries on this disk
+        view.setUint16(pos + 10, this.entries.length, true); // Total entries
+        view.setUint32(pos + 12, pos - centralStart, true);  // Central directory size
+        view.setUint32(pos + 16, centralStart, true);        // Central directory offset
+
+        return output;
+    }
+}
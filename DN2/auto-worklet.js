@@ -1,31 +1,215 @@
+/**
+ * auto-worklet.js
+ * Music output for MusicPlayer. The OPL engine runs in imf-render-worker.js,
+ * connected to this processor by a MessageChannel; the processor keeps a ring
+ * of about a second of audio ahead of the playhead and asks the worker for
+ * more as it plays, so memory stays flat however long the track is.
+ * Seeking inside the ring is instant; further away the worker renders from
+ * the new frame and the output is silent until it arrives. Muting channels
+ * splices a re-render in shortly ahead of the playhead.
+ *
+ * Messages in:  connect {port}, load {imf, totalFrames, loop, mutedChannels},
+ *               mute {mutedChannels}, pause, resume, stop, seek {frame},
+ *               loop {enabled}
+ * Messages out: position {frame}, ended
+ */
+
+const BUFFER_SECONDS = 1;        // Audio kept ahead of the playhead
+const REQUEST_SECONDS = 0.1;     // Smallest amount asked of the worker at once
+const POSITION_INTERVAL = 0.05;  // Seconds between position reports
+
 class ADLMIDIProcessor extends AudioWorkletProcessor {
     constructor() {
         super();
-        this.player = null;
-        
-        this.port.onmessage = (e) => {
-            if (e.data.type === 'init') {
-                // Receive the player instance from main thread
-                this.player = e.data.player;
+        this.capacity = Math.round(sampleRate * BUFFER_SECONDS);
+        this.requestFrames = Math.round(sampleRate * REQUEST_SECONDS);
+        this.left = new Float32Array(this.capacity);
+        this.right = new Float32Array(this.capacity);
+        this.readIndex = 0;
+        this.queued = 0;           // Frames in the ring, starting at `position`
+        this.requested = 0;        // Frames asked for but not received yet
+
+        this.renderer = null;      // Port to imf-render-worker.js
+        this.stream = 0;           // Chunks of other streams are stale
+        this.spliceStream = null;  // Re-render waiting to take over
+        this.nextStream = 0;
+
+        this.totalFrames = 0;
+        this.position = 0;
+        this.active = false;
+        this.paused = false;
+        this.loop = true;
+        this.framesSinceReport = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(msg) {
+        switch (msg.type) {
+            case 'connect':
+                this.renderer = msg.port;
+                this.renderer.onmessage = (e) => this.receiveChunk(e.data);
+                break;
+            case 'load':
+                this.totalFrames = msg.totalFrames;
+                this.loop = msg.loop;
+                this.active = true;
+                this.paused = false;
+                this.renderer.postMessage({
+                    type: 'load',
+                    imf: msg.imf,
+                    totalFrames: msg.totalFrames,
+                    loop: msg.loop,
+                    mutedChannels: msg.mutedChannels
+                }, [msg.imf]);
+                this.restart(0);
+                break;
+            case 'mute':
+                this.spliceStream = this.active ? ++this.nextStream : null;
+                this.renderer?.postMessage({ type: 'splice', stream: this.spliceStream, mutedChannels: msg.mutedChannels });
+                break;
+            case 'pause':
+                this.paused = true;
+                break;
+            case 'resume':
+                this.paused = false;
+                break;
+            case 'stop':
+                this.active = false;
+                this.stream = ++this.nextStream;
+                this.spliceStream = null;
+                this.queued = 0;
+                this.requested = 0;
+                this.renderer?.postMessage({ type: 'stop' });
+                break;
+            case 'seek':
+                this.seek(Math.max(0, Math.min(msg.frame, this.totalFrames - 1)));
+                this.reportPosition();
+                break;
+            case 'loop':
+                this.loop = msg.enabled;
+                this.renderer?.postMessage({ type: 'loop', enabled: msg.enabled });
+                break;
+        }
+    }
+
+    /**
+     * Drops the ring and has the worker render from `frame` on
+     */
+    restart(frame) {
+        this.stream = ++this.nextStream;
+        this.spliceStream = null;
+        this.position = frame;
+        this.queued = 0;
+        this.requested = 0;
+        this.renderer.postMessage({ type: 'start', stream: this.stream, frame });
+        this.requestMore();
+    }
+
+    seek(frame) {
+        const ahead = frame - this.position;
+        if (ahead >= 0 && ahead < this.queued) {
+            this.readIndex = (this.readIndex + ahead) % this.capacity;
+            this.queued -= ahead;
+            this.position = frame;
+        } else {
+            this.restart(frame);
+        }
+    }
+
+    requestMore() {
+        if (!this.active || !this.renderer) return;
+        const free = this.capacity - this.queued - this.requested;
+        if (free < this.requestFrames) return;
+        this.requested += free;
+        this.renderer.postMessage({ type: 'need', frames: free, position: this.position });
+    }
+
+    receiveChunk(msg) {
+        if (msg.stream === this.spliceStream) {
+            // Keep the old audio up to where the re-render starts; if it
+            // arrived too late for that, play on from its first frame
+            const lead = (msg.start - this.position + this.totalFrames) % this.totalFrames;
+            if (lead <= this.queued) {
+                this.queued = lead;
+            } else {
+                this.queued = 0;
+                this.position = msg.start;
             }
-        };
+            this.stream = msg.stream;
+            this.spliceStream = null;
+        } else if (msg.stream !== this.stream) {
+            return; // Rendered before a seek or stop
+        }
+
+        const count = Math.min(msg.left.length, this.capacity - this.queued);
+        let index = (this.readIndex + this.queued) % this.capacity;
+        for (let i = 0; i < count; i++) {
+            this.left[index] = msg.left[i];
+            this.right[index] = msg.right[i];
+            if (++index === this.capacity) index = 0;
+        }
+        this.queued += count;
+        this.requested = Math.max(0, this.requested - msg.left.length);
+    }
+
+    reportPosition() {
+        this.framesSinceReport = 0;
+        this.port.postMessage({ type: 'position', frame: this.position });
     }
-    
+
     process(inputs, outputs, parameters) {
-        if (!this.player) return true;
-        
         const output = outputs[0];
-        const bufferSize = output[0].length; // Typically 128 samples
-        const samples = this.player.getSamples(bufferSize);
-        
-        // Fill left and right channels
+        const outL = output[0];
+        const outR = output[1] || output[0];
+        const bufferSize = outL.length; // Typically 128 samples
+
+        if (!this.active || this.paused) {
+            outL.fill(0);
+            outR.fill(0);
+            return true; // Keep processor alive
+        }
+
         for (let i = 0; i < bufferSize; i++) {
-            output[0][i] = samples[i * 2];     // Left
-            output[1][i] = samples[i * 2 + 1]; // Right
+            // End of track: the worker already renders on from the top when
+            // looping; otherwise stop and rewind
+            if (this.position >= this.totalFrames) {
+                if (this.loop) {
+                    this.position = 0;
+                } else {
+                    outL.fill(0, i);
+                    outR.fill(0, i);
+                    this.paused = true;
+                    this.restart(0);
+                    this.port.postMessage({ type: 'ended' });
+                    this.reportPosition();
+                    return true;
+                }
+            }
+
+            // Not rendered yet: hold position and output silence
+            if (this.queued === 0) {
+                outL[i] = 0;
+                outR[i] = 0;
+                continue;
+            }
+
+            outL[i] = this.left[this.readIndex];
+            outR[i] = this.right[this.readIndex];
+            if (++this.readIndex === this.capacity) this.readIndex = 0;
+            this.queued--;
+            this.position++;
         }
-        
-        return true; // Keep processor alive
+
+        this.requestMore();
+
+        this.framesSinceReport += bufferSize;
+        if (this.framesSinceReport >= sampleRate * POSITION_INTERVAL) {
+            this.reportPosition();
+        }
+
+        return true;
     }
 }
 
-registerProcessor('adlmidi-processor', ADLMIDIProcessor);
\ No newline at end of file
+registerProcessor('adlmidi-processor', ADLMIDIProcessor);
@@ -0,0 +1,189 @@
+/**
+ * imf-render-worker.js
+ * Runs the OPL engine for MusicPlayer off the main thread. It talks straight
+ * to auto-worklet.js over a MessageChannel and only renders the frames the
+ * worklet asks for, so no more than the worklet's ring buffer of audio
+ * exists at a time. DukePlayer can't seek, so starting mid-track (seek) or
+ * re-rendering with other channels muted replays the track from the top
+ * without keeping the output.
+ *
+ * From MusicPlayer: connect {port, sampleRate}
+ * From the worklet: load {imf, totalFrames, loop, mutedChannels},
+ *                   start {stream, frame} (drops whatever was being rendered),
+ *                   splice {stream, mutedChannels} (re-render that takes over
+ *                   shortly ahead of the playhead), need {frames, position},
+ *                   loop {enabled}, stop
+ * To the worklet:   chunk {stream, start, left, right}
+ */
+
+import { openImfRenderer, applyChannelMask } from './MusicPlayer.js';
+
+const SKIP_SLICE = 0.25;    // Seconds discarded per step while skipping ahead
+const SPLICE_LEAD = 0.25;   // A splice takes over this far past the playhead (seconds)
+
+let port = null;
+let sampleRate = 44100;
+
+const track = { imf: null, totalFrames: 0, loop: true, mutedChannels: 0 };
+let current = null;         // Stream feeding the worklet
+let pending = null;         // Splice catching up with `current`
+let startRequest = null;    // {stream, frame}
+let spliceRequest = null;   // {stream}
+let credit = 0;             // Frames the worklet has room for
+let playhead = 0;           // Last position the worklet reported
+let running = false;
+let woken = false;
+
+self.onmessage = (e) => {
+    if (e.data.type !== 'connect') return;
+    sampleRate = e.data.sampleRate;
+    port = e.data.port;
+    port.onmessage = (msg) => handleMessage(msg.data);
+};
+
+function handleMessage(msg) {
+    switch (msg.type) {
+        case 'load':
+            track.imf = msg.imf;
+            track.totalFrames = msg.totalFrames;
+            track.loop = msg.loop;
+            track.mutedChannels = msg.mutedChannels;
+            break;
+        case 'start':
+            // The worklet dropped its queue and asks again from scratch
+            startRequest = { stream: msg.stream, frame: msg.frame };
+            spliceRequest = null;
+            credit = 0;
+            break;
+        case 'splice':
+            track.mutedChannels = msg.mutedChannels;
+            spliceRequest = { stream: msg.stream };
+            break;
+        case 'need':
+            credit += msg.frames;
+            playhead = msg.position;
+            break;
+        case 'loop':
+            track.loop = msg.enabled;
+            break;
+        case 'stop':
+            track.imf = null;
+            startRequest = spliceRequest = null;
+            credit = 0;
+            break;
+    }
+    pump();
+}
+
+/**
+ * Runs steps until there is nothing left to do, yielding in between so
+ * requests (and seeks) from the worklet get through
+ */
+async function pump() {
+    woken = true;
+    if (running) return;
+    running = true;
+    try {
+        while (woken) {
+            woken = false;
+            while (await step()) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    } catch (err) {
+        console.error("Music render error:", err);
+    } finally {
+        running = false;
+    }
+}
+
+async function openStream(stream) {
+    const mutedChannels = track.mutedChannels;
+    const renderer = await openImfRenderer(applyChannelMask(track.imf, mutedChannels), sampleRate);
+    return { renderer, imf: track.imf, mutedChannels, stream, frame: 0, target: 0 };
+}
+
+function closeStream(s) {
+    if (s) s.renderer.delete();
+    return null;
+}
+
+function skip(s, target) {
+    const frames = Math.min(Math.round(sampleRate * SKIP_SLICE), target - s.frame);
+    s.renderer.skip(frames);
+    s.frame += frames;
+}
+
+/**
+ * One unit of work; returns false when idle
+ */
+async function step() {
+    if (current && current.imf !== track.imf) current = closeStream(current);
+    if (pending && pending.imf !== track.imf) pending = closeStream(pending);
+    if (!track.imf) return false;
+
+    if (startRequest) {
+        const { stream, frame } = startRequest;
+        startRequest = null;
+        pending = closeStream(pending);
+
+        // Only an emulator that hasn't passed the frame yet can be reused
+        if (!current || current.mutedChannels !== track.mutedChannels || current.frame > frame) {
+            closeStream(current);
+            current = await openStream(stream);
+        }
+        current.stream = stream;
+        current.target = frame;
+        return true;
+    }
+    if (!current) return false;
+
+    if (current.frame < current.target) {
+        skip(current, current.target);
+        return true;
+    }
+
+    // Feed the worklet first, so catching up a splice never starves playback
+    if (credit > 0 && (current.frame < track.totalFrames || track.loop)) {
+        if (current.frame >= track.totalFrames) {
+            const stream = current.stream;
+            closeStream(current);
+            current = await openStream(stream);
+        }
+        const start = current.frame;
+        const count = Math.min(credit, track.totalFrames - start);
+        const [left, right] = current.renderer.render(count);
+        current.frame += count;
+        credit -= count;
+        port.postMessage({ type: 'chunk', stream: current.stream, start, left, right }, [left.buffer, right.buffer]);
+        return true;
+    }
+
+    if (spliceRequest) {
+        closeStream(pending);
+        pending = await openStream(spliceRequest.stream);
+        spliceRequest = null;
+        return true;
+    }
+
+    if (pending) {
+        // The worklet has old audio up to current.frame, so the new stream
+        // has to join at or before it; after a loop wrap that means starting over
+        if (pending.frame > current.frame) {
+            const stream = pending.stream;
+            closeStream(pending);
+            pending = await openStream(stream);
+        }
+        const target = Math.min(current.frame, playhead + Math.round(sampleRate * SPLICE_LEAD));
+        if (pending.frame < target) {
+            skip(pending, target);
+            return true;
+        }
+        closeStream(current);
+        current = pending;
+        pending = null;
+        return true;
+    }
+
+    return false;
+}
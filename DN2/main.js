@@ -6,11 +6,28 @@ import { RenderEngine } from './RenderEngine.js';
 import { UIManager } from './UIManager.js';
 import { LevelStats } from './LevelStats.js';
 import { ActorManager } from './ActorManager.js';
+import { AudioMixer, MIXER_BUSES } from './AudioMixer.js';
 import { AudioPlayer } from './AudioPlayer.js';
 import { AnimationPlayer } from './AnimationPlayer.js';
 import { MusicPlayer } from './MusicPlayer.js';
 import { SoundManager } from './SoundManager.js';
 import { PaletteViewer } from './PaletteViewer.js';
+import { LevelEditor, ACTOR_DRAG_TYPE } from './LevelEditor.js';
+import { SPRITE_MAP, getActorInfo } from './SpriteDefinitions.js';
+import { ZipWriter } from './ZipWriter.js';
+import { encodeWav } from './WavEncoder.js';
+import { decodeWav, encodeVoc } from './VocEncoder.js';
+import { ImfParser } from './ImfParser.js';
+import { ImfVisualizer } from './ImfVisualizer.js';
+import { TILE_FLAGS } from './TileAttributes.js';
+import { VocVisualizer } from './VocVisualizer.js';
+import { ActorFrameBrowser } from './ActorFrameBrowser.js';
+import { packActorAtlas, ATLAS_FORMATS } from './ActorAtlasExporter.js';
+import { encodeMidi } from './MidiEncoder.js';
+import {
+    OPERATORS, OPERATOR_FIELDS, CHANNEL_FIELDS, WAVEFORM_NAMES, CONNECTION_NAMES, KSL_NAMES,
+    decodePatch, setPatchField
+} from './OplPatch.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // ███████╗██╗   ██╗███████╗████████╗███████╗███╗   ███╗    ██╗███╗   ██╗██╗████████╗
@@ -116,14 +133,15 @@ function updateHeaderStatus(text, temporary = false) {
     });
 
 // Actor detail overlay close handlers
-document.getElementById('actor-detail-close')?.addEventListener('click', () => {
+function closeActorDetail() {
     document.getElementById('actor-detail-overlay').classList.remove('active');
-});
+    frameBrowser.close();
+}
+
+document.getElementById('actor-detail-close')?.addEventListener('click', closeActorDetail);
 
 document.getElementById('actor-detail-overlay')?.addEventListener('click', (e) => {
-    if (e.target.id === 'actor-detail-overlay') {
-        document.getElementById('actor-detail-overlay').classList.remove('active');
-    }
+    if (e.target.id === 'actor-detail-overlay') closeActorDetail();
 });
 
 const fs = new FileSystem();
@@ -132,16 +150,21 @@ const mapParser = new MapParser();
 const ui = new UIManager();
 const actorManager = new ActorManager(assets);
 window.actorManager = actorManager;  // ADD THIS LINE - makes it global for debugging
-const audioPlayer = new AudioPlayer();
+const mixer = new AudioMixer();
+const audioPlayer = new AudioPlayer(mixer);
 const animationPlayer = new AnimationPlayer();
-const musicPlayer = new MusicPlayer();
-const soundManager = new SoundManager(audioPlayer.ctx, musicPlayer);
+const musicPlayer = new MusicPlayer(mixer);
+const imfVisualizer = new ImfVisualizer();
+const vocVisualizer = new VocVisualizer();
+const frameBrowser = new ActorFrameBrowser(actorManager);
+const soundManager = new SoundManager(mixer, musicPlayer);
 
 const canvas = document.getElementById('preview-canvas') || createFallbackCanvas();
 const viewport = new Viewport(canvas);
 const renderer = new RenderEngine(canvas, actorManager);
 const paletteViewer = new PaletteViewer();
 const levelStats = new LevelStats('level-stats');
+const levelEditor = new LevelEditor(canvas, renderer, viewport, 'tile-palette');
 
 logMessage('System Ready.', 'success');
 updateHeaderStatus('Waiting for Data...');
@@ -154,13 +177,21 @@ updateHeaderStatus('Waiting for Data...');
 function updateSidebarContext(mode) {
     const actorPanel = document.getElementById('actor-controls-section');
     const levelPanel = document.getElementById('level-controls-section');
+    const editorPanel = document.getElementById('level-editor-section');
     
     // Safety check
-    if (!actorPanel || !levelPanel) return;
+    if (!actorPanel || !levelPanel || !editorPanel) return;
 
     // 1. Reset: Hide ALL conditional panels first
     actorPanel.classList.add('hidden');
     levelPanel.classList.add('hidden');
+    editorPanel.classList.add('hidden');
+    
+    // Leaving the map always drops out of edit mode
+    if (mode !== 'MAP' && levelEditor.enabled) {
+        levelEditor.setEnabled(false);
+        document.getElementById('edit-mode').checked = false;
+    }
 
     // 2. Enable specific panel based on mode
     switch (mode) {
@@ -172,6 +203,7 @@ function updateSidebarContext(mode) {
         case 'MAP':
             levelPanel.classList.remove('hidden');
             levelPanel.classList.remove('collapsed');
+            editorPanel.classList.remove('hidden'); // Keeps the user's collapsed state
             break;
             
         case 'ASSET':
@@ -202,7 +234,11 @@ let appState = {
     solidTileAttributes: [],
     maskedTileAttributes: [],
     currentMap: null,
+    currentLevelName: null,
+    currentAssetName: null,     // Source file of the displayed graphic (for PNG export)
+    currentAudioName: null,     // Last played IMF/VOC file (for WAV export)
     actorManager: actorManager,
+    levelEditor: levelEditor,
     layers: { 
         showBackgroundTerrain: true,
         showForegroundTerrain: true,
@@ -216,6 +252,10 @@ let appState = {
         showTech: true
     },
     difficulty: 0,  // 0 = Easy, 1 = Medium, 2 = Hard
+    attributeOverlay: {         // Tile attribute overlay (see TileAttributes.js)
+        enabled: false,
+        flags: new Set(TILE_FLAGS.filter(flag => !flag.defaultOff).map(flag => flag.key))
+    },
     actorsAlwaysOnTop: false,
     hideBgGrid: false,
     useSolidBG: false,
@@ -229,6 +269,12 @@ let appState = {
 
 let lastTime = 0;
 
+const TILE_ANIMATION_RATE = 15;     // Game ticks per second; animated tiles and actors advance once per tick
+const tileAnimation = {
+    paused: false,                  // Freezes tiles and animated actors alike
+    elapsed: 0                      // ms since the last tick
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 //  ██████╗ ██████╗ ██████╗ ███████╗    ██╗      ██████╗  ██████╗ ██████╗ 
 // ██╔════╝██╔═══██╗██╔══██╗██╔════╝    ██║     ██╔═══██╗██╔═══██╗██╔══██╗
@@ -264,6 +310,9 @@ function loop(timestamp) {
         animationPlayer.draw(ctx, canvas.width, canvas.height);
     } else {
         // --- Standard Map/Asset Mode ---
+        if (appState.viewMode === 'map' && !tileAnimation.paused) {
+            advanceAnimation(deltaTime);
+        }
         renderer.draw(appState, viewport);
     }
     
@@ -288,6 +337,27 @@ function createFallbackCanvas() {
     return c;
 }
 
+/**
+ * Saves binary data to the user's disk via a temporary object URL
+ * @param {Uint8Array|Blob} data - File contents
+ * @param {string} filename - Suggested download name
+ * @param {string} mimeType - MIME type used when data is not already a Blob
+ */
+function downloadFile(data, filename, mimeType = 'application/octet-stream') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function resetMainView() {
     const container = document.getElementById('data-view-container');
     const canvas = document.getElementById('preview-canvas');
@@ -583,9 +653,6 @@ function showActorDetail(actor) {
         </div>
     `;
     
-    // Render all frames
-    framesContainer.innerHTML = '';
-    
     // Get all frames from the atlas
     const actorData = actorManager.actorAtlas.find(a => a.actorNum === actor.actorNum);
     if (actorData && actorData.frames) {
@@ -595,21 +662,12 @@ function showActorDetail(actor) {
                 <span class="detail-info-value">${actorData.frames.length}</span>
             </div>
         `;
-        
-        // Render each frame
-        actorData.frames.forEach(async (frameData, i) => {
-            const frameBmp = await actorManager.getSpriteBitmap(actor.actorNum, i);
-            if (frameBmp && frameBmp.bitmap) {
-                const frameCanvas = document.createElement('canvas');
-                frameCanvas.width = frameBmp.bitmap.width;
-                frameCanvas.height = frameBmp.bitmap.height;
-                const fctx = frameCanvas.getContext('2d');
-                fctx.drawImage(frameBmp.bitmap, 0, 0);
-                framesContainer.appendChild(frameCanvas);
-            }
-        });
     }
     
+    // Filmstrip and aligned animation preview of every frame
+    frameBrowser.show(framesContainer, actor.actorNum);
+    
+    renderFrameEditor(actor.actorNum, Number(actor.palette) || 0);
     overlay.classList.add('active');
 }
 
@@ -665,6 +723,280 @@ function createActorCell(actor) {
     return cell;
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// ACTRINFO Frame Table Editor
+// ─────────────────────────────────────────────────────────────────────────
+// Edits the actor's frame records in place (hotspot offsets, size in tiles,
+// ACTORS.MNI offset). Each frame is drawn on a tile grid with a crosshair on
+// the actor's anchor point (bottom-left corner of its origin tile).
+
+const FRAME_EDITOR_ZOOM = 2;
+const FRAME_FIELDS = [
+    { key: 'hotspotX', label: 'X', min: -32768, max: 32767 },
+    { key: 'hotspotY', label: 'Y', min: -32768, max: 32767 },
+    { key: 'widthTiles', label: 'W', min: 0, max: 20 },
+    { key: 'heightTiles', label: 'H', min: 0, max: 20 },
+    { key: 'dataOffset', label: 'Offset', min: 0, max: 0xFFFFFFFF, wide: true }
+];
+
+document.getElementById('frame-editor-validate')?.addEventListener('click', () => {
+    reportFrameTableProblems(actorManager.validateInfo());
+});
+document.getElementById('frame-editor-save')?.addEventListener('click', saveFrameTable);
+
+function renderFrameEditor(actorNum, paletteId) {
+    const section = document.getElementById('frame-editor');
+    const grid = document.getElementById('frame-editor-grid');
+    if (!section || !grid) return;
+
+    const entry = actorManager.readInfoFrames(actorNum);
+    section.style.display = entry ? '' : 'none';
+    grid.innerHTML = '';
+    if (!entry) return;
+
+    entry.frames.forEach((frame, frameIndex) => {
+        const card = document.createElement('div');
+        card.className = 'frame-card';
+
+        const title = document.createElement('div');
+        title.className = 'frame-card-title';
+        title.textContent = `Frame ${frameIndex}`;
+
+        const canvas = document.createElement('canvas');
+
+        const fields = document.createElement('div');
+        fields.className = 'frame-card-fields';
+
+        const error = document.createElement('div');
+        error.className = 'frame-card-error';
+
+        for (const field of FRAME_FIELDS) {
+            const label = document.createElement('span');
+            label.textContent = field.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.value = frame[field.key];
+            if (field.wide) input.className = 'wide';
+
+            input.addEventListener('change', () => {
+                const value = parseInt(input.value, 10);
+                if (isNaN(value) || value < field.min || value > field.max) {
+                    input.value = frame[field.key];
+                    return;
+                }
+                frame[field.key] = value;
+                actorManager.updateInfoFrame(actorNum, frameIndex, { [field.key]: value });
+                drawFrameCell(canvas, card, error, frame, paletteId);
+            });
+
+            fields.appendChild(label);
+            fields.appendChild(input);
+        }
+
+        card.appendChild(title);
+        card.appendChild(canvas);
+        card.appendChild(fields);
+        card.appendChild(error);
+        grid.appendChild(card);
+
+        drawFrameCell(canvas, card, error, frame, paletteId);
+    });
+}
+
+async function drawFrameCell(canvas, card, error, frame, paletteId) {
+    const TILE = 8 * FRAME_EDITOR_ZOOM;
+
+    // Tile-space bounds around the frame and the origin tile, plus a 1-tile margin
+    const top = frame.hotspotY - frame.heightTiles + 1;
+    const minX = Math.min(frame.hotspotX, 0) - 1;
+    const minY = Math.min(top, 0) - 1;
+    const maxX = Math.max(frame.hotspotX + frame.widthTiles, 1) + 1;
+    const maxY = Math.max(frame.hotspotY + 1, 1) + 1;
+
+    const sprite = await actorManager.decodeFrame(frame, paletteId);
+
+    canvas.width = (maxX - minX) * TILE;
+    canvas.height = (maxY - minY) * TILE;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    // Tile grid
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = 0; x <= maxX - minX; x++) {
+        ctx.moveTo(x * TILE + 0.5, 0);
+        ctx.lineTo(x * TILE + 0.5, canvas.height);
+    }
+    for (let y = 0; y <= maxY - minY; y++) {
+        ctx.moveTo(0, y * TILE + 0.5);
+        ctx.lineTo(canvas.width, y * TILE + 0.5);
+    }
+    ctx.stroke();
+
+    // Frame bounds and image
+    const fx = (frame.hotspotX - minX) * TILE;
+    const fy = (top - minY) * TILE;
+    const fw = frame.widthTiles * TILE;
+    const fh = frame.heightTiles * TILE;
+    if (sprite) ctx.drawImage(sprite.bitmap, fx, fy, fw, fh);
+    ctx.strokeStyle = 'rgba(0, 200, 255, 0.6)';
+    ctx.strokeRect(fx + 0.5, fy + 0.5, fw, fh);
+
+    // Origin tile and anchor crosshair
+    const ox = -minX * TILE;
+    const oy = (1 - minY) * TILE;
+    ctx.strokeStyle = '#f90';
+    ctx.strokeRect(ox + 0.5, oy - TILE + 0.5, TILE, TILE);
+    ctx.beginPath();
+    ctx.moveTo(ox + 0.5, 0);
+    ctx.lineTo(ox + 0.5, canvas.height);
+    ctx.moveTo(0, oy + 0.5);
+    ctx.lineTo(canvas.width, oy + 0.5);
+    ctx.stroke();
+
+    const problem = actorManager.validateFrame(frame);
+    card.classList.toggle('invalid', problem !== null);
+    error.textContent = problem || '';
+}
+
+function reportFrameTableProblems(problems) {
+    if (problems.length === 0) {
+        logMessage('ACTRINFO.MNI: all frames fit inside ACTORS.MNI', 'success');
+        return;
+    }
+
+    const MAX_LISTED = 20;
+    problems.slice(0, MAX_LISTED).forEach(p => {
+        const where = p.frameIndex === null ? `Actor #${p.actorNum}` : `Actor #${p.actorNum} frame ${p.frameIndex}`;
+        logMessage(`${where}: ${p.message}`, 'warning');
+    });
+    if (problems.length > MAX_LISTED) {
+        logMessage(`...and ${problems.length - MAX_LISTED} more`, 'warning');
+    }
+    logMessage(`ACTRINFO.MNI: ${problems.length} problem(s) found`, 'error');
+}
+
+function saveFrameTable() {
+    const problems = actorManager.validateInfo();
+    if (problems.length > 0) {
+        reportFrameTableProblems(problems);
+        logMessage('ACTRINFO.MNI not saved - fix the frames above first', 'error');
+        return;
+    }
+
+    const data = actorManager.buildInfo();
+    if (!data) return;
+
+    fs.setFile('ACTRINFO.MNI', data);
+    updateArchiveActions();
+    logMessage(`Saved ACTRINFO.MNI into archive (${data.length} bytes)`, 'success');
+
+    // Grid thumbnails are cached metaframes; redraw them with the new records
+    if (isActorGridView()) renderActorView();
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Level Editor Helper Functions
+// ─────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fill the actor catalog from SPRITE_MAP, filtered by name or ID
+ */
+function renderActorCatalog() {
+    const list = document.getElementById('actor-catalog');
+    if (!list) return;
+    
+    const filter = (document.getElementById('actor-catalog-filter')?.value || '').trim().toUpperCase();
+    list.innerHTML = '';
+    
+    for (const [idStr, info] of Object.entries(SPRITE_MAP)) {
+        const id = parseInt(idStr, 10);
+        if (filter && !info.name.includes(filter) && String(id) !== filter) continue;
+        
+        const item = document.createElement('div');
+        item.className = 'actor-catalog-item';
+        item.draggable = true;
+        item.innerHTML = `<span class="catalog-id">#${id}</span>${info.name}`;
+        item.title = `${info.name} (${info.type})`;
+        
+        item.addEventListener('click', () => {
+            list.querySelectorAll('.armed').forEach(el => el.classList.remove('armed'));
+            item.classList.add('armed');
+            levelEditor.armActor(id);
+            updateHeaderStatus(`Placing <strong>${info.name}</strong> - click the map (Esc to cancel)`, true);
+        });
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(ACTOR_DRAG_TYPE, String(id));
+            actorManager.requestMetaframe(id);
+        });
+        
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Show the selected actor's properties (or a hint when nothing is selected)
+ */
+function renderActorInspector(actor) {
+    const panel = document.getElementById('actor-inspector');
+    if (!panel) return;
+    
+    // Clear the armed catalog entry once placement is done
+    if (levelEditor.placingId === null) {
+        document.querySelectorAll('.actor-catalog-item.armed').forEach(el => el.classList.remove('armed'));
+    }
+    
+    if (!actor) {
+        panel.innerHTML = `<div class="inspector-empty">Click an actor to select it</div>`;
+        return;
+    }
+    
+    const meta = actorManager.getActorMetadata(actor.id);
+    const name = meta ? meta.name : getActorInfo(actor.id).name;
+    
+    panel.innerHTML = `
+        <div class="inspector-name">${name}</div>
+        <span>Actor ID</span><input type="number" id="inspector-id" min="1" max="65535" value="${actor.id}">
+        <span>X</span><input type="number" id="inspector-x" min="0" max="${appState.currentMap.width - 1}" value="${actor.x}">
+        <span>Y</span><input type="number" id="inspector-y" min="0" max="${appState.currentMap.height - 1}" value="${actor.y}">
+        <span></span><button id="inspector-delete" class="btn-file-select" title="Delete (Del)">Delete</button>
+    `;
+    
+    ['id', 'x', 'y'].forEach(key => {
+        document.getElementById(`inspector-${key}`).addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            if (isNaN(value) || value < 0 || value > 65535 || (key === 'id' && value === 0)) {
+                e.target.value = actor[key];
+                return;
+            }
+            levelEditor.updateSelectedActor({ [key]: value });
+        });
+    });
+    document.getElementById('inspector-delete').onclick = () => levelEditor.deleteSelectedActor();
+}
+
+/**
+ * Serialize the current (possibly edited) level and save it to disk
+ */
+function downloadCurrentLevel() {
+    if (!appState.currentMap || !appState.currentLevelName) {
+        logMessage('No level loaded', 'warning');
+        return;
+    }
+    
+    try {
+        const data = mapParser.serialize(appState.currentMap);
+        downloadFile(data, appState.currentLevelName);
+        logMessage(`Saved ${appState.currentLevelName} (${data.length.toLocaleString()} bytes)`, 'success');
+    } catch (err) {
+        console.error(err);
+        logMessage(`Failed to save level: ${err.message}`, 'error');
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ██╗   ██╗██╗    ███╗   ███╗ █████╗ ███╗   ██╗ █████╗  ██████╗ ███████╗███╗   ███╗███████╗███╗   ██╗████████╗
 // ██║   ██║██║    ████╗ ████║██╔══██╗████╗  ██║██╔══██╗██╔════╝ ██╔════╝████╗ ████║██╔════╝████╗  ██║╚══██╔══╝
@@ -701,6 +1033,8 @@ function updateUIState() {
 
     // Handle bottom panel visibility (music/animation with swap button)
     updateBottomPanelVisibility();
+
+    updateExportActions();
 }
 
 function updateBottomPanelVisibility() {
@@ -995,6 +1329,63 @@ function initControls() {
             });
         }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // TILE EDITOR CONTROLS (Sidebar Panel)
+    // ─────────────────────────────────────────────────────────────────────────
+    // Edit mode, layer/tool selection and undo/redo for LevelEditor
+
+    const editModeCheckbox = document.getElementById('edit-mode');
+    if (editModeCheckbox) {
+        editModeCheckbox.addEventListener('change', (e) => {
+            levelEditor.setEnabled(e.target.checked);
+            logMessage(e.target.checked ? 'Edit mode on (middle drag pans)' : 'Edit mode off', 'info');
+        });
+    }
+
+    document.querySelectorAll('input[name="editLayer"]').forEach(radio => {
+        radio.addEventListener('change', (e) => levelEditor.setLayer(e.target.value));
+    });
+
+    document.querySelectorAll('input[name="editTool"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            levelEditor.setTool(e.target.value);
+            
+            // Palette for tile tools, inspector + catalog for the actor tool
+            const actorTool = e.target.value === 'actor';
+            document.querySelectorAll('.editor-tile-tools').forEach(el => el.classList.toggle('hidden', actorTool));
+            document.querySelectorAll('.editor-actor-tools').forEach(el => el.classList.toggle('hidden', !actorTool));
+            if (actorTool) renderActorCatalog();
+        });
+    });
+
+    document.getElementById('actor-catalog-filter')?.addEventListener('input', renderActorCatalog);
+
+    document.getElementById('btn-undo')?.addEventListener('click', () => levelEditor.undo());
+    document.getElementById('btn-redo')?.addEventListener('click', () => levelEditor.redo());
+    document.getElementById('btn-download-level')?.addEventListener('click', downloadCurrentLevel);
+
+    levelEditor.onChange = (kind) => {
+        document.getElementById('btn-undo').disabled = levelEditor.undoStack.length === 0;
+        document.getElementById('btn-redo').disabled = levelEditor.redoStack.length === 0;
+        
+        // Keep the stats panel in step with actor edits
+        if (kind === 'actors' && appState.currentMap) {
+            levelStats.update(appState.currentMap, actorManager, appState.difficulty);
+            renderer.requestSpecialSprites(appState.currentMap);
+        }
+    };
+
+    levelEditor.onActorSelect = renderActorInspector;
+
+    levelEditor.onSelectionChange = (layer, index, hoverIndex) => {
+        const info = document.getElementById('tile-palette-info');
+        if (!info) return;
+        const prefix = layer === 'bg' ? 'Solid' : 'Masked';
+        info.textContent = hoverIndex !== null
+            ? `${prefix} #${hoverIndex}`
+            : `${prefix} #${index} selected`;
+    };
+
     // ─────────────────────────────────────────────────────────────────────────
     // MUSIC CONTROLS (Bottom-Center Panel)
     // ─────────────────────────────────────────────────────────────────────────
@@ -1011,9 +1402,14 @@ function initControls() {
             <div class="divider"></div>
             <button id="music-play-pause">⏸</button>
             <button id="music-stop">⏹</button>
+            <button id="music-loop" class="active" title="Loop track">🔁</button>
+            <div class="seek-group">
+                <input type="range" id="music-seek" min="0" max="1000" value="0">
+                <span id="music-time">0:00 / 0:00</span>
+            </div>
             <div class="volume-group">
                 <span>Vol</span>
-                <input type="range" id="music-vol" min="0" max="100" value="70">
+                <input type="range" id="music-vol" min="0" max="100" value="${Math.round(mixer.getVolume('music') * 100)}">
             </div>
         `;
         container.appendChild(musicDiv);
@@ -1027,6 +1423,8 @@ function initControls() {
         document.getElementById('music-stop').onclick = () => {
             musicPlayer.stop();
             updateMusicUI("Stopped", false);
+            document.getElementById('music-seek').value = 0;
+            updateMusicTime(0, 0);
             
             if (typeof stopTimer !== 'undefined' && stopTimer) clearTimeout(stopTimer);
             stopTimer = setTimeout(() => {
@@ -1039,10 +1437,49 @@ function initControls() {
 
         document.getElementById('music-vol').oninput = (e) => {
             musicPlayer.setVolume(e.target.value / 100);
+            syncMixerControls();
+        };
+
+        // Seek bar: position reports from the worklet move it unless the user is dragging
+        const seekBar = document.getElementById('music-seek');
+        let isSeeking = false;
+
+        seekBar.oninput = () => {
+            isSeeking = true;
+            updateMusicTime(seekBar.value / 1000 * musicPlayer.duration, musicPlayer.duration);
+        };
+        seekBar.onchange = () => {
+            musicPlayer.seek(seekBar.value / 1000 * musicPlayer.duration);
+            isSeeking = false;
+        };
+
+        musicPlayer.onPosition = (elapsed, total) => {
+            if (isSeeking) return;
+            seekBar.value = total > 0 ? Math.round(elapsed / total * 1000) : 0;
+            updateMusicTime(elapsed, total);
+        };
+        musicPlayer.onEnded = () => {
+            document.getElementById('music-play-pause').textContent = "▶️";
+        };
+
+        document.getElementById('music-loop').onclick = (e) => {
+            const enabled = !musicPlayer.loop;
+            musicPlayer.setLoop(enabled);
+            e.currentTarget.classList.toggle('active', enabled);
         };
     }
 }
 
+function formatTrackTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function updateMusicTime(elapsed, total) {
+    const label = document.getElementById('music-time');
+    if (label) label.textContent = `${formatTrackTime(elapsed)} / ${formatTrackTime(total)}`;
+}
+
 // ═════════════════════════════════════════════════════════════════════════
 // PANEL SWAP BUTTON (for when both music and animation are active)
 // ═════════════════════════════════════════════════════════════════════════
@@ -1102,8 +1539,26 @@ function renderSoundBoard(sounds) {
         btn.innerHTML = `
             <span class="sound-number">#${index}</span>
             <span class="sound-size">${snd.size} bytes</span>
+            <span class="sound-export" title="Export WAV">💾 WAV</span>
         `;
         
+        btn.querySelector('.sound-export').onclick = (e) => {
+            e.stopPropagation();
+            exportSoundWav(index);
+        };
+
+        if (!soundManager.detectPCSpeaker(null, index) && soundManager.readAdLibPatch(index)) {
+            const patchLink = document.createElement('span');
+            patchLink.className = 'sound-export';
+            patchLink.title = 'Inspect and edit the OPL instrument';
+            patchLink.textContent = '🎛️ Patch';
+            patchLink.onclick = (e) => {
+                e.stopPropagation();
+                openPatchEditor(index);
+            };
+            btn.appendChild(patchLink);
+        }
+        
         btn.onclick = () => {
             // Flash effect using CSS class
             btn.classList.add('playing');
@@ -1111,18 +1566,9 @@ function renderSoundBoard(sounds) {
                 btn.classList.remove('playing');
             }, 150);
             updateHeaderStatus(`🔊 Playing: <strong>${snd.name || `Sound #${index}`}</strong>`, true);
-			
-            // FIX 2: Pause Music (if playing) before playing SFX
-            if (musicPlayer.isPlaying && !musicPlayer.isPaused) {
-                musicPlayer.togglePause();
-                
-                // Update UI to show "Resume" button
-                const currentTrackName = document.getElementById('music-track-name').textContent;
-                updateMusicUI(currentTrackName, false);
-            }
             
-            // Play the sound (defaulting to AdLib for now)
-            soundManager.play(snd.id, 'adlib');
+            // SoundManager picks PC speaker or AdLib from the index and plays it on the synth bus, over any music
+            soundManager.play(snd.id);
         };
         
         container.appendChild(btn);
@@ -1139,6 +1585,331 @@ function playSound(index) {
     soundManager.play(index);
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// OPL PATCH EDITOR (AdLib sound effects)
+// ─────────────────────────────────────────────────────────────────────────
+// Decodes the 16-byte instrument of an AdLib sound into named OPL fields.
+// Releasing a slider auditions the sound through the OPL engine; Write stores
+// the patch (and octave) back into AUDIOT.MNI.
+
+let patchEditor = null;   // { index, original, patch, applyConnection }
+
+function formatPatchValue(field, value) {
+    switch (field.key) {
+        case 'waveform': return WAVEFORM_NAMES[value];
+        case 'connection': return CONNECTION_NAMES[value];
+        case 'ksl': return KSL_NAMES[value];
+        case 'outputLevel': return `-${(value * 0.75).toFixed(2)} dB`;
+        case 'sustain': return `-${value * 3} dB`;
+        default: return field.bits === 1 ? (value ? 'On' : 'Off') : String(value);
+    }
+}
+
+function openPatchEditor(index) {
+    const patch = soundManager.readAdLibPatch(index);
+    if (!patch) return;
+
+    patchEditor = {
+        index,
+        original: { instrument: patch.instrument.slice(), octave: patch.octave },
+        patch,
+        applyConnection: false
+    };
+    renderPatchEditor();
+}
+
+function renderPatchEditor() {
+    const container = document.getElementById('data-view-container');
+    container.querySelector('.patch-editor')?.remove();
+    if (!patchEditor) return;
+
+    const { index, patch } = patchEditor;
+    const panel = document.createElement('div');
+    panel.className = 'patch-editor';
+
+    const header = document.createElement('div');
+    header.className = 'patch-editor-header';
+    header.innerHTML = `
+        <h3>🎛️ Sound #${index} - OPL Patch</h3>
+        <span class="patch-hex"></span>
+        <button class="btn-file-select" data-action="audition">▶ Audition</button>
+        <button class="btn-file-select" data-action="revert">Revert</button>
+        <button class="btn-file-select" data-action="write" title="Store this patch in AUDIOT.MNI">Write to AUDIOT</button>
+        <button class="btn-file-select" data-action="close">✕</button>
+    `;
+    const hex = header.querySelector('.patch-hex');
+    const updateHex = () => {
+        const bytes = Array.from(patch.instrument, b => b.toString(16).padStart(2, '0').toUpperCase());
+        hex.textContent = `${bytes.join(' ')} | oct ${patch.octave}`;
+    };
+    updateHex();
+
+    header.querySelector('[data-action="audition"]').onclick = auditionPatch;
+    header.querySelector('[data-action="revert"]').onclick = () => {
+        patchEditor.patch = {
+            instrument: patchEditor.original.instrument.slice(),
+            octave: patchEditor.original.octave
+        };
+        renderPatchEditor();
+    };
+    header.querySelector('[data-action="write"]').onclick = writePatch;
+    header.querySelector('[data-action="close"]').onclick = () => {
+        patchEditor = null;
+        renderPatchEditor();
+    };
+    panel.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'patch-editor-body';
+
+    // Each slider: value label follows input, the sound plays on release
+    const addSlider = (column, label, max, value, format, apply) => {
+        const row = document.createElement('label');
+        row.className = 'patch-field';
+        row.innerHTML = `<span>${label}</span><input type="range" min="0" max="${max}" step="1"><output></output>`;
+        const input = row.querySelector('input');
+        const output = row.querySelector('output');
+        input.value = value;
+        output.textContent = format(value);
+
+        input.addEventListener('input', () => {
+            const v = parseInt(input.value, 10);
+            apply(v);
+            output.textContent = format(v);
+            updateHex();
+        });
+        input.addEventListener('change', auditionPatch);
+        column.appendChild(row);
+    };
+
+    const decoded = decodePatch(patch.instrument);
+    for (const operator of OPERATORS) {
+        const column = document.createElement('div');
+        column.className = 'patch-column';
+        column.innerHTML = `<h4>${operator === 'modulator' ? 'Modulator' : 'Carrier'}</h4>`;
+        for (const field of OPERATOR_FIELDS) {
+            addSlider(column, field.label, (1 << field.bits) - 1, decoded[operator][field.key],
+                v => formatPatchValue(field, v),
+                v => setPatchField(patch.instrument, field, operator, v));
+        }
+        body.appendChild(column);
+    }
+
+    const channelColumn = document.createElement('div');
+    channelColumn.className = 'patch-column';
+    channelColumn.innerHTML = '<h4>Channel</h4>';
+    for (const field of CHANNEL_FIELDS) {
+        addSlider(channelColumn, field.label, (1 << field.bits) - 1, decoded[field.key],
+            v => formatPatchValue(field, v),
+            v => setPatchField(patch.instrument, field, null, v));
+    }
+    addSlider(channelColumn, 'Octave (block)', 7, patch.octave & 7, String, v => { patch.octave = v; });
+
+    // The game never writes the feedback/connection byte, so it is opt-in here
+    const connectionToggle = document.createElement('label');
+    connectionToggle.className = 'patch-field patch-toggle';
+    connectionToggle.innerHTML = '<input type="checkbox"><span>Hear feedback/connection (the game ignores them)</span>';
+    const checkbox = connectionToggle.querySelector('input');
+    checkbox.checked = patchEditor.applyConnection;
+    checkbox.onchange = () => {
+        patchEditor.applyConnection = checkbox.checked;
+        auditionPatch();
+    };
+    channelColumn.appendChild(connectionToggle);
+    body.appendChild(channelColumn);
+
+    panel.appendChild(body);
+    container.prepend(panel);
+}
+
+function auditionPatch() {
+    if (!patchEditor) return;
+    const { index, patch, applyConnection } = patchEditor;
+    soundManager.stop();
+    soundManager.playAdLib(soundManager.applyAdLibPatch(index, patch), index, { applyConnection });
+}
+
+function writePatch() {
+    if (!patchEditor) return;
+    const { index, patch } = patchEditor;
+
+    const audiot = soundManager.writeAdLibPatch(index, patch);
+    fs.setFile('AUDIOT.MNI', audiot);
+    updateArchiveActions();
+
+    patchEditor.original = { instrument: patch.instrument.slice(), octave: patch.octave };
+    logMessage(`Wrote OPL patch of sound #${index} into AUDIOT.MNI`, 'success');
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// AUDIO MIXER (Sidebar)
+// ─────────────────────────────────────────────────────────────────────────
+// Volume and mute for the music, digital SFX (VOC) and synth SFX (AdLib /
+// PC Speaker) buses. The mixer stores the settings; the music panel's volume
+// slider is the same setting as the Music bus.
+
+function renderMixerPanel() {
+    const list = document.getElementById('mixer-buses');
+    if (!list) return;
+    list.innerHTML = '';
+
+    for (const bus of MIXER_BUSES) {
+        const row = document.createElement('div');
+        row.className = 'mixer-bus';
+        row.dataset.bus = bus.id;
+        row.innerHTML = `
+            <button class="mixer-mute" title="Mute ${bus.label}"></button>
+            <span class="mixer-label">${bus.label}</span>
+            <input type="range" min="0" max="100">
+            <span class="mixer-value"></span>
+        `;
+
+        row.querySelector('.mixer-mute').onclick = () => {
+            mixer.setMuted(bus.id, !mixer.isMuted(bus.id));
+            syncMixerControls();
+        };
+        row.querySelector('input').oninput = (e) => {
+            mixer.setVolume(bus.id, e.target.value / 100);
+            syncMixerControls();
+        };
+
+        list.appendChild(row);
+    }
+
+    syncMixerControls();
+}
+
+function syncMixerControls() {
+    document.querySelectorAll('.mixer-bus').forEach(row => {
+        const id = row.dataset.bus;
+        const volume = Math.round(mixer.getVolume(id) * 100);
+        const muted = mixer.isMuted(id);
+
+        row.classList.toggle('muted', muted);
+        row.querySelector('.mixer-mute').textContent = muted ? '🔇' : '🔊';
+        row.querySelector('input').value = volume;
+        row.querySelector('.mixer-value').textContent = `${volume}%`;
+    });
+
+    const musicVolume = document.getElementById('music-vol');
+    if (musicVolume) musicVolume.value = Math.round(mixer.getVolume('music') * 100);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// TILE ANIMATION (Level Controls)
+// ─────────────────────────────────────────────────────────────────────────
+// Animated CZONE tiles cycle at the game's tick rate; the renderer redraws
+// just those cells. Actors listed under animatedActors in the viewer config
+// run off the same timer with a tick of their own, counted while "Animate
+// Actors" is on. Pause freezes both on their current frame and Step advances
+// both by one tick, for screenshots of a particular frame.
+
+function stepAnimation() {
+    renderer.stepTileAnimation();
+    if (renderer.animateActors) renderer.actorAnimationTick++;
+}
+
+function advanceAnimation(deltaTime) {
+    const tickLength = 1000 / TILE_ANIMATION_RATE;
+
+    // After a long stall (hidden tab) resume from now instead of catching up
+    tileAnimation.elapsed = Math.min(tileAnimation.elapsed + deltaTime, tickLength * 4);
+    if (tileAnimation.elapsed < tickLength) return;
+
+    while (tileAnimation.elapsed >= tickLength) {
+        stepAnimation();
+        tileAnimation.elapsed -= tickLength;
+    }
+    updateTileAnimationStatus();
+}
+
+function updateTileAnimationStatus() {
+    const status = document.getElementById('tile-anim-frame');
+    if (!status) return;
+    const tick = renderer.animationTick;
+    status.textContent = `Tick ${tick} · fast ${tick % 4 + 1}/4 · slow ${Math.floor(tick / 2) % 4 + 1}/4` +
+        (renderer.animateActors ? ` · actors ${renderer.actorAnimationTick}` : '');
+}
+
+function initTileAnimationControls() {
+    const pauseButton = document.getElementById('btn-tile-anim-pause');
+    const stepButton = document.getElementById('btn-tile-anim-step');
+    if (!pauseButton || !stepButton) return;
+
+    pauseButton.addEventListener('click', () => {
+        tileAnimation.paused = !tileAnimation.paused;
+        tileAnimation.elapsed = 0;
+        pauseButton.textContent = tileAnimation.paused ? '▶ Play' : '⏸ Pause';
+        stepButton.disabled = !tileAnimation.paused;
+    });
+
+    stepButton.addEventListener('click', () => {
+        stepAnimation();
+        updateTileAnimationStatus();
+    });
+
+    document.getElementById('animate-actors')?.addEventListener('change', (e) => {
+        renderer.animateActors = e.target.checked;
+        updateTileAnimationStatus();
+        if (renderer.animateActors && appState.currentMap) {
+            renderer.requestSpecialSprites(appState.currentMap);
+        }
+    });
+
+    updateTileAnimationStatus();
+}
+
+initTileAnimationControls();
+
+// ─────────────────────────────────────────────────────────────────────────
+// TILE ATTRIBUTE OVERLAY (Level Controls)
+// ─────────────────────────────────────────────────────────────────────────
+// Color codes map cells by their CZONE attribute flags. The legend doubles as
+// the per-flag toggles; hovering the map shows the raw attribute words.
+
+function renderAttributeLegend() {
+    const legend = document.getElementById('attr-legend');
+    if (!legend) return;
+    legend.innerHTML = '';
+
+    for (const flag of TILE_FLAGS) {
+        const label = document.createElement('label');
+        label.title = `Bit ${Math.log2(flag.bit)} (0x${flag.bit.toString(16).toUpperCase().padStart(4, '0')})`;
+
+        const swatch = flag.style === 'edge' ? `border-${flag.edge}: 3px solid ${flag.color};`
+            : flag.style === 'arrow' ? `color: ${flag.color};`
+            : `background: ${flag.color};`;
+        label.innerHTML = `
+            <input type="checkbox" ${appState.attributeOverlay.flags.has(flag.key) ? 'checked' : ''}>
+            <span class="attr-swatch ${flag.style}" style="${swatch}">${flag.style === 'arrow' ? (flag.direction > 0 ? '▶' : '◀') : ''}</span>
+            ${flag.label}
+        `;
+        label.querySelector('input').addEventListener('change', (e) => {
+            const flags = appState.attributeOverlay.flags;
+            if (e.target.checked) flags.add(flag.key);
+            else flags.delete(flag.key);
+            renderer.setAttributeOverlay(appState.attributeOverlay);
+        });
+        legend.appendChild(label);
+    }
+
+    const toggle = document.getElementById('attr-overlay');
+    if (toggle) {
+        toggle.addEventListener('change', (e) => {
+            appState.attributeOverlay.enabled = e.target.checked;
+            legend.classList.toggle('disabled', !e.target.checked);
+            renderer.setAttributeOverlay(appState.attributeOverlay);
+        });
+        legend.classList.toggle('disabled', !toggle.checked);
+    }
+
+    renderer.setAttributeOverlay(appState.attributeOverlay);
+}
+
+renderAttributeLegend();
+
+renderMixerPanel();
+
 initControls();
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1182,6 +1953,7 @@ async function loadLevel(filename) {
         appState.viewMode = 'map';
         appState.assetType = null;
 		appState.currentMap = mapParser.parse(levelData);
+        appState.currentLevelName = filename;
         
         const czoneName = appState.currentMap.czone;
         const rawZone = fs.getFile(czoneName);
@@ -1233,17 +2005,19 @@ async function loadLevel(filename) {
             ids.forEach(id => actorManager.requestSprite(id));
         }
 
+        const tileAssets = { 
+            solidTiles: appState.solidTiles, 
+            maskedTiles: appState.maskedTiles,
+            solidTileAttributes: appState.solidTileAttributes,
+            maskedTileAttributes: appState.maskedTileAttributes
+        };
         renderer.preRender(
             appState.currentMap, 
-            { 
-                solidTiles: appState.solidTiles, 
-                maskedTiles: appState.maskedTiles,
-                solidTileAttributes: appState.solidTileAttributes,
-                maskedTileAttributes: appState.maskedTileAttributes
-            }, 
+            tileAssets, 
             appState.useGridFix,
             appState.hideBgGrid
         );
+        levelEditor.setLevel(appState.currentMap, tileAssets);
         renderer.requestSpecialSprites(mapParser);
         handleFitZoom();
         updateUIState();
@@ -1314,6 +2088,67 @@ async function loadAnimation(file) {
     }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// IMF PIANO ROLL
+// ─────────────────────────────────────────────────────────────────────────
+// Shows the notes of all nine OPL channels scrolling with playback. Mute and
+// solo re-render the playing track without the silenced channels.
+
+function showImfPianoRoll(rawFile, filename) {
+    const container = document.getElementById('data-view-container');
+    const canvas = document.getElementById('preview-canvas');
+    if (!container || !canvas) return;
+
+    const parsed = new ImfParser().parse(rawFile);
+
+    appState.viewMode = 'data';
+    appState.currentAsset = null;
+    levelStats.hide();
+
+    // Channel mutes belong to the track on screen
+    musicPlayer.setMutedChannels(0);
+    imfVisualizer.onMaskChange = (mask) => musicPlayer.setMutedChannels(mask);
+
+    canvas.style.display = 'none';
+    container.className = '';
+    container.style.display = 'block';
+    container.innerHTML = '';
+    container.appendChild(imfVisualizer.createViewer(parsed, filename));
+
+    toggleControls('none');
+    updateSidebarContext('ASSET');
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// VOC WAVEFORM PANEL
+// ─────────────────────────────────────────────────────────────────────────
+// Shows a digitized sound as a waveform or spectrogram with its VOC blocks
+// marked, so it's visible which decoder path each block took. Clicking the
+// panel plays from that point.
+
+function showVocPanel(rendered, filename) {
+    const container = document.getElementById('data-view-container');
+    const canvas = document.getElementById('preview-canvas');
+    if (!container || !canvas) return;
+
+    appState.viewMode = 'data';
+    appState.currentAsset = null;
+    levelStats.hide();
+
+    vocVisualizer.onSeek = async (seconds) => {
+        await audioPlayer.playRendered(rendered, seconds);
+        vocVisualizer.start(() => audioPlayer.getPlaybackPosition());
+    };
+
+    canvas.style.display = 'none';
+    container.className = '';
+    container.style.display = 'block';
+    container.innerHTML = '';
+    container.appendChild(vocVisualizer.createViewer(rendered, filename));
+
+    toggleControls('none');
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // ASSET LOADER
 // ─────────────────────────────────────────────────────────────────────────
@@ -1340,16 +2175,20 @@ async function loadAsset(filename) {
         // ─────────────────────────────────────────────────────────────────────
         // MUSIC HANDLER (.IMF files)
         // ─────────────────────────────────────────────────────────────────────
-        // Plays AdLib music files in the background
+        // Plays AdLib music files in the background and shows their piano roll
 
         if (upper.endsWith(".IMF")) {
             console.log("🎵 Music starting. Current assetType:", appState.assetType);
             console.log("Playing AdLib Music...");
             
             updateHeaderStatus(`🎵 Playing Music: <strong>${filename}</strong>`, true);
+            showImfPianoRoll(rawFile, filename);
             
 			updateMusicUI(filename, true);
             await musicPlayer.playImf(rawFile, filename);
+            imfVisualizer.start(() => musicPlayer.getPlaybackPosition());
+            appState.currentAudioName = filename;
+            updateAudioActions();
             updateUIState();
             return;
         }
@@ -1360,25 +2199,26 @@ async function loadAsset(filename) {
         // Plays short sound effect files
 
         if (upper.startsWith("SB_") || upper.startsWith("INTRO")) {
-            // Change: Pause music instead of stopping it
-            if (musicPlayer.isPlaying && !musicPlayer.isPaused) {
-                musicPlayer.togglePause();
-                
-                // Update the Play/Pause button to show "Resume" icon (▶️)
-                // We grab the current name from the label so it doesn't disappear
-                const currentTrackName = document.getElementById('music-track-name').textContent;
-                updateMusicUI(currentTrackName, false); 
-            }
-            
+            // Music keeps playing: the effect mixes over it on its own bus
             restoreDefaultZoomPanel();
 
             // REFACTORED: Use Context Manager
             updateSidebarContext('SOUND');
 
+            const rendered = audioPlayer.renderVoc(rawFile);
+            if (!rendered) {
+                logMessage(`${filename} is not a valid VOC file`, 'error');
+                return;
+            }
+            showVocPanel(rendered, filename);
+
             // Play the sound effect
             logMessage(`▶️ Playing: ${filename}`, 'success');
 			updateHeaderStatus(`🔊 Playing Sound: <strong>${filename}</strong>`, true);
-			await audioPlayer.playVoc(rawFile);
+			await audioPlayer.playRendered(rendered);
+            vocVisualizer.start(() => audioPlayer.getPlaybackPosition());
+            appState.currentAudioName = filename;
+            updateAudioActions();
             return;
 			
         }
@@ -1418,6 +2258,9 @@ async function loadAsset(filename) {
             return;
         }
 
+        // Everything below is a viewable file; remember it for PNG export
+        appState.currentAssetName = filename;
+
         // ─────────────────────────────────────────────────────────────────────
         // LCR.MNI HANDLER (256-Color Fullscreen Image)
         // ─────────────────────────────────────────────────────────────────────
@@ -1716,6 +2559,22 @@ ui.onItemSelect = (filename, type) => {
     else loadAsset(filename);
 };
 
+// ─────────────────────────────────────────────────────────────────────────
+// FILE LIST REMOVAL (Right-Click)
+// ─────────────────────────────────────────────────────────────────────────
+// Removes an entry from the archive so it is left out of the next Save CMP
+
+ui.onItemRemove = (filename) => {
+    if (!confirm(`Remove ${filename} from the archive?`)) return;
+    
+    if (fs.removeFile(filename)) {
+        logMessage(`Removed from archive: ${filename}`, 'warning');
+        reloadArchiveEntry(filename);
+        refreshAssetList();
+        updateArchiveActions();
+    }
+};
+
 // ─────────────────────────────────────────────────────────────────────────
 // FILE INPUT BUTTON
 // ─────────────────────────────────────────────────────────────────────────
@@ -1756,10 +2615,711 @@ if (fileInput) {
 document.body.addEventListener('dragover', e => e.preventDefault());
 document.body.addEventListener('drop', (e) => {
     e.preventDefault();
-    const file = e.dataTransfer.files[0];
-    if (file) handleFileSelection(file);
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length === 0) return;
+    
+    // A dropped CMP replaces the archive; anything else is imported into it
+    const cmpFile = files.find(f => f.name.toUpperCase().endsWith('.CMP'));
+    if (cmpFile) handleFileSelection(cmpFile);
+    else if (fs.files.size > 0) importArchiveEntries(files);
 });
 
+// ─────────────────────────────────────────────────────────────────────────
+// ARCHIVE EDITING (Import Files / Save CMP)
+// ─────────────────────────────────────────────────────────────────────────
+// Entries can be added or replaced from disk, removed from the file list,
+// and the result repacked into a new NUKEM2.CMP
+
+const entryInput = document.getElementById('entry-input');
+if (entryInput) {
+    entryInput.addEventListener('change', (e) => {
+        importArchiveEntries(Array.from(e.target.files));
+        entryInput.value = ''; // Allow re-importing the same file
+    });
+}
+
+const saveCmpButton = document.getElementById('btn-save-cmp');
+if (saveCmpButton) {
+    saveCmpButton.addEventListener('click', saveArchive);
+}
+
+async function importArchiveEntries(files) {
+    let imported = 0;
+    
+    for (const file of files) {
+        const name = file.name.toUpperCase();
+        const existed = fs.files.has(name);
+        
+        try {
+            fs.setFile(name, new Uint8Array(await file.arrayBuffer()));
+            reloadArchiveEntry(name);
+            logMessage(`${existed ? 'Replaced' : 'Added'} ${name} (${file.size} bytes)`, 'success');
+            imported++;
+        } catch (err) {
+            logMessage(`Could not import ${file.name}: ${err.message}`, 'error');
+        }
+    }
+    
+    if (imported > 0) {
+        refreshAssetList();
+        updateArchiveActions();
+        updateHeaderStatus(`📥 Imported <strong>${imported}</strong> file(s) into archive`, true);
+    }
+}
+
+function saveArchive() {
+    try {
+        const cmp = fs.buildCMP();
+        downloadFile(cmp, 'NUKEM2.CMP');
+        fs.modified = false;
+        updateArchiveActions();
+        logMessage(`Saved NUKEM2.CMP (${fs.files.size} files, ${cmp.length} bytes)`, 'success');
+    } catch (err) {
+        logMessage(`Could not build CMP: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+// Palette slots filled from archive entries when a CMP is opened
+const PALETTE_ENTRIES = { 'GAMEPAL.PAL': 0, 'STORY2.PAL': 1, 'STORY3.PAL': 2, 'LCR.MNI': 3, 'STORY.MNI': 4 };
+
+/**
+ * Brings data decoded at archive load (actor tables and graphics, palettes)
+ * in line with an entry that was just imported or removed. Levels, tiles
+ * and sounds are decoded each time they are opened and need nothing here.
+ */
+function reloadArchiveEntry(filename) {
+    const name = filename.toUpperCase();
+    const data = fs.getFile(name);
+
+    if (name === 'ACTORS.MNI') {
+        if (data) actorManager.loadGraphics(data);
+        else {
+            actorManager.graphicsData = null;
+            actorManager.clearCache();
+        }
+    } else if (name === 'ACTRINFO.MNI') {
+        if (data) actorManager.loadInfo(data);
+        else actorManager.infoData = null;
+        actorManager.clearCache();
+    } else if (name in PALETTE_ENTRIES) {
+        if (!data) return;  // Keep the last palette; nothing else could replace it
+        assets.loadPalette(data, PALETTE_ENTRIES[name]);
+        if (PALETTE_ENTRIES[name] === 0) displayPaletteBar(data);
+        actorManager.clearCache();
+    } else {
+        return;
+    }
+
+    // Level sprites are built from the actor caches
+    renderer.specialSpriteCache.clear();
+}
+
+function updateArchiveActions() {
+    document.querySelectorAll('.archive-action').forEach(el => {
+        el.classList.toggle('hidden', fs.files.size === 0);
+    });
+    if (saveCmpButton) saveCmpButton.classList.toggle('modified', fs.modified);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// GRAPHICS EXPORT (Export PNG / Export All Graphics)
+// ─────────────────────────────────────────────────────────────────────────
+// Saves decoded graphics as PNG, either the asset on screen (at 1x or the
+// current zoom) or every graphic in the archive bundled into a ZIP
+
+const exportPngButton = document.getElementById('btn-export-png');
+const exportPngZoomButton = document.getElementById('btn-export-png-zoom');
+const exportAllButton = document.getElementById('btn-export-all');
+
+if (exportPngButton) exportPngButton.addEventListener('click', () => exportCurrentPng(1));
+if (exportPngZoomButton) exportPngZoomButton.addEventListener('click', () => exportCurrentPng(viewport.zoom));
+if (exportAllButton) exportAllButton.addEventListener('click', exportAllGraphics);
+
+function isActorGridView() {
+    return appState.viewMode === 'asset' && appState.assetType === 'actors' && appState.actorViewMode === 'dynamic';
+}
+
+function updateExportActions() {
+    const canExport = isActorGridView() ||
+                      (appState.viewMode === 'asset' && !!appState.currentAsset?.image);
+    document.querySelectorAll('.export-action').forEach(el => {
+        el.classList.toggle('hidden', !canExport);
+    });
+
+    const isCZone = canExport && /CZONE/i.test(appState.currentAssetName || '');
+    document.querySelectorAll('.czone-action').forEach(el => {
+        el.classList.toggle('hidden', !isCZone);
+    });
+}
+
+// Strips the archive extension: "CZONE1.MNI" -> "CZONE1"
+function assetBaseName(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Encodes an ImageBitmap/canvas as a PNG blob, scaled with nearest-neighbour
+ * @param {ImageBitmap|HTMLCanvasElement} image - Source graphic
+ * @param {number} scale - Output scale factor (fractional zoom is allowed)
+ */
+function imageToPngBlob(image, scale = 1) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    });
+}
+
+/**
+ * Lays the actor metaframes out in rows, in the same order as the
+ * dynamic actor grid, so the grid view can be saved as one image
+ */
+async function composeActorSheet(sortMode = 'default') {
+    const data = await actorManager.generateSpriteSheet('dynamic', sortMode, 1);
+    if (!data || data.actors.length === 0) return null;
+
+    const MAX_WIDTH = 1024;
+    const PADDING = 4;
+    const placed = [];
+    let x = PADDING, y = PADDING, rowHeight = 0, sheetWidth = 0;
+
+    for (const actor of data.actors) {
+        const bmp = actor.metaframe;
+        if (x + bmp.width + PADDING > MAX_WIDTH && x > PADDING) {
+            x = PADDING;
+            y += rowHeight + PADDING;
+            rowHeight = 0;
+        }
+        placed.push({ bmp, x, y });
+        x += bmp.width + PADDING;
+        rowHeight = Math.max(rowHeight, bmp.height);
+        sheetWidth = Math.max(sheetWidth, x);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = sheetWidth;
+    canvas.height = y + rowHeight + PADDING;
+    const ctx = canvas.getContext('2d');
+    placed.forEach(p => ctx.drawImage(p.bmp, p.x, p.y));
+
+    return createImageBitmap(canvas);
+}
+
+/**
+ * Decodes any archive entry that the viewer shows as a picture.
+ * Detection follows the same rules (and order) as loadAsset().
+ * @returns {Promise<{image, kind}|null>} null for non-graphic files
+ */
+async function decodeGraphicAsset(filename, rawFile) {
+    const upper = filename.toUpperCase();
+    if (!rawFile) return null;
+
+    // Non-graphic entries handled earlier in loadAsset()
+    if (upper.endsWith('.IMF') || upper.startsWith('SB_') || upper.startsWith('INTRO') ||
+        upper === 'AUDIOHED.MNI' || upper === 'AUDIOT.MNI') return null;
+
+    if (upper === 'LCR.MNI' && rawFile.length === 64768) {
+        return { image: await assets.decode256ColorImage(rawFile.slice(768), rawFile.slice(0, 768)), kind: '256color' };
+    }
+    if (rawFile.length === 4000) {
+        return { image: await assets.decodeB800Text(rawFile), kind: 'b800text' };
+    }
+    if (rawFile.length === 32048) {
+        return { image: await assets.decodeFullScreenImage(rawFile), kind: 'fullscreen' };
+    }
+    if (upper === 'ACTORS.MNI') {
+        const sheet = actorManager.actorAtlas ? await composeActorSheet() : null;
+        if (sheet) return { image: sheet, kind: 'actors' };
+        const raw = await actorManager.generateSpriteSheet('raw');
+        return raw ? { image: raw.image, kind: 'actors_raw' } : null;
+    }
+    if (upper.includes('CZONE')) {
+        return { image: await assets.generateCZoneSheet(rawFile), kind: 'czone' };
+    }
+    if (upper.startsWith('BACKDRP') || upper.startsWith('DROP') || upper === 'STATUS.MNI') {
+        const count = Math.floor(rawFile.length / 32);
+        return { image: await assets.generateTilesetImage(rawFile, 0, count, 'solid_local', 40), kind: 'tileset' };
+    }
+    return null;
+}
+
+async function exportCurrentPng(scale) {
+    try {
+        const image = isActorGridView()
+            ? await composeActorSheet(appState.actorSortMode)
+            : appState.currentAsset?.image;
+        if (!image) {
+            logMessage('Nothing to export - open a graphic first', 'warning');
+            return;
+        }
+
+        const base = assetBaseName(appState.currentAssetName || 'export');
+        const suffix = scale === 1 ? '' : `@${+scale.toFixed(2)}x`;
+        const blob = await imageToPngBlob(image, scale);
+        downloadFile(blob, `${base}${suffix}.png`);
+
+        logMessage(`Exported ${base}${suffix}.png (${Math.round(image.width * scale)}×${Math.round(image.height * scale)})`, 'success');
+    } catch (err) {
+        logMessage(`PNG export failed: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+/**
+ * Downloads the frames open in the actor detail view as a ZIP holding the
+ * sprite sheet PNG and its JSON atlas (see ActorFrameBrowser.buildSpriteSheet)
+ */
+async function exportActorFrames() {
+    try {
+        const sheet = frameBrowser.buildSpriteSheet();
+        if (!sheet) {
+            logMessage('This actor has no frames to export', 'warning');
+            return;
+        }
+
+        const base = `${sheet.atlas.actor || `actor_${sheet.atlas.actorNum}`}_frames`;
+        const zip = new ZipWriter();
+        await zip.addBlob(`${base}.png`, await imageToPngBlob(sheet.canvas));
+        zip.addFile(`${base}.json`, JSON.stringify({ image: `${base}.png`, ...sheet.atlas }, null, 2));
+        downloadFile(zip.build(), `${base}.zip`, 'application/zip');
+
+        logMessage(`Exported ${sheet.atlas.frames.length} frames to ${base}.zip (${sheet.canvas.width}×${sheet.canvas.height})`, 'success');
+    } catch (err) {
+        logMessage(`Frame export failed: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+frameBrowser.onExport = exportActorFrames;
+
+const actorAtlasButton = document.getElementById('btn-export-actor-atlas');
+if (actorAtlasButton) actorAtlasButton.addEventListener('click', exportActorAtlas);
+
+/**
+ * Packs every actor frame into DN2_actors.png and zips it with the
+ * metadata in each of ATLAS_FORMATS
+ */
+async function exportActorAtlas() {
+    if (!actorManager.actorAtlas || !actorManager.graphicsData) {
+        logMessage('Open ACTORS.MNI before exporting the actor atlas', 'warning');
+        return;
+    }
+    if (actorAtlasButton) actorAtlasButton.disabled = true;
+
+    try {
+        const padding = parseInt(document.getElementById('atlas-padding')?.value, 10);
+        const options = {
+            trim: document.getElementById('atlas-trim')?.checked ?? true,
+            padding: isNaN(padding) ? 2 : Math.max(0, Math.min(16, padding))
+        };
+        updateHeaderStatus('📦 Packing actor atlas...', true);
+
+        const atlas = await packActorAtlas(actorManager, options);
+        if (!atlas) {
+            logMessage('No actor frames could be decoded', 'warning');
+            return;
+        }
+
+        const base = 'DN2_actors';
+        const zip = new ZipWriter();
+        await zip.addBlob(`${base}.png`, await imageToPngBlob(atlas.canvas));
+        for (const format of ATLAS_FORMATS) {
+            zip.addFile(`${base}${format.suffix}`, format.write(atlas, `${base}.png`));
+        }
+        downloadFile(zip.build(), `${base}_atlas.zip`, 'application/zip');
+
+        logMessage(`Exported ${atlas.sprites.length} actor frames to ${base}_atlas.zip (${atlas.canvas.width}×${atlas.canvas.height})`, 'success');
+        updateHeaderStatus(`📦 Exported <strong>${atlas.sprites.length}</strong> actor frames`, true);
+    } catch (err) {
+        logMessage(`Actor atlas export failed: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        if (actorAtlasButton) actorAtlasButton.disabled = false;
+    }
+}
+
+const renderMapButton = document.getElementById('btn-render-map');
+if (renderMapButton) renderMapButton.addEventListener('click', exportFullMap);
+
+async function exportFullMap() {
+    if (!appState.currentMap || appState.viewMode !== 'map') {
+        logMessage('Load a level before rendering the map', 'warning');
+        return;
+    }
+    if (renderMapButton) renderMapButton.disabled = true;
+
+    try {
+        const options = {
+            grid: document.getElementById('map-export-grid')?.checked || false,
+            ruler: document.getElementById('map-export-ruler')?.checked || false
+        };
+        const canvas = await renderer.renderFullMap(appState, options);
+        if (!canvas) {
+            logMessage('Map is not ready to render yet', 'warning');
+            return;
+        }
+
+        const difficultyName = ['easy', 'medium', 'hard'][appState.difficulty] || 'easy';
+        const filename = `${assetBaseName(appState.currentLevelName || 'map')}_${difficultyName}.png`;
+        downloadFile(await imageToPngBlob(canvas), filename);
+
+        logMessage(`Rendered ${filename} (${canvas.width}×${canvas.height})`, 'success');
+    } catch (err) {
+        logMessage(`Map render failed: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        if (renderMapButton) renderMapButton.disabled = false;
+    }
+}
+
+async function exportAllGraphics() {
+    if (fs.files.size === 0) return;
+    if (exportAllButton) exportAllButton.disabled = true;
+
+    try {
+        const zip = new ZipWriter();
+        const manifest = [];
+        const names = [...fs.files.keys()].sort();
+
+        for (const name of names) {
+            let decoded = null;
+            try {
+                decoded = await decodeGraphicAsset(name, fs.getFile(name));
+            } catch (err) {
+                logMessage(`Skipped ${name}: ${err.message}`, 'warning');
+            }
+            if (!decoded || !decoded.image) continue;
+
+            const file = `${assetBaseName(name)}.png`;
+            await zip.addBlob(file, await imageToPngBlob(decoded.image));
+            manifest.push({
+                name: assetBaseName(name),
+                file: file,
+                source: name,
+                kind: decoded.kind,
+                width: decoded.image.width,
+                height: decoded.image.height
+            });
+            updateHeaderStatus(`📦 Exporting graphics... <strong>${manifest.length}</strong>`, true);
+        }
+
+        zip.addFile('manifest.json', JSON.stringify({
+            generated: new Date().toISOString(),
+            count: manifest.length,
+            assets: manifest
+        }, null, 2));
+
+        downloadFile(zip.build(), 'DN2_graphics.zip', 'application/zip');
+        logMessage(`Exported ${manifest.length} graphics to DN2_graphics.zip`, 'success');
+        updateHeaderStatus(`📦 Exported <strong>${manifest.length}</strong> graphics`, true);
+    } catch (err) {
+        logMessage(`Graphics export failed: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        if (exportAllButton) exportAllButton.disabled = false;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// AUDIO EXPORT (Export WAV / Export MIDI / Bounce All Sounds)
+// ─────────────────────────────────────────────────────────────────────────
+// Renders audio offline and saves it as 16-bit WAV: IMF music (until the loop
+// point or for a fixed length), VOC samples, and AUDIOT PC Speaker / AdLib
+// effects. Bounce All Sounds bundles everything into one ZIP. IMF music can
+// also be converted to MIDI for remixing in a DAW.
+
+const WAV_SAMPLE_RATE = 44100;
+
+const exportWavButton = document.getElementById('btn-export-wav');
+const wavSecondsInput = document.getElementById('wav-seconds');
+const bounceSoundsButton = document.getElementById('btn-bounce-sounds');
+const exportMidiButton = document.getElementById('btn-export-midi');
+
+if (exportWavButton) exportWavButton.addEventListener('click', exportCurrentWav);
+if (exportMidiButton) exportMidiButton.addEventListener('click', exportCurrentMidi);
+if (bounceSoundsButton) bounceSoundsButton.addEventListener('click', bounceAllSounds);
+
+function updateAudioActions() {
+    const name = appState.currentAudioName || '';
+    const isImf = name.toUpperCase().endsWith('.IMF');
+    const isVoc = !!name && isVocFile(name);
+    document.querySelectorAll('.audio-action').forEach(el => {
+        const hidden = !name ||
+            (el.classList.contains('imf-only') && !isImf) ||
+            (el.classList.contains('voc-only') && !isVoc);
+        el.classList.toggle('hidden', hidden);
+    });
+}
+
+function isVocFile(name) {
+    const upper = name.toUpperCase();
+    return upper.startsWith('SB_') || upper.startsWith('INTRO');
+}
+
+// Renders an IMF or VOC archive entry; returns { sampleRate, channels } or null
+async function renderAudioFile(name, seconds = null) {
+    const rawFile = fs.getFile(name);
+    if (!rawFile) return null;
+
+    if (name.toUpperCase().endsWith('.IMF')) {
+        return musicPlayer.renderImf(rawFile, { sampleRate: WAV_SAMPLE_RATE, seconds });
+    }
+    if (isVocFile(name)) {
+        return audioPlayer.renderVoc(rawFile);
+    }
+    return null;
+}
+
+async function exportCurrentWav() {
+    const name = appState.currentAudioName;
+    if (!name) return;
+
+    const seconds = parseFloat(wavSecondsInput?.value);
+    const length = name.toUpperCase().endsWith('.IMF') && seconds > 0 ? seconds : null;
+
+    if (exportWavButton) exportWavButton.disabled = true;
+    updateHeaderStatus(`🎙️ Rendering <strong>${name}</strong>...`, true);
+
+    try {
+        const rendered = await renderAudioFile(name, length);
+        if (!rendered) throw new Error('nothing to render');
+
+        const file = `${assetBaseName(name)}.wav`;
+        downloadFile(encodeWav(rendered.channels, rendered.sampleRate), file, 'audio/wav');
+        const duration = rendered.channels[0].length / rendered.sampleRate;
+        logMessage(`Exported ${file} (${duration.toFixed(2)}s @ ${rendered.sampleRate} Hz)`, 'success');
+    } catch (err) {
+        logMessage(`WAV export failed for ${name}: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        if (exportWavButton) exportWavButton.disabled = false;
+    }
+}
+
+function exportCurrentMidi() {
+    const name = appState.currentAudioName;
+    const rawFile = name && fs.getFile(name);
+    if (!rawFile || !name.toUpperCase().endsWith('.IMF')) return;
+
+    try {
+        const parsed = new ImfParser().parse(rawFile);
+        const file = `${assetBaseName(name)}.mid`;
+        downloadFile(encodeMidi(parsed, name), file, 'audio/midi');
+
+        const noteCount = parsed.channels.reduce((sum, ch) => sum + ch.notes.length, 0);
+        logMessage(`Exported ${file} (${noteCount} notes, ${parsed.tickRate} ticks/s)`, 'success');
+    } catch (err) {
+        logMessage(`MIDI export failed for ${name}: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+async function exportSoundWav(index) {
+    try {
+        const rendered = await soundManager.renderSound(index, WAV_SAMPLE_RATE);
+        if (!rendered) throw new Error('sound not found');
+
+        const file = `SOUND_${String(index).padStart(3, '0')}_${rendered.type}.wav`;
+        downloadFile(encodeWav(rendered.channels, rendered.sampleRate), file, 'audio/wav');
+        logMessage(`Exported ${file}`, 'success');
+    } catch (err) {
+        logMessage(`WAV export failed for sound #${index}: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+async function bounceAllSounds() {
+    if (fs.files.size === 0) return;
+    if (bounceSoundsButton) bounceSoundsButton.disabled = true;
+
+    try {
+        const zip = new ZipWriter();
+        const manifest = [];
+
+        const addRendered = (file, source, kind, rendered) => {
+            zip.addFile(file, encodeWav(rendered.channels, rendered.sampleRate));
+            manifest.push({
+                file: file,
+                source: source,
+                kind: kind,
+                sampleRate: rendered.sampleRate,
+                channels: rendered.channels.length,
+                seconds: rendered.channels[0].length / rendered.sampleRate
+            });
+            updateHeaderStatus(`🎙️ Bouncing sounds... <strong>${manifest.length}</strong>`, true);
+        };
+
+        // Music and digitized sound effects
+        const names = [...fs.files.keys()].sort();
+        for (const name of names) {
+            const isImf = name.toUpperCase().endsWith('.IMF');
+            if (!isImf && !isVocFile(name)) continue;
+
+            try {
+                const rendered = await renderAudioFile(name);
+                if (!rendered) continue;
+                addRendered(`${isImf ? 'music' : 'voc'}/${assetBaseName(name)}.wav`, name, isImf ? 'imf' : 'voc', rendered);
+            } catch (err) {
+                logMessage(`Skipped ${name}: ${err.message}`, 'warning');
+            }
+        }
+
+        // PC Speaker / AdLib effects
+        const headData = fs.getFile('AUDIOHED.MNI');
+        const bodyData = fs.getFile('AUDIOT.MNI');
+        if (headData && bodyData) {
+            const sounds = soundManager.load(headData, bodyData);
+            for (let index = 0; index < sounds.length; index++) {
+                try {
+                    const rendered = await soundManager.renderSound(index, WAV_SAMPLE_RATE);
+                    if (!rendered) continue;
+                    const file = `sfx/SOUND_${String(index).padStart(3, '0')}_${rendered.type}.wav`;
+                    addRendered(file, `AUDIOT.MNI#${index}`, rendered.type, rendered);
+                } catch (err) {
+                    logMessage(`Skipped sound #${index}: ${err.message}`, 'warning');
+                }
+            }
+        }
+
+        zip.addFile('manifest.json', JSON.stringify({
+            generated: new Date().toISOString(),
+            count: manifest.length,
+            sounds: manifest
+        }, null, 2));
+
+        downloadFile(zip.build(), 'DN2_sounds.zip', 'application/zip');
+        logMessage(`Bounced ${manifest.length} sounds to DN2_sounds.zip`, 'success');
+        updateHeaderStatus(`🎙️ Bounced <strong>${manifest.length}</strong> sounds`, true);
+    } catch (err) {
+        logMessage(`Sound bounce failed: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        if (bounceSoundsButton) bounceSoundsButton.disabled = false;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// CZONE TILE IMPORT (Import Tiles PNG)
+// ─────────────────────────────────────────────────────────────────────────
+// Re-encodes the displayed CZONE from an edited tile sheet. The PNG uses the
+// same layout as Export PNG; colors are matched to the 16-color game palette
+// and transparent pixels become the mask of masked tiles.
+
+const czonePngInput = document.getElementById('czone-png-input');
+if (czonePngInput) {
+    czonePngInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importCZoneSheet(file);
+        czonePngInput.value = ''; // Allow re-importing the same file
+    });
+}
+
+async function importCZoneSheet(file) {
+    const name = appState.currentAssetName;
+    const rawZone = name ? fs.getFile(name) : null;
+    if (!rawZone) {
+        logMessage('Open a CZONE tileset before importing tiles', 'warning');
+        return;
+    }
+
+    try {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const result = assets.encodeCZoneSheet(rawZone, image);
+        const changed = result.solidChanged + result.maskedChanged;
+
+        if (changed === 0) {
+            logMessage(`${file.name}: no tile changes for ${name}`, 'info');
+            return;
+        }
+
+        fs.setFile(name, result.data);
+        updateArchiveActions();
+        logMessage(`Imported ${file.name} into ${name}: ${result.solidChanged} solid, ${result.maskedChanged} masked tile(s) replaced`, 'success');
+
+        await loadAsset(name);
+        updateHeaderStatus(`🧱 Replaced <strong>${changed}</strong> tile(s) in ${name}`, true);
+    } catch (err) {
+        logMessage(`Could not import ${file.name}: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// VOC IMPORT (Import WAV)
+// ─────────────────────────────────────────────────────────────────────────
+// Replaces the last played digitized sound with a WAV, converted to what the
+// game plays: 8-bit unsigned mono PCM in a Creative Voice File. "Keep rate"
+// uses the sample rate of the sound being replaced.
+
+const vocWavInput = document.getElementById('voc-wav-input');
+const vocRateSelect = document.getElementById('voc-rate');
+if (vocWavInput) {
+    vocWavInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importVocWav(file);
+        vocWavInput.value = ''; // Allow re-importing the same file
+    });
+}
+
+async function importVocWav(file) {
+    const name = appState.currentAudioName;
+    const rawVoc = name && isVocFile(name) ? fs.getFile(name) : null;
+    if (!rawVoc) {
+        logMessage('Play a digitized sound (SB_*.MNI) before importing a WAV', 'warning');
+        return;
+    }
+
+    try {
+        const wav = decodeWav(await file.arrayBuffer());
+
+        let targetRate = parseInt(vocRateSelect?.value, 10);
+        if (!(targetRate > 0)) {
+            const current = audioPlayer.renderVoc(rawVoc);
+            targetRate = current ? current.sampleRate : wav.sampleRate;
+        }
+
+        const voc = encodeVoc(wav.samples, wav.sampleRate, targetRate);
+        fs.setFile(name, voc.data);
+        updateArchiveActions();
+        logMessage(`Imported ${file.name} into ${name}: ${(voc.length / voc.sampleRate).toFixed(2)}s @ ${voc.sampleRate} Hz (from ${wav.sampleRate} Hz)`, 'success');
+
+        await loadAsset(name);
+        updateHeaderStatus(`🔊 Replaced <strong>${name}</strong> with ${file.name}`, true);
+    } catch (err) {
+        logMessage(`Could not import ${file.name}: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+function refreshAssetList() {
+    // Combine CMP files with animation files
+    const combinedFiles = [
+        ...fs.files.keys(),
+        ...appState.animationFiles.map(f => ({ 
+            name: f.name, 
+            category: 'animations', 
+            file: f 
+        }))
+    ];
+    
+    ui.populateLevelList(combinedFiles);
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // FILE SELECTION PROCESSOR
 // ─────────────────────────────────────────────────────────────────────────
@@ -1775,20 +3335,12 @@ async function handleFileSelection(file) {
         }
 
         // Load palettes
-        const pal0 = fs.getFile("GAMEPAL.PAL");
-        const pal1 = fs.getFile("STORY2.PAL");
-        const pal2 = fs.getFile("STORY3.PAL");
-        const pal3 = fs.getFile("LCR.MNI");
-        const pal4 = fs.getFile("STORY.MNI");
-
-        if (pal0) {
-            assets.loadPalette(pal0, 0);
-            displayPaletteBar(pal0);
+        for (const [name, slot] of Object.entries(PALETTE_ENTRIES)) {
+            const palette = fs.getFile(name);
+            if (!palette) continue;
+            assets.loadPalette(palette, slot);
+            if (slot === 0) displayPaletteBar(palette);
         }
-        if (pal1) assets.loadPalette(pal1, 1);
-        if (pal2) assets.loadPalette(pal2, 2);
-        if (pal3) assets.loadPalette(pal3, 3);
-        if (pal4) assets.loadPalette(pal4, 4);
         
         // Load actors
         const actInfo = fs.getFile("ACTRINFO.MNI");
@@ -1823,17 +3375,8 @@ async function handleFileSelection(file) {
             console.warn("Could not load level viewer config:", err);
         }
         
-        // Combine CMP files with animation files
-        const combinedFiles = [
-            ...fileList,
-            ...appState.animationFiles.map(f => ({ 
-                name: f.name, 
-                category: 'animations', 
-                file: f 
-            }))
-        ];
-        
-        ui.populateLevelList(combinedFiles);
+        refreshAssetList();
+        updateArchiveActions();
         console.log("Archive Ready.");
         
         updateHeaderStatus(`📦 Archive Loaded: <strong>${file.name}</strong> (${fileList.length} files)`);
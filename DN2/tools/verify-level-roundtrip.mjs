@@ -0,0 +1,62 @@
+/**
+ * verify-level-roundtrip.mjs
+ * Checks that MapParser writes every level of a NUKEM2.CMP back unchanged:
+ * each [LMNO]<n>.MNI entry is parsed, serialized and compared byte for byte.
+ *
+ * Usage: node DN2/tools/verify-level-roundtrip.mjs path/to/NUKEM2.CMP
+ * Exits with 1 if any level differs (or none were found).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { FileSystem } from '../FileSystem.js';
+import { MapParser } from '../MapParser.js';
+
+const LEVEL_NAME = /^[LMNO]\d\.MNI$/i;
+
+// FileSystem and MapParser report progress through the page's log panel
+// and the console; keep that out of the results
+globalThis.logMessage = () => {};
+
+async function quietly(task) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await task();
+    } finally {
+        console.log = log;
+    }
+}
+
+const cmpPath = process.argv[2];
+if (!cmpPath) {
+    console.error('Usage: node DN2/tools/verify-level-roundtrip.mjs path/to/NUKEM2.CMP');
+    process.exit(2);
+}
+
+const fs = new FileSystem();
+const cmp = await readFile(cmpPath);
+await quietly(() => fs.loadCMP(new Blob([cmp])));
+
+const levels = [...fs.files.keys()].filter(name => LEVEL_NAME.test(name)).sort();
+if (levels.length === 0) {
+    console.error(`${cmpPath}: no levels found`);
+    process.exit(1);
+}
+
+let failed = 0;
+for (const name of levels) {
+    const original = fs.getFile(name);
+    const rebuilt = await quietly(() => new MapParser().parse(original).serialize());
+    const firstDiff = original.findIndex((byte, i) => rebuilt[i] !== byte);
+
+    if (rebuilt.length !== original.length || firstDiff !== -1) {
+        failed++;
+        console.error(`FAIL ${name}: size ${original.length} -> ${rebuilt.length}, first difference at byte ${firstDiff}`);
+    }
+}
+
+if (failed > 0) {
+    console.error(`${failed} of ${levels.length} levels did not round-trip`);
+    process.exit(1);
+}
+console.log(`All ${levels.length} levels round-trip byte-identical`);